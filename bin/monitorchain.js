@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const {run} = require('../src/cli');
+
+// the exit code is set and the pending output is written before the process ends
+run(process.argv.slice(2)).then(code => { process.exitCode = code; });
@@ -0,0 +1,55 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+pragma solidity ^0.4.24;
+pragma experimental ABIEncoderV2;
+
+// The 'aggregate3' method of Multicall3, deployed by the library on the chains without one (a local node)
+contract Multicall {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    function aggregate3(Call3[] calls) public payable returns (Result[] returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            address target = calls[i].target;
+            bytes memory callData = calls[i].callData;
+            bool success;
+            bytes memory data;
+            // the return data of a call isn't available in this compiler version
+            assembly {
+                success := call(gas, target, 0, add(callData, 32), mload(callData), 0, 0)
+                data := mload(0x40)
+                mstore(data, returndatasize)
+                returndatacopy(add(data, 32), 0, returndatasize)
+                mstore(0x40, add(add(data, 32), and(add(returndatasize, 31), not(31))))
+            }
+            require(success || calls[i].allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const Web3js = require('web3');
+const bn = require('big-integer');
+const {toChecksum} = require('./utils');
+const {ArgumentError} = require('./errors');
+
+const {isAddress, isBN, isBigNumber} = Web3js.utils;
+
+// a plain object after the arguments holds the transaction options
+const isOptions = (arg) => !!arg && typeof arg === 'object' && Object.getPrototypeOf(arg) === Object.prototype;
+
+const describe = (value) => {
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'string') return `"${value}"`;
+    try {
+        return JSON.stringify(value);
+    } catch (e) {
+        return String(value);
+    }
+};
+
+// An integer as big-integer: numbers, BigInt, big-integer, BN.js, BigNumber.js, decimal and hex strings
+const toInteger = (value) => {
+    if (typeof value === 'number') return Number.isSafeInteger(value) ? bn(value) : null;
+    if (typeof value === 'bigint') return bn(value.toString());
+    if (bn.isInstance(value)) return value;
+    if (isBN(value)) return bn(value.toString(10));
+    if (isBigNumber(value)) return value.isInteger() ? bn(value.toFixed()) : null;
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+    if (/^-?\d+$/.test(text)) return bn(text);
+    if (/^0x[0-9a-f]+$/i.test(text)) return bn(text.slice(2), 16);
+    return null;
+};
+
+const toHex = (value) => {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) return '0x' + Buffer.from(value).toString('hex');
+    return typeof value === 'string' && /^0x([0-9a-f]{2})*$/i.test(value) ? value : null;
+};
+
+
+// the value doesn't match the type, the path is the position within the argument ('[1].amount')
+class Mismatch {
+    constructor(expected, path, value) {
+        Object.assign(this, {expected, path, value});
+    }
+}
+
+const mismatch = (expected, path, value) => {
+    throw new Mismatch(expected, path, value);
+};
+
+/**
+ * Validates the value of the ABI input and converts it to the form web3 encodes exactly: the addresses are
+ * checksummed, the integers are decimal strings within the range of the type, bytesN must have N bytes,
+ * the tuples are the lists of their components (passed as an object by the names or as a list).
+ */
+const coerceValue = (input, value, path) => {
+    path = path || '';
+    const type = input.type;
+    const array = /^(.*)\[(\d*)\]$/.exec(type);
+    if (array) {
+        if (!Array.isArray(value)) mismatch(type, path, value);
+        if (array[2] && value.length !== parseInt(array[2])) mismatch(`${type} of ${array[2]} items`, path, value);
+        const item = Object.assign({}, input, {type: array[1]});
+        return value.map((element, i) => coerceValue(item, element, `${path}[${i}]`));
+    }
+
+    if (type === 'tuple') {
+        const components = input.components || [];
+        const signature = `tuple(${components.map(component => component.type).join(',')})`;
+        if (!value || typeof value !== 'object') mismatch(signature, path, value);
+        const values = Array.isArray(value) ? value : components.map(component => value[component.name]);
+        if (values.length !== components.length) mismatch(signature, path, value);
+        return components.map((component, i) => coerceValue(component, values[i], `${path}.${component.name || i}`));
+    }
+
+    if (type === 'address') {
+        if (typeof value !== 'string' || !isAddress(value)) mismatch('address', path, value);
+        return toChecksum(value);
+    }
+
+    const integer = /^(u?)int(\d*)$/.exec(type);
+    if (integer) {
+        const bits = parseInt(integer[2] || 256);
+        const unsigned = integer[1] === 'u';
+        const number = toInteger(value);
+        const min = unsigned ? bn.zero : bn(2).pow(bits - 1).negate();
+        const max = unsigned ? bn(2).pow(bits).subtract(1) : bn(2).pow(bits - 1).subtract(1);
+        if (number === null || number.lesser(min) || number.greater(max))
+            mismatch(`${type} (an integer ${unsigned ? 0 : `-2^${bits - 1}`} to 2^${unsigned ? bits : bits - 1}-1)`, path, value);
+        return number.toString();
+    }
+
+    if (type === 'bool') {
+        if (typeof value !== 'boolean') mismatch('bool', path, value);
+        return value;
+    }
+
+    if (type === 'string') {
+        if (typeof value !== 'string') mismatch('string', path, value);
+        return value;
+    }
+
+    const bytes = /^bytes(\d*)$/.exec(type);
+    if (bytes) {
+        const hex = toHex(value);
+        if (hex === null) mismatch(`${type} (a hex string)`, path, value);
+        if (bytes[1] && hex.length !== 2 + 2 * parseInt(bytes[1])) mismatch(`${type} (${bytes[1]} bytes)`, path, value);
+        return hex;
+    }
+
+    // the fixed point and function types are passed as is
+    return value;
+};
+
+/**
+ * Validates and coerces the arguments of the contract method against its ABI inputs. The transaction options
+ * follow the arguments. An overloaded method is matched by the number of its arguments.
+ * Returns {args, options}, throws ArgumentError {method, argument, value, expected} naming the parameter.
+ */
+const coerceArguments = (abi, method, args) => {
+    const overloads = abi.filter(item => item.type === 'function' && item.name === method);
+    const last = args[args.length - 1];
+    // the trailing plain object is an argument only for an overload taking it (a tuple), the options otherwise
+    const takes = (item) => {
+        try {
+            coerceValue(item.inputs[item.inputs.length - 1], last);
+            return true;
+        } catch (err) {
+            if (!(err instanceof Mismatch)) throw err;
+            return false;
+        }
+    };
+    const full = overloads.filter(item => item.inputs.length === args.length);
+    const options = args.length && isOptions(last) && (!full.length ||
+        (!full.some(takes) && overloads.some(item => item.inputs.length === args.length - 1))) ? last : null;
+    const values = options ? args.slice(0, -1) : args;
+
+    const item = overloads.find(item => item.inputs.length === values.length);
+    if (!item) {
+        const counts = overloads.map(item => item.inputs.length).join(' or ');
+        throw new ArgumentError(`${method}: expects ${counts} argument(s), got ${values.length}`,
+            {method: method, argument: 'arguments', value: values.length, expected: counts});
+    }
+
+    const coerced = item.inputs.map((input, i) => {
+        try {
+            return coerceValue(input, values[i]);
+        } catch (err) {
+            if (!(err instanceof Mismatch)) throw err;
+            const argument = (input.name || `#${i}`) + err.path;
+            throw new ArgumentError(`${method}: "${argument}" must be ${err.expected}, got ${describe(err.value)}`,
+                {method: method, argument: argument, value: err.value, expected: err.expected});
+        }
+    });
+    return {args: coerced, options: options};
+};
+
+module.exports = {
+    isOptions,
+    coerceValue,
+    coerceArguments
+};
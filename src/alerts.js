@@ -0,0 +1,305 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const EventEmitter = require('events');
+const {log, sleep, toChecksum} = require('./utils');
+const {ConfigurationError, AlertError} = require('./errors');
+
+// The alert of a TokenStatusStream change, a flat object for the sinks
+const toAlert = (change) => ({
+    id: `${change.transactionHash}:${change.logIndex}`,
+    eventId: change.eventId,
+    token: change.token,
+    name: change.info ? change.info.name : null,
+    symbol: change.info ? change.info.symbol : null,
+    level: change.status.errorLevel,
+    previousLevel: change.previous ? change.previous.errorLevel : null,
+    message: change.status.errorMessage,
+    setter: change.status.setter,
+    statusNumber: change.status.statusNumber,
+    timestamp: change.status.timestamp,
+    blockNumber: change.blockNumber,
+    transactionHash: change.transactionHash
+});
+
+
+/**
+ * The base class of the alert sinks. A sink must implement:
+ *  - send(alert)   - delivers the alert, rejects if it is not delivered (the dispatcher retries it)
+ */
+class AlertSink {
+    async send(alert) {
+        throw new Error(`${this.constructor.name}: the "send" method is not implemented!`);
+    }
+}
+
+/**
+ * POSTs the alert as JSON to the url, a response other than 2xx is a failure. With a 'secret' the body is signed
+ * by HMAC-SHA256: 'X-Signature-256: sha256=<hex>'. Options: {secret, headers, timeout (ms, 10000 by default)}.
+ */
+class WebhookSink extends AlertSink {
+    constructor(url, options) {
+        super();
+        if (!url || !/^https?:\/\//.test(url))
+            throw new ConfigurationError(`"${url}" webhook url is not supported! Supported protocols: ["http","https"]`,
+                {setting: 'url', value: url});
+        options = options || {};
+        this.url = url;
+        this.secret = options.secret || null;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+    }
+
+    // The signature header value of the body
+    sign(body) {
+        return 'sha256=' + crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+    }
+
+    send(alert) {
+        const body = JSON.stringify(alert);
+        const headers = {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), 'X-Alert-Id': alert.id};
+        if (this.secret) headers['X-Signature-256'] = this.sign(body);
+        const client = this.url.startsWith('https') ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(this.url, {
+                method: 'POST',
+                headers: Object.assign(headers, this.headers),
+                timeout: this.timeout
+            }, (res) => {
+                res.resume();
+                res.on('end', () => {
+                    if (res.statusCode >= 200 && res.statusCode < 300) return resolve({status: res.statusCode});
+                    reject(new AlertError(`The webhook ${this.url} has answered ${res.statusCode}`, {status: res.statusCode}));
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`timeout of ${this.timeout} ms exceeded`)));
+            req.on('error', (e) => reject(new AlertError(`The webhook ${this.url} is not available: ${e.message}`, {cause: e})));
+            req.end(body);
+        });
+    }
+}
+
+// Appends the alerts to the file, a JSON line per alert
+class FileSink extends AlertSink {
+    constructor(filename) {
+        super();
+        if (!filename)
+            throw new ConfigurationError('The alert file name is not defined!', {setting: 'filename', value: filename});
+        this.filename = path.resolve(filename);
+    }
+
+    async send(alert) {
+        fs.appendFileSync(this.filename, JSON.stringify(alert) + '\n');
+    }
+}
+
+/**
+ * Runs the shell command with the alert as JSON on its stdin and in the ALERT_* environment variables
+ * (ALERT_TOKEN, ALERT_SYMBOL, ALERT_LEVEL, ALERT_MESSAGE...), a non-zero exit code is a failure.
+ * Options: {env, timeout (ms, 10000 by default)}.
+ */
+class CommandSink extends AlertSink {
+    constructor(command, options) {
+        super();
+        if (!command)
+            throw new ConfigurationError('The alert command is not defined!', {setting: 'command', value: command});
+        options = options || {};
+        this.command = command;
+        this.env = options.env || {};
+        this.timeout = options.timeout || 10000;
+    }
+
+    send(alert) {
+        const env = Object.assign({}, process.env, this.env);
+        Object.keys(alert).forEach(key => {
+            const name = 'ALERT_' + key.replace(/[A-Z]/g, letter => '_' + letter).toUpperCase();
+            env[name] = alert[key] === null ? '' : String(alert[key]);
+        });
+
+        return new Promise((resolve, reject) => {
+            const child = childProcess.exec(this.command, {env: env, timeout: this.timeout}, (err, stdout, stderr) => {
+                if (!err) return resolve({code: 0});
+                reject(new AlertError(`The command "${this.command}" has failed: ${(stderr || err.message).trim()}`,
+                    {code: err.code, cause: err}));
+            });
+            child.stdin.on('error', () => {});
+            child.stdin.end(JSON.stringify(alert));
+        });
+    }
+}
+
+// A sink is an AlertSink or its settings: {type: 'webhook', url, secret}, {type: 'file', filename}, {type: 'command', command}
+const toSink = (sink, name) => {
+    if (sink instanceof AlertSink || (sink && typeof sink.send === 'function')) return sink;
+    const type = sink && sink.type;
+    if (type === 'webhook') return new WebhookSink(sink.url, sink);
+    if (type === 'file') return new FileSink(sink.filename);
+    if (type === 'command') return new CommandSink(sink.command, sink);
+    throw new ConfigurationError(`"${type}" type of the sink "${name}" is not supported! Supported types: ["webhook","file","command"]`,
+        {setting: 'sinks', value: sink});
+};
+
+
+/**
+ * Delivers the token status changes to the sinks by the routes: a route {tokens, minLevel, maxLevel, sinks}
+ * sends the alerts of its tokens (all by default) within its error levels to the named sinks, an alert goes
+ * to the sinks of all the matching routes (to all the sinks without the routes). A failed delivery is retried
+ * 'attempts' times with the delay growing by 'factor', then the alert is appended to the 'deadLetter' file.
+ * Emits 'delivered' and 'failed' ({alert, sink, attempts, error}).
+ * Options: {sinks: {name: sink}, routes, retry: {attempts: 3, delay: 1000 (ms), factor: 2, maxDelay: 30000}, deadLetter}.
+ */
+class AlertDispatcher extends EventEmitter {
+    constructor(options) {
+        super();
+        options = options || {};
+        const sinks = options.sinks || {};
+        this.sinks = new Map(Object.keys(sinks).map(name => [name, toSink(sinks[name], name)]));
+        if (!this.sinks.size)
+            throw new ConfigurationError('The alert sinks are not defined!', {setting: 'sinks', value: sinks});
+
+        this.routes = (options.routes || []).map(route => {
+            const unknown = [].concat(route.sinks || []).filter(name => !this.sinks.has(name));
+            if (!route.sinks || unknown.length)
+                throw new ConfigurationError(`The route has unknown sinks: ${unknown.join(', ')}`, {setting: 'routes', value: route});
+            return Object.assign({}, route, {sinks: [].concat(route.sinks), tokens: route.tokens ? route.tokens.map(toChecksum) : null});
+        });
+        this.retry = Object.assign({attempts: 3, delay: 1000, factor: 2, maxDelay: 30000}, options.retry);
+        if (!(this.retry.attempts >= 1))
+            throw new ConfigurationError('The alerts are delivered in 1 attempt at least!', {setting: 'retry', value: options.retry});
+        this.deadLetter = options.deadLetter ? path.resolve(options.deadLetter) : null;
+        this.stats = {alerts: 0, delivered: 0, retries: 0, failed: 0};
+        this._stream = null;
+        this._listener = change => this.dispatch(change).catch(err => log.error(`AlertDispatcher: ${err.message || err}`));
+    }
+
+    // Dispatches the 'status' changes of the TokenStatusStream
+    attach(stream) {
+        this.detach();
+        this._stream = stream;
+        stream.on('status', this._listener);
+        return this;
+    }
+
+    detach() {
+        if (this._stream) this._stream.removeListener('status', this._listener);
+        this._stream = null;
+    }
+
+    // Stops the attached stream as well
+    stop() {
+        if (this._stream) this._stream.stop();
+        this.detach();
+    }
+
+    // The names of the sinks of the alert
+    route(alert) {
+        if (!this.routes.length) return Array.from(this.sinks.keys());
+        const names = new Set();
+        this.routes.filter(route => this._matches(route, alert)).forEach(route => route.sinks.forEach(name => names.add(name)));
+        return Array.from(names);
+    }
+
+    /**
+     * Delivers the change (or an alert) to the routed sinks at once.
+     * Resolves [{sink, delivered, attempts, error}], the failures are not thrown.
+     */
+    async dispatch(change) {
+        const alert = change.status ? toAlert(change) : change;
+        const names = this.route(alert);
+        this.stats.alerts++;
+        if (!names.length) log.debug(`AlertDispatcher: no route of the alert ${alert.id}`);
+        return Promise.all(names.map(name => this._deliver(name, alert)));
+    }
+
+    /**
+     * Delivers the alerts of the dead letter file again, the ones failing again are kept in the file.
+     * The file is rewritten once the redelivery is over, with the letters buried meanwhile. Resolves the results of dispatch.
+     */
+    async redeliver() {
+        if (!this.deadLetter || !fs.existsSync(this.deadLetter)) return [];
+        const content = fs.readFileSync(this.deadLetter, 'utf8');
+        const letters = content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        const results = await Promise.all(letters.map(letter => this.sinks.has(letter.sink) ?
+            this._deliver(letter.sink, letter.alert, false) : {sink: letter.sink, delivered: false, attempts: letter.attempts, error: letter.error}));
+
+        const kept = letters.map((letter, i) => results[i].delivered ? null : !this.sinks.has(letter.sink) ? letter :
+            this._letter(letter.sink, letter.alert, results[i].attempts, results[i].error));
+        const buried = fs.existsSync(this.deadLetter) ? fs.readFileSync(this.deadLetter, 'utf8').slice(content.length) : '';
+        const tmp = `${this.deadLetter}.tmp`;
+        fs.writeFileSync(tmp, kept.filter(letter => letter).map(letter => JSON.stringify(letter) + '\n').join('') + buried);
+        fs.renameSync(tmp, this.deadLetter);
+        return results;
+    }
+
+    _matches(route, alert) {
+        if (route.tokens && !route.tokens.includes(toChecksum(alert.token))) return false;
+        if (route.minLevel !== undefined && alert.level < route.minLevel) return false;
+        return route.maxLevel === undefined || alert.level <= route.maxLevel;
+    }
+
+    // the failed alert is appended to the dead letter file unless 'bury' is false
+    async _deliver(name, alert, bury) {
+        const sink = this.sinks.get(name);
+        let delay = this.retry.delay;
+        let error;
+        for (let attempt = 1; attempt <= this.retry.attempts; attempt++) {
+            try {
+                await sink.send(alert);
+                this.stats.delivered++;
+                this.emit('delivered', {alert: alert, sink: name, attempts: attempt});
+                return {sink: name, delivered: true, attempts: attempt, error: null};
+            } catch (err) {
+                error = err;
+                if (attempt === this.retry.attempts) break;
+                this.stats.retries++;
+                log.warn(`AlertDispatcher: "${name}" has failed, retrying in ${delay} ms: ${err.message || err}`);
+                await sleep(delay);
+                delay = Math.min(delay * this.retry.factor, this.retry.maxDelay);
+            }
+        }
+        this.stats.failed++;
+        log.error(`AlertDispatcher: "${name}" has failed to deliver the alert ${alert.id}: ${error.message || error}`);
+        if (bury !== false) this._bury(name, alert, this.retry.attempts, error.message || String(error));
+        this.emit('failed', {alert: alert, sink: name, attempts: this.retry.attempts, error: error});
+        return {sink: name, delivered: false, attempts: this.retry.attempts, error: error};
+    }
+
+    _bury(name, alert, attempts, error) {
+        if (this.deadLetter) fs.appendFileSync(this.deadLetter, JSON.stringify(this._letter(name, alert, attempts, error)) + '\n');
+    }
+
+    _letter(name, alert, attempts, error) {
+        return {sink: name, alert: alert, attempts: attempts, error: error && error.message || String(error), failedAt: new Date().toISOString()};
+    }
+}
+
+module.exports = {
+    AlertSink,
+    WebhookSink,
+    FileSink,
+    CommandSink,
+    AlertDispatcher
+};
@@ -0,0 +1,177 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Web3js = require('web3');
+const multicallAbi = require('./Multicall.json');
+const {log, _to} = require('./utils');
+const {toInterfaceError} = require('./errors');
+
+const abiCoder = new Web3js().eth.abi;
+
+// Multicall3 is deployed at the same address on most of the chains
+const multicall3Address = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// the batchers of the web3 instances, the interfaces sharing an instance share the batches
+const batchers = new WeakMap();
+
+const chunks = (items, size) => Array.from({length: Math.ceil(items.length / size)},
+    (v, i) => items.slice(i * size, (i + 1) * size));
+
+// the return data is decoded as by web3: a single output is returned as is, several ones as a Result
+const decodeReturn = (outputs, data) => {
+    const result = abiCoder.decodeParameters(outputs, data);
+    if (result.__length__ === 1) return result[0];
+    delete result.__length__;
+    return result;
+};
+
+
+/**
+ * Aggregates the view calls issued in the same tick into one request: a Multicall3 'aggregate3' call, or a JSON-RPC
+ * batch of the eth_calls on the chains without the Multicall contract. msg.sender is the Multicall contract in an
+ * aggregate call, so only the interface's 'aggregateCalls' (the views known not to read it) are aggregated, unless
+ * they are 'senderCalls', called for a 'from' given by the caller, at a block or with other options: the rest is sent
+ * in a JSON-RPC batch. 'address' is the Multicall contract, Multicall3 is looked up at its usual address by default.
+ * Options: {address, maxCalls: 100 (calls per request)}.
+ */
+class CallBatcher {
+    constructor(w3, options) {
+        options = options || {};
+        this.w3 = w3;
+        this.address = options.address || null;
+        this.maxCalls = options.maxCalls || 100;
+        this.stats = {calls: 0, multicalls: 0, batches: 0};
+        this._queue = [];
+        this._lookup = null;
+    }
+
+    // The batcher shared by the interfaces of the web3 instance
+    static of(w3) {
+        if (!batchers.has(w3)) batchers.set(w3, new CallBatcher(w3));
+        return batchers.get(w3);
+    }
+
+    // The bytecode of the bundled Multicall contract compiled by compile.js
+    static get bytecode() {
+        return fs.readFileSync(path.join(__dirname, 'Multicall.bin'), 'utf8');
+    }
+
+    static get abi() {
+        return multicallAbi;
+    }
+
+    /**
+     * Queues the call of the transaction meta (see TransactionManager.getTxMeta) and resolves [err, result]
+     * once its batch is answered, as TransactionManager.submitTx.
+     */
+    call(obj, txMeta) {
+        const {method, methodArgs, options} = txMeta;
+        const block = txMeta.blockNumber === undefined ? [] : [txMeta.blockNumber];
+        const context = {method: method, abi: obj.abi};
+        let txObject;
+        try {
+            txObject = obj.contract.methods[method](...methodArgs);
+        } catch (err) {
+            return Promise.resolve([toInterfaceError(err, context), null]);
+        }
+
+        return new Promise(resolve => {
+            const aggregate = (obj.aggregateCalls || []).includes(method) && !(obj.senderCalls || []).includes(method) &&
+                !txMeta.explicitSender && !block.length && Object.keys(options).every(key => key === 'from');
+            this._queue.push({txObject, options, block, context, aggregate, target: obj.address, resolve});
+            if (this._queue.length === 1) setImmediate(() => this._flush());
+        });
+    }
+
+    async _flush() {
+        const queue = this._queue;
+        this._queue = [];
+        this.stats.calls += queue.length;
+
+        const address = queue.some(item => item.aggregate) ? await this._resolve() : null;
+        const aggregated = address ? queue.filter(item => item.aggregate) : [];
+        const batched = queue.filter(item => !aggregated.includes(item));
+        const requests = chunks(aggregated, this.maxCalls).map(items => [items, this._aggregate(address, items)])
+            .concat(chunks(batched, this.maxCalls).map(items => [items, this._batch(items)]));
+        // the calls of a failed request are not left pending
+        await Promise.all(requests.map(([items, request]) => request.catch(err =>
+            items.forEach(item => item.resolve([toInterfaceError(err, item.context), null])))));
+    }
+
+    async _aggregate(address, items) {
+        if (items.length === 1) return this._single(items[0]);
+
+        const multicall = new this.w3.eth.Contract(multicallAbi, address);
+        const calls = items.map(item => [item.target, true, item.txObject.encodeABI()]);
+        this.stats.multicalls++;
+        const [err, results] = await _to(multicall.methods.aggregate3(calls).call());
+        if (err) {
+            log.warn(`CallBatcher: the Multicall ${address} has failed, the calls are batched: ${err.message || err}`);
+            return this._batch(items);
+        }
+
+        results.forEach((result, i) => {
+            const item = items[i];
+            if (!result.success) {
+                const revert = Object.assign(new Error('execution reverted'), {data: result.returnData});
+                return item.resolve([toInterfaceError(revert, item.context), null]);
+            }
+            try {
+                item.resolve([null, decodeReturn(item.txObject._method.outputs, result.returnData)]);
+            } catch (err) {
+                item.resolve([toInterfaceError(err, item.context), null]);
+            }
+        });
+    }
+
+    async _batch(items) {
+        if (items.length === 1) return this._single(items[0]);
+
+        const batch = new this.w3.BatchRequest();
+        const answers = items.map(item => new Promise(resolve => batch.add(item.txObject.call.request(item.options, ...item.block,
+            (err, result) => resolve([toInterfaceError(err, item.context), err ? null : result])))));
+        this.stats.batches++;
+        batch.execute();
+        (await Promise.all(answers)).forEach((answer, i) => items[i].resolve(answer));
+    }
+
+    async _single(item) {
+        const [err, result] = await _to(item.txObject.call(item.options, ...item.block));
+        item.resolve([toInterfaceError(err, item.context), result]);
+    }
+
+    // the Multicall contract: the one set or Multicall3 if the chain has it, looked up once
+    async _resolve() {
+        if (this.address) return this.address;
+        if (!this._lookup) this._lookup = _to(this.w3.eth.getCode(multicall3Address));
+        const [err, code] = await this._lookup;
+        if (err) {
+            this._lookup = null;
+            log.warn(`CallBatcher: the Multicall lookup has failed: ${err.message || err}`);
+        }
+        return code && code !== '0x' ? multicall3Address : null;
+    }
+}
+
+module.exports = {
+    CallBatcher,
+    multicall3Address
+};
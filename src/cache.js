@@ -0,0 +1,161 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const {_to} = require('./utils');
+
+// the state at a block number doesn't change, only the tags ('latest', 'pending') follow the chain
+const isPastBlock = (block) => block !== undefined && block !== null && isFinite(block);
+
+// every read gets its own copy: a result changed in place (sorted, filtered) doesn't change the cached one
+const copy = (value) => {
+    if (Array.isArray(value)) return value.map(copy);
+    if (!value || typeof value !== 'object') return value;
+    const result = Object.create(Object.getPrototypeOf(value));
+    Object.keys(value).forEach(key => { result[key] = copy(value[key]) });
+    return result;
+};
+
+
+/**
+ * Caches the results of the view calls by the contract, method, arguments and block tag (and the sender of
+ * the interface's 'senderCalls'). The policy of a method is 'forever' (immutable data), 'block' (until the next block),
+ * a time to live in ms or 0 (not cached): the 'policies' of the cache, the 'cachePolicies' of the interface
+ * or 'defaultPolicy'. The calls at a block number are cached forever. The new blocks are detected by polling
+ * the block number at most every 'blockInterval' ms or are passed to newBlock(), the mined transactions of the interface
+ * invalidate the entries of their contract except the 'forever' ones. A cache serves the interfaces of one chain.
+ * Options: {policies, defaultPolicy: 'block', blockInterval: 1000 (ms), maxEntries: 10000}.
+ */
+class CallCache {
+    constructor(options) {
+        options = options || {};
+        this.policies = options.policies || {};
+        this.defaultPolicy = options.defaultPolicy === undefined ? 'block' : options.defaultPolicy;
+        this.blockInterval = options.blockInterval === undefined ? 1000 : options.blockInterval;
+        this.maxEntries = options.maxEntries || 10000;
+        this.blockNumber = null;
+        this._entries = new Map();
+        this._pending = new Map();
+        this._stats = {hits: 0, misses: 0, invalidations: 0};
+        this._blockCheck = null;
+        this._checked = 0;
+    }
+
+    get stats() {
+        const total = this._stats.hits + this._stats.misses;
+        return Object.assign({entries: this._entries.size, hitRate: total ? this._stats.hits / total : 0}, this._stats);
+    }
+
+    policy(obj, method) {
+        if (method in this.policies) return this.policies[method];
+        const policies = obj.cachePolicies || {};
+        return method in policies ? policies[method] : this.defaultPolicy;
+    }
+
+    /**
+     * Resolves [err, result] of the call of the transaction meta (see TransactionManager.getTxMeta) from the cache
+     * or by 'fetch', the same calls in flight are fetched once. The errors are not cached, the results are copied.
+     */
+    async read(obj, txMeta, fetch) {
+        let policy = this.policy(obj, txMeta.method);
+        if (!policy) return fetch();
+        if (isPastBlock(txMeta.blockNumber)) policy = 'forever';
+        if (policy === 'block') await this._checkBlock(obj.w3);
+
+        const key = this._key(obj, txMeta);
+        const entry = this._entries.get(key);
+        if (entry && this._fresh(entry)) {
+            this._stats.hits++;
+            return [null, copy(entry.value)];
+        }
+        if (this._pending.has(key)) {
+            this._stats.hits++;
+            return this._pending.get(key).then(([err, result]) => [err, copy(result)]);
+        }
+
+        this._stats.misses++;
+        const pending = fetch().then(([err, result]) => {
+            this._pending.delete(key);
+            if (!err) this._set(key, {address: obj.address, policy: policy, value: copy(result)});
+            return [err, result];
+        });
+        this._pending.set(key, pending);
+        return pending;
+    }
+
+    // Drops the entries of the 'block' policy if the block is new
+    newBlock(blockNumber) {
+        blockNumber = parseInt(blockNumber);
+        if (this.blockNumber !== null && blockNumber <= this.blockNumber) return;
+        this.blockNumber = blockNumber;
+        this._drop(entry => entry.policy === 'block');
+    }
+
+    // Drops the entries of the contract (all the contracts by default) except the 'forever' ones
+    invalidate(address) {
+        this._drop(entry => entry.policy !== 'forever' && (!address || entry.address === address));
+    }
+
+    clear() {
+        this._entries.clear();
+    }
+
+    _key(obj, txMeta) {
+        const sender = (obj.senderCalls || []).includes(txMeta.method) ? txMeta.options.from : '';
+        const block = isPastBlock(txMeta.blockNumber) ? parseInt(txMeta.blockNumber) : txMeta.blockNumber || 'latest';
+        return [obj.address, txMeta.method, JSON.stringify(txMeta.methodArgs), sender, block].join(':');
+    }
+
+    _fresh(entry) {
+        if (entry.policy === 'block') return entry.blockNumber === this.blockNumber;
+        if (typeof entry.policy === 'number') return Date.now() < entry.expires;
+        return true;
+    }
+
+    _set(key, entry) {
+        entry.blockNumber = this.blockNumber;
+        if (typeof entry.policy === 'number') entry.expires = Date.now() + entry.policy;
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        // the oldest entries are evicted first
+        while (this._entries.size > this.maxEntries) this._entries.delete(this._entries.keys().next().value);
+    }
+
+    _drop(predicate) {
+        this._entries.forEach((entry, key) => {
+            if (!predicate(entry)) return;
+            this._entries.delete(key);
+            this._stats.invalidations++;
+        });
+    }
+
+    // the block number is requested once for the reads of an interval
+    async _checkBlock(w3) {
+        if (!this._blockCheck || Date.now() - this._checked >= this.blockInterval) {
+            this._checked = Date.now();
+            this._blockCheck = _to(w3.eth.getBlockNumber()).then(([err, number]) => {
+                if (!err) this.newBlock(number);
+            });
+        }
+        await this._blockCheck;
+    }
+}
+
+module.exports = {
+    CallCache
+};
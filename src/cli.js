@@ -0,0 +1,283 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    AccessInterface, ERC20Interface, TransactionManager, FileJournal, InterfaceError, ConfigurationError, ArgumentError
+} = require('./interface');
+const {txResult} = require('./utils');
+
+const usage = `Usage: monitorchain <command> [arguments] [options]
+
+Commands:
+  tokens                           the supported tokens and the subscribed ones
+  price [token...]                 the prices of subscribe and subscribe-all (--days)
+  subscribe <token...>             subscribes to the tokens (--days, --access, --value, --simulate)
+  subscribe-all                    subscribes to all the tokens (--days, --access, --value, --simulate)
+  status <token>                   the current status of the token
+  watch                            prints the status changes (--token, --from-block, --confirmations, --interval, --limit)
+  token-info <address>             the ERC20 metadata of the token
+  tx list                          the transactions of the journal (--status)
+
+Options:
+  --node <url>                     MONITORCHAIN_NODE, the node address (a comma separated list for the failover)
+  --contract <address>             MONITORCHAIN_CONTRACT, the MonitorChain contract address
+  --mnemonic <words>               MONITORCHAIN_MNEMONIC
+  --private-key <key>              MONITORCHAIN_PRIVATE_KEY
+  --keystore <file> --password <p> MONITORCHAIN_KEYSTORE, MONITORCHAIN_PASSWORD
+  --journal <file>                 MONITORCHAIN_JOURNAL, the transaction journal
+  --config <file>                  MONITORCHAIN_CONFIG, a JSON file of the settings (./monitorchain.json)
+  --json                           the JSON output instead of the tables
+`;
+
+// the settings read from the flags, the environment (MONITORCHAIN_*) and the config file, in this order
+const settingNames = ['node', 'contract', 'mnemonic', 'privateKey', 'keystore', 'password', 'journal', 'output'];
+const booleanFlags = ['json', 'help', 'simulate'];
+
+const camelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+const envName = (name) => 'MONITORCHAIN_' + name.replace(/[A-Z]/g, letter => '_' + letter).toUpperCase();
+
+// The positional arguments and the flags: --name value, --name=value, a repeated flag is a list
+const parseArgs = (argv) => {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z][a-z0-9-]*)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            positional.push(argv[i]);
+            continue;
+        }
+        const name = camelCase(match[1]);
+        let value = match[2];
+        if (value === undefined) value = booleanFlags.includes(name) ? true : argv[++i];
+        if (value === undefined)
+            throw new ArgumentError(`The option --${match[1]} has no value`, {argument: match[1]});
+        flags[name] = flags[name] === undefined ? value : [].concat(flags[name], value);
+    }
+    return {command: positional[0], args: positional.slice(1), flags: flags};
+};
+
+const loadSettings = (flags, env, cwd) => {
+    const file = flags.config || env.MONITORCHAIN_CONFIG || path.join(cwd, 'monitorchain.json');
+    let config = {};
+    if (flags.config || env.MONITORCHAIN_CONFIG || fs.existsSync(file)) {
+        try {
+            config = JSON.parse(fs.readFileSync(path.resolve(cwd, file), 'utf8'));
+        } catch (e) {
+            throw new ConfigurationError(`The config file ${file} is not readable: ${e.message}`, {setting: 'config', value: file});
+        }
+    }
+    const settings = {};
+    settingNames.forEach(name => {
+        const value = [flags[name], env[envName(name)], config[name]].find(value => value !== undefined && value !== '');
+        if (value !== undefined) settings[name] = value;
+    });
+    if (flags.json) settings.output = 'json';
+    return settings;
+};
+
+const nodeAddress = (settings) => {
+    if (!settings.node)
+        throw new ConfigurationError('The node address is not defined! Use --node or MONITORCHAIN_NODE', {setting: 'node'});
+    return settings.node.includes(',') ? settings.node.split(',').map(url => url.trim()) : settings.node;
+};
+
+const credentials = (settings) => {
+    if (settings.privateKey) return {privateKey: settings.privateKey};
+    if (settings.keystore) return {keystore: settings.keystore, password: settings.password};
+    return settings.mnemonic || null;
+};
+
+const accessInterface = async (settings) => {
+    const node = nodeAddress(settings);
+    if (!settings.contract)
+        throw new ConfigurationError('The contract address is not defined! Use --contract or MONITORCHAIN_CONTRACT',
+            {setting: 'contract'});
+    const mc = new AccessInterface(node, settings.contract, credentials(settings));
+    if (settings.journal) {
+        mc.transactions = new TransactionManager();
+        await mc.transactions.useJournal(new FileJournal(settings.journal), mc.w3);
+    }
+    return mc;
+};
+
+const days = (flags) => flags.days !== undefined ? parseInt(flags.days) : null;
+
+const txOptions = (flags) => flags.simulate ? {simulate: true} : {};
+
+const commands = {
+    async tokens(settings) {
+        const mc = await accessInterface(settings);
+        const [supported, subscribed] = await Promise.all([mc.getAllSupportedTokens(), mc.getTokensSubscribedTo()]);
+        return supported.map(token => ({token: token, subscribed: subscribed.includes(token)}));
+    },
+
+    async price(settings, args, flags) {
+        const mc = await accessInterface(settings);
+        const quote = await mc.quote(args, days(flags));
+        if (settings.output === 'json') return quote;
+        return [quote.subscribe, quote.subscribeAll].filter(option => option).map(option => ({
+            method: option.method,
+            days: quote.days,
+            price: option.price.ether,
+            gas: option.gas,
+            gasCost: option.gasCost ? option.gasCost.ether : null,
+            totalCost: option.totalCost.ether,
+            cheapest: option.method === quote.cheapest
+        }));
+    },
+
+    async subscribe(settings, args, flags) {
+        if (!args.length) throw new ArgumentError('The tokens are not defined!', {argument: 'tokens'});
+        const mc = await accessInterface(settings);
+        return txResult(await mc.subscribe(args, days(flags), flags.access || null, flags.value || null, txOptions(flags)));
+    },
+
+    async 'subscribe-all'(settings, args, flags) {
+        const mc = await accessInterface(settings);
+        return txResult(await mc.subscribeAll(days(flags), flags.access || null, flags.value || null, txOptions(flags)));
+    },
+
+    async status(settings, args) {
+        if (!args[0]) throw new ArgumentError('The token address is not defined!', {argument: 'token'});
+        const mc = await accessInterface(settings);
+        const [details, count] = await Promise.all([mc.getCurrentStatusDetails(args[0]), mc.getTotalStatusCounts(args[0])]);
+        return {
+            token: args[0],
+            statuses: parseInt(count),
+            errorLevel: parseInt(details[0]),
+            errorMessage: details[1],
+            setter: details[2],
+            timestamp: parseInt(details[3])
+        };
+    },
+
+    // prints the changes as they come, until the 'limit' changes or SIGINT
+    async watch(settings, args, flags, io) {
+        const mc = await accessInterface(settings);
+        const options = {tokens: flags.token ? [].concat(flags.token) : undefined};
+        if (flags.fromBlock !== undefined) options.fromBlock = parseInt(flags.fromBlock);
+        if (flags.confirmations !== undefined) options.confirmations = parseInt(flags.confirmations);
+        if (flags.interval !== undefined) options.pollingInterval = parseInt(flags.interval);
+        const limit = flags.limit !== undefined ? parseInt(flags.limit) : Infinity;
+
+        const stream = mc.watchTokenStatuses(options);
+        const stop = () => stream.stop();
+        process.once('SIGINT', stop);
+        let count = 0;
+        try {
+            for await (const change of stream) {
+                io.stdout.write(settings.output === 'json' ? JSON.stringify(change) + '\n' : formatRow({
+                    block: change.blockNumber,
+                    token: change.token,
+                    symbol: change.info ? change.info.symbol : '',
+                    previous: change.previous ? change.previous.errorLevel : '',
+                    level: change.status.errorLevel,
+                    message: change.status.errorMessage
+                }));
+                if (++count >= limit) break;
+            }
+        } finally {
+            process.removeListener('SIGINT', stop);
+        }
+        return undefined;
+    },
+
+    async 'token-info'(settings, args) {
+        if (!args[0]) throw new ArgumentError('The token address is not defined!', {argument: 'address'});
+        const token = new ERC20Interface(nodeAddress(settings), args[0], credentials(settings));
+        return token.tokenInfo();
+    },
+
+    async tx(settings, args, flags) {
+        if (args[0] !== 'list') throw new ArgumentError(`Unknown tx command "${args[0]}"`, {argument: 'command', value: args[0]});
+        if (!settings.journal)
+            throw new ConfigurationError('The journal file is not defined! Use --journal or MONITORCHAIN_JOURNAL', {setting: 'journal'});
+        const records = await new FileJournal(settings.journal).load();
+        return records.filter(txMeta => !flags.status || txMeta.status === flags.status).map(txMeta => ({
+            id: txMeta.id,
+            status: txMeta.status,
+            method: txMeta.method,
+            from: txMeta.address,
+            nonce: txMeta.nonce,
+            hash: txMeta.hash,
+            time: txMeta.time ? new Date(txMeta.time).toISOString() : null
+        }));
+    }
+};
+
+const formatValue = (value) => value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+const formatRow = (row) => Object.keys(row).map(key => `${key}=${formatValue(row[key])}`).join(' ') + '\n';
+
+// The rows as a table with a header, an object as the name-value pairs
+const formatTable = (result) => {
+    if (!Array.isArray(result)) return Object.keys(result).map(key => [key, formatValue(result[key])]);
+    if (!result.length) return [];
+    const columns = Object.keys(result[0]);
+    return [columns].concat(result.map(row => columns.map(column => formatValue(row[column]))));
+};
+
+const format = (result, output) => {
+    if (output === 'json') return JSON.stringify(result, null, 2) + '\n';
+    const rows = formatTable(result);
+    const widths = rows.reduce((widths, row) => row.map((cell, i) => Math.max(widths[i] || 0, cell.length)), []);
+    return rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd() + '\n').join('');
+};
+
+/**
+ * Runs the command of the arguments (without 'node' and the script), resolves the exit code:
+ * 0 - done, 1 - failed, 2 - invalid usage. The io is {stdout, stderr, env, cwd}, the process ones by default.
+ */
+const run = async (argv, io) => {
+    io = Object.assign({stdout: process.stdout, stderr: process.stderr, env: process.env, cwd: process.cwd()}, io);
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (err) {
+        io.stderr.write(`${err.message}\n${usage}`);
+        return 2;
+    }
+    const {command, args, flags} = parsed;
+    if (!command || flags.help) {
+        io.stdout.write(usage);
+        return command || flags.help ? 0 : 2;
+    }
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+        io.stderr.write(`Unknown command "${command}"\n${usage}`);
+        return 2;
+    }
+
+    try {
+        const settings = loadSettings(flags, io.env, io.cwd);
+        const result = await commands[command](settings, args, flags, io);
+        if (result !== undefined) io.stdout.write(format(result, settings.output));
+        return 0;
+    } catch (err) {
+        io.stderr.write(`${err instanceof InterfaceError ? err.name : 'Error'}: ${err.message}\n`);
+        return err instanceof ArgumentError ? 2 : 1;
+    }
+};
+
+module.exports = {
+    run,
+    parseArgs,
+    loadSettings
+};
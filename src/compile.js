@@ -21,11 +21,14 @@ const solc = require('solc');
 const fs = require('fs');
 
 
-const source = fs.readFileSync('./src/AccessInterface.sol', 'utf8');
-const output = solc.compile(source, 1).contracts;
+const compile = (file) => solc.compile(fs.readFileSync(`./src/${file}`, 'utf8'), 1).contracts;
+const output = Object.assign(compile('AccessInterface.sol'), compile('Multicall.sol'));
 
 for (let item in output) {
     const abi = JSON.parse(output[item]['interface']);
     const contractName = item.replace(':', '');
     fs.writeFileSync(`./src/${contractName}.json`, JSON.stringify(abi, null, 4));
 }
+
+// the bundled Multicall is deployed by ContractInterface.deployMulticall
+fs.writeFileSync('./src/Multicall.bin', '0x' + output[':Multicall'].bytecode);
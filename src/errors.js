@@ -0,0 +1,157 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const Web3js = require('web3');
+
+const abiCoder = new Web3js().eth.abi;
+
+// Error(string) and Panic(uint256) are encoded by the compiler itself, the custom errors are taken from the ABI
+const errorSelector = '0x08c379a0';
+const panicSelector = '0x4e487b71';
+
+/**
+ * The base class of the library errors: the fields are assigned to the error, the original error is kept in 'cause'.
+ */
+class InterfaceError extends Error {
+    constructor(message, fields) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, fields);
+    }
+}
+
+// a missing or unsupported node address, protocol, fee strategy, etc.
+class ConfigurationError extends InterfaceError {}
+
+// an invalid method argument: {argument, value}
+class ArgumentError extends InterfaceError {}
+
+// the value is less than the price: {required, provided}
+class InsufficientPaymentError extends InterfaceError {}
+
+// a reverted call or transaction: {method, reason, errorName, errorArgs, data, receipt}
+class RevertError extends InterfaceError {}
+
+// the gas limit can't be estimated or exceeds the block gas limit: {method, required, blockGasLimit, cause}
+class GasEstimationError extends InterfaceError {}
+
+// an unknown or already used nonce: {nonce, address}
+class NonceError extends InterfaceError {}
+
+// the node is unreachable or has answered with an invalid response: {cause}
+class ProviderError extends InterfaceError {}
+
+// the signer can't provide the address or sign the transaction: {code}
+class SignerError extends InterfaceError {}
+
+// the mined transaction has been dropped by a chain reorganisation: {hash}
+class ReorgError extends InterfaceError {}
+
+// an alert sink has failed to deliver the alert: {sink, status, code, cause}
+class AlertError extends InterfaceError {}
+
+
+/**
+ * Decodes the revert data against the contract ABI, returns null if the data is empty or unknown:
+ * {reason} for Error(string), {reason, code} for Panic(uint256), {reason, errorName, errorArgs} for the custom errors.
+ */
+const decodeRevert = (data, abi) => {
+    if (typeof data !== 'string' || data.length < 10) return null;
+    const selector = data.slice(0, 10).toLowerCase();
+    const encoded = '0x' + data.slice(10);
+
+    try {
+        if (selector === errorSelector)
+            return {reason: abiCoder.decodeParameter('string', encoded)};
+        if (selector === panicSelector) {
+            const code = abiCoder.decodeParameter('uint256', encoded);
+            return {reason: `Panic(${code})`, code: parseInt(code)};
+        }
+
+        const item = (abi || []).find(item => item.type === 'error' && abiCoder.encodeFunctionSignature(item) === selector);
+        if (!item) return null;
+        const decoded = abiCoder.decodeParameters(item.inputs, encoded);
+        const errorArgs = item.inputs.map((input, i) => decoded[i]);
+        return {reason: `${item.name}(${errorArgs.join(', ')})`, errorName: item.name, errorArgs: errorArgs};
+    } catch (e) {
+        return null;
+    }
+};
+
+// The revert data is nested differently by the nodes: {data: '0x..'}, {data: {data: '0x..'}}, {error: {data}},
+// ganache keeps it per transaction in {results: {<hash>: {return: '0x..'}}}
+const findRevertData = (err) => {
+    if (!err || typeof err !== 'object') return null;
+    const candidates = [err.data, err.data && err.data.data, err.error && err.error.data, err.originalError && err.originalError.data];
+    if (err.results) Object.keys(err.results).forEach(hash => candidates.push(err.results[hash].return));
+    return candidates.find(data => typeof data === 'string' && /^0x[0-9a-fA-F]{8}/.test(data)) || null;
+};
+
+const providerErrors = /CONNECTION ERROR|CONNECTION TIMEOUT|Invalid JSON RPC response|connection not open|ECONNREFUSED|ECONNRESET|ENOTFOUND|socket hang up/i;
+const revertErrors = /revert|Transaction has been reverted by the EVM/i;
+const nonceErrors = /nonce too low|nonce too high|nonce has already been used|the tx doesn't have the correct nonce/i;
+
+/**
+ * Converts an error returned by web3 to the library error: a revert (with the decoded reason), a nonce or
+ * a provider failure. Other errors and the library errors are returned unchanged.
+ * The context ({method, abi, nonce, address, receipt}) fills the fields of the error.
+ */
+const toInterfaceError = (err, context) => {
+    if (!err || err instanceof InterfaceError) return err;
+    context = context || {};
+    const message = err.message || String(err);
+    const cause = {cause: err};
+
+    const data = findRevertData(err);
+    const receipt = err.receipt || context.receipt;
+    if (data || revertErrors.test(message) || (receipt && receipt.status === false)) {
+        const decoded = decodeRevert(data, context.abi) || {};
+        const reason = decoded.reason || (message.match(/(?:execution reverted|revert):? (.+)$/) || [])[1] || null;
+        const method = context.method ? `"${context.method}" ` : '';
+        return new RevertError(`The ${method}transaction has been reverted${reason ? `: ${reason}` : ''}`, Object.assign({
+            method: context.method,
+            reason: reason,
+            errorName: decoded.errorName || (reason ? 'Error' : null),
+            errorArgs: decoded.errorArgs || (reason ? [reason] : []),
+            data: data,
+            receipt: receipt
+        }, cause));
+    }
+    if (nonceErrors.test(message))
+        return new NonceError(message, Object.assign({nonce: context.nonce, address: context.address}, cause));
+    if (providerErrors.test(message))
+        return new ProviderError(message, cause);
+    return err;
+};
+
+module.exports = {
+    InterfaceError,
+    ConfigurationError,
+    ArgumentError,
+    InsufficientPaymentError,
+    RevertError,
+    GasEstimationError,
+    NonceError,
+    ProviderError,
+    SignerError,
+    ReorgError,
+    AlertError,
+    decodeRevert,
+    toInterfaceError
+};
@@ -0,0 +1,322 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const {log} = require('./utils');
+const {ArgumentError, ProviderError, toInterfaceError} = require('./errors');
+const {FileJournal} = require('./journal');
+
+// an event is identified by its transaction and position in the block, a removed (reorged) event is delivered again
+const eventKey = (event) => `${event.transactionHash}:${event.logIndex}${event.removed ? ':removed' : ''}`;
+
+// the nodes refuse the log queries over too many blocks or results in different words
+const tooManyResults = /more than \d+ results|too many|response size|limit exceeded|exceeds? (the )?max|block range|range (is )?too (large|wide)|is limited to/i;
+
+
+/**
+ * The base class of the event sources: calls back with every event of the contract once,
+ * 'lastBlock' is the last block seen by the watcher. The options are the web3 event options ({filter, fromBlock, topics})
+ * and the polling ones: {pollingInterval: 4000 (ms), confirmations: 0 (blocks)}.
+ */
+class EventWatcher {
+    constructor(contract, w3, eventName, options, callback) {
+        if (!callback || typeof callback !== 'function')
+            throw new ArgumentError('A callback must be a function!', {argument: 'callback', value: callback});
+        if (typeof contract.events[eventName] !== 'function')
+            throw new ArgumentError(`The contract has no "${eventName}" event!`, {argument: 'eventName', value: eventName});
+
+        options = Object.assign({}, options);
+        this.pollingInterval = options.pollingInterval || 4000;
+        this.confirmations = options.confirmations || 0;
+        delete options.pollingInterval;
+        delete options.confirmations;
+
+        this.contract = contract;
+        this.w3 = w3;
+        this.event = eventName;
+        this.options = options;
+        this.callback = callback;
+        this.lastBlock = null;
+        this.active = false;
+        this._seen = new Map();
+    }
+
+    _deliver(event) {
+        const key = eventKey(event);
+        if (this._seen.has(key))
+            return log.debug(`${this.constructor.name}: "${this.event}" ${key} is already delivered`);
+        this._seen.set(key, event.blockNumber);
+        if (this.lastBlock === null || event.blockNumber > this.lastBlock) this.lastBlock = event.blockNumber;
+        this.callback(null, event);
+    }
+
+    // the blocks before the last one are not replayed, their events are forgotten
+    _prune() {
+        this._seen.forEach((blockNumber, key) => {
+            if (blockNumber < this.lastBlock) this._seen.delete(key);
+        });
+    }
+}
+
+/**
+ * Listens for the event over a ws or ipc subscription. When the provider reconnects the subscription
+ * is re-established and the events are replayed from the last seen block, the already delivered ones are skipped.
+ */
+class SubscriptionWatcher extends EventWatcher {
+    start() {
+        this.active = true;
+        this.reconnecting = false;
+        this._providerListeners = {
+            reconnect: () => this._drop(),
+            connect: () => this._resubscribe(),
+            error: (err) => this._onProviderError(err)
+        };
+        const provider = this.w3.currentProvider;
+        if (provider && typeof provider.on === 'function')
+            Object.keys(this._providerListeners).forEach(event => provider.on(event, this._providerListeners[event]));
+
+        this._subscribe(this.options.fromBlock);
+        // without the events seen the replay starts from the block of the subscription
+        this.w3.eth.getBlockNumber().then(number => {
+            if (this.lastBlock === null) this.lastBlock = number;
+        }, () => {});
+        return this;
+    }
+
+    stop() {
+        this.active = false;
+        const provider = this.w3.currentProvider;
+        if (provider && typeof provider.removeListener === 'function')
+            Object.keys(this._providerListeners).forEach(event => provider.removeListener(event, this._providerListeners[event]));
+        if (this.subscription) this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    _subscribe(fromBlock) {
+        const options = Object.assign({}, this.options);
+        // web3 ignores the zero block number, the hex one is passed as is
+        if (typeof fromBlock === 'number') options.fromBlock = '0x' + fromBlock.toString(16);
+        else if (fromBlock !== undefined && fromBlock !== null) options.fromBlock = fromBlock;
+        this.subscription = this.contract.events[this.event](options)
+            .on('data', event => this._deliver(event))
+            .on('changed', event => this._deliver(event))
+            .on('error', err => this._onError(err));
+    }
+
+    // the subscription of the lost connection is dead, it is removed before web3 tries to resubscribe it
+    _drop() {
+        if (!this.active || this.reconnecting) return;
+        this.reconnecting = true;
+        if (this.subscription) this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    _resubscribe() {
+        if (!this.active || !this.reconnecting) return;
+        this.reconnecting = false;
+        log.info(`SubscriptionWatcher: "${this.event}" is resubscribed, the events are replayed from the block ${this.lastBlock}`);
+        this._prune();
+        this._subscribe(this.lastBlock);
+    }
+
+    _onError(err) {
+        if (this.reconnecting) return log.warn(`SubscriptionWatcher: "${this.event}" - ${err.message || err}`);
+        this.callback(err, null);
+    }
+
+    // the provider has given up reconnecting, the events are not delivered anymore
+    _onProviderError(err) {
+        if (!this.active || !this.reconnecting || !/reconnect attempts/i.test(err && err.message)) return;
+        this.callback(new ProviderError(`"${this.event}" listener has lost the connection: ${err.message}`, {cause: err}), null);
+    }
+}
+
+/**
+ * Polls the new blocks for the events with getPastEvents, for the providers without subscriptions (http).
+ * The events are delivered once the block has 'confirmations' blocks on top of it. A failed poll is retried
+ * over the same range, the events are not lost.
+ */
+class PollingWatcher extends EventWatcher {
+    start() {
+        this.active = true;
+        this._poll();
+        return this;
+    }
+
+    stop() {
+        this.active = false;
+        clearTimeout(this._timer);
+    }
+
+    async _poll() {
+        try {
+            const head = await this.w3.eth.getBlockNumber();
+            const toBlock = head - this.confirmations;
+            // without 'fromBlock' only the events of the next blocks are delivered, as by a subscription
+            if (this.nextBlock === undefined) this.nextBlock = this._startBlock(head);
+
+            if (this.active && toBlock >= this.nextBlock) {
+                const options = Object.assign({}, this.options, {fromBlock: this.nextBlock, toBlock: toBlock});
+                const events = await this.contract.getPastEvents(this.event, options);
+                log.debug(`PollingWatcher: "${this.event}" blocks ${this.nextBlock}-${toBlock}, ${events.length} event(s)`);
+                if (!this.active) return;
+                events.forEach(event => this._deliver(event));
+                this.nextBlock = toBlock + 1;
+                this.lastBlock = toBlock;
+                this._prune();
+            }
+        } catch (err) {
+            log.warn(`PollingWatcher: "${this.event}" polling failed, retrying in ${this.pollingInterval} ms: ${err.message || err}`);
+        }
+        if (this.active) this._timer = setTimeout(() => this._poll(), this.pollingInterval);
+    }
+
+    _startBlock(head) {
+        const fromBlock = this.options.fromBlock;
+        if (fromBlock === undefined || fromBlock === null || fromBlock === 'latest' || fromBlock === 'pending')
+            return head + 1;
+        if (fromBlock === 'earliest') return 0;
+        return parseInt(fromBlock);
+    }
+}
+
+/**
+ * The past events of a block range, fetched by chunks of 'chunkSize' blocks (2000) with 'concurrency' (4)
+ * requests at once and iterated in the block order: `for await (const event of range)`.
+ * A chunk refused for too many results is split in halves, the following chunks are smaller
+ * and grow back after three full chunks in a row. The 'checkpoint' (a Journal or a file name) keeps the next block
+ * of the range under 'checkpointId': an interrupted backfill is resumed after the last fully iterated chunk.
+ */
+class EventRange {
+    constructor(contract, w3, eventName, fromBlock, toBlock, filter, options) {
+        if (typeof contract.events[eventName] !== 'function')
+            throw new ArgumentError(`The contract has no "${eventName}" event!`, {argument: 'eventName', value: eventName});
+        options = options || {};
+
+        this.contract = contract;
+        this.w3 = w3;
+        this.event = eventName;
+        this.fromBlock = fromBlock === undefined || fromBlock === null || fromBlock === 'earliest' ? 0 : fromBlock;
+        this.toBlock = toBlock === undefined || toBlock === null ? 'latest' : toBlock;
+        this.filter = filter || {};
+        this.maxChunkSize = options.chunkSize || 2000;
+        this.chunkSize = this.maxChunkSize;
+        this.concurrency = options.concurrency || 4;
+        this.checkpoint = typeof options.checkpoint === 'string' ? new FileJournal(options.checkpoint, 'json') : options.checkpoint;
+        this.checkpointId = options.checkpointId ||
+            `${contract.options.address}:${eventName}:${JSON.stringify(this.filter)}:${this.fromBlock}`;
+        this.stats = {requests: 0, splits: 0, chunks: 0, events: 0, nextBlock: null};
+        this._successes = 0;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        const [start, end] = await this._resolve();
+        const pending = [];
+        let cursor = start;
+
+        // the next chunks are fetched while the current one is iterated
+        const schedule = () => {
+            while (pending.length < this.concurrency && cursor <= end) {
+                const from = cursor;
+                const to = Math.min(from + this.chunkSize - 1, end);
+                const promise = this._fetch(from, to);
+                promise.catch(() => {});
+                pending.push({from, to, promise});
+                cursor = to + 1;
+            }
+        };
+
+        schedule();
+        while (pending.length) {
+            const chunk = pending.shift();
+            const events = await chunk.promise;
+            schedule();
+            for (const event of events) {
+                this.stats.events++;
+                yield event;
+            }
+            this.stats.chunks++;
+            this.stats.nextBlock = chunk.to + 1;
+            await this._save(chunk.to + 1);
+        }
+    }
+
+    // Resolves all the events of the range
+    async toArray() {
+        const result = [];
+        for await (const event of this) result.push(event);
+        return result;
+    }
+
+    async _resolve() {
+        const end = ['latest', 'pending'].includes(this.toBlock) ? await this.w3.eth.getBlockNumber() : parseInt(this.toBlock);
+        let start = parseInt(this.fromBlock);
+        if (this.checkpoint) {
+            const record = (await this.checkpoint.load()).find(record => record.id === this.checkpointId);
+            if (record && record.nextBlock > start) {
+                log.info(`EventRange: "${this.event}" is resumed from the block ${record.nextBlock}`);
+                start = record.nextBlock;
+            }
+        }
+        this.stats.nextBlock = start;
+        return [start, end];
+    }
+
+    async _fetch(from, to) {
+        let events;
+        try {
+            this.stats.requests++;
+            events = await this.contract.getPastEvents(this.event, {filter: this.filter, fromBlock: from, toBlock: to});
+        } catch (err) {
+            if (from === to || !tooManyResults.test(err.message || err)) throw toInterfaceError(err);
+
+            const half = Math.ceil((to - from + 1) / 2);
+            this.chunkSize = Math.min(this.chunkSize, half);
+            this._successes = 0;
+            this.stats.splits++;
+            log.warn(`EventRange: "${this.event}" blocks ${from}-${to} are split by ${half}: ${err.message || err}`);
+            const left = await this._fetch(from, from + half - 1);
+            return left.concat(await this._fetch(from + half, to));
+        }
+        // the chunks grow back after a few full chunks in a row
+        if (to - from + 1 >= this.chunkSize && ++this._successes >= 3) {
+            this.chunkSize = Math.min(this.chunkSize * 2, this.maxChunkSize);
+            this._successes = 0;
+        }
+        return events;
+    }
+
+    async _save(nextBlock) {
+        if (!this.checkpoint) return;
+        await this.checkpoint.write({
+            id: this.checkpointId,
+            event: this.event,
+            address: this.contract.options.address,
+            fromBlock: this.fromBlock,
+            nextBlock: nextBlock,
+            updatedAt: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = {
+    EventWatcher,
+    SubscriptionWatcher,
+    PollingWatcher,
+    EventRange
+};
@@ -0,0 +1,100 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const bn = require('big-integer');
+const {log, _to, toDecimal, toWei} = require('./utils');
+const {ConfigurationError} = require('./errors');
+
+// the priority fee percentile of the recent blocks and the legacy gas price multiplier of every strategy
+const strategies = {
+    slow: {percentile: 10, multiplier: 1},
+    normal: {percentile: 50, multiplier: 1.2},
+    fast: {percentile: 90, multiplier: 1.5}
+};
+
+const historyBlocks = 10;
+const minPriorityFee = toWei(1, 'gwei');
+
+
+const median = (values) => {
+    const sorted = values.slice().sort((a, b) => a.compare(b));
+    return sorted.length ? sorted[Math.floor(sorted.length / 2)] : bn.zero;
+};
+
+/**
+ * Calculates the EIP-1559 fees from an eth_feeHistory result requested with a single reward percentile:
+ * the priority fee is the median of the blocks' rewards, the max fee covers the doubled next base fee.
+ */
+const estimateFees = (feeHistory) => {
+    const rewards = (feeHistory.reward || [])
+        .map(reward => bn(toDecimal(reward[0])))
+        .filter(reward => reward.gt(0));
+    let priorityFee = median(rewards);
+    if (priorityFee.isZero()) priorityFee = bn(minPriorityFee);
+
+    const baseFees = feeHistory.baseFeePerGas;
+    const nextBaseFee = bn(toDecimal(baseFees[baseFees.length - 1]));
+
+    return {
+        maxFeePerGas: nextBaseFee.multiply(2).add(priorityFee).toString(),
+        maxPriorityFeePerGas: priorityFee.toString()
+    }
+};
+
+/**
+ * Resolves the fee options of a transaction for the strategy ('slow', 'normal', 'fast' or a function):
+ * {maxFeePerGas, maxPriorityFeePerGas} on the London chains, {gasPrice} on the chains without the base fee.
+ * A custom strategy is called with {london, block, feeHistory, gasPrice} and may return either of the option sets,
+ * the 'normal' strategy is applied if it returns nothing.
+ */
+const getFeeOptions = async (w3, strategy) => {
+    strategy = strategy || 'normal';
+    if (typeof strategy !== 'function' && !strategies[strategy])
+        throw new ConfigurationError(`"${strategy}" fee strategy is not supported! ` +
+            `Supported strategies: ${JSON.stringify(Object.keys(strategies))}`, {setting: 'feeStrategy', value: strategy});
+
+    const block = await w3.eth.getBlock('latest');
+    const london = block.baseFeePerGas !== undefined && block.baseFeePerGas !== null;
+    const percentile = (strategies[strategy] || strategies.normal).percentile;
+
+    let feeHistory = null;
+    if (london) {
+        let err;
+        [err, feeHistory] = await _to(w3.eth.getFeeHistory(historyBlocks, 'latest', [percentile]));
+        if (err) log.warn(`getFeeOptions: eth_feeHistory is not available, fall back to the legacy gas price: ${err}`);
+    }
+
+    const gasPrice = await w3.eth.getGasPrice();
+
+    if (typeof strategy === 'function') {
+        const custom = await strategy({london, block, feeHistory, gasPrice: toDecimal(gasPrice)});
+        if (custom) return custom;
+        strategy = 'normal';
+    }
+
+    if (feeHistory) return estimateFees(feeHistory);
+
+    return {gasPrice: Math.floor(gasPrice * strategies[strategy].multiplier)};
+};
+
+module.exports = {
+    strategies,
+    estimateFees,
+    getFeeOptions
+};
@@ -0,0 +1,281 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const Web3js = require('web3');
+const {log, toChecksum, txResult} = require('./utils');
+const {toStatus} = require('./statuses');
+const {ArgumentError, InsufficientPaymentError, RevertError, GasEstimationError, ProviderError} = require('./errors');
+
+// the HTTP status of an error, 500 by default
+const statusOf = (err) => {
+    if (err instanceof ArgumentError || err instanceof InsufficientPaymentError) return 400;
+    if (err instanceof RevertError || err instanceof GasEstimationError) return 422;
+    if (err instanceof ProviderError) return 502;
+    return err.status || 500;
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+const address = (value, name) => {
+    if (!Web3js.utils.isAddress(value))
+        throw new ArgumentError(`"${value}" is not a valid ${name} address`, {argument: name, value: value});
+    return toChecksum(value);
+};
+
+// the malformed urls and path segments are the client's errors
+const parseUrl = (url) => {
+    try {
+        return new URL(url, 'http://localhost');
+    } catch (e) {
+        throw new HttpError(400, `Invalid url: ${url}`);
+    }
+};
+
+const decodeParam = (param) => {
+    try {
+        return decodeURIComponent(param);
+    } catch (e) {
+        throw new HttpError(400, `Invalid escape in the path: ${param}`);
+    }
+};
+
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > limit) {
+            reject(new HttpError(413, 'The request body is too large'));
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        try {
+            resolve(body ? JSON.parse(body) : {});
+        } catch (e) {
+            reject(new HttpError(400, `Invalid JSON body: ${e.message}`));
+        }
+    });
+    req.on('error', reject);
+});
+
+
+/**
+ * The HTTP/JSON gateway of an AccessInterface for the services in other languages:
+ *  GET  /tokens                              the supported tokens
+ *  GET  /subscription[?address=]             the subscription of the address (the wallet by default)
+ *  GET  /tokens/:token/status                the current status and the number of the statuses
+ *  GET  /tokens/:token/statuses/:number      a status of the token
+ *  GET  /tokens/:token/info                  the ERC20 metadata
+ *  GET  /tokens/:token/balances/:holder[?block=]
+ *  POST /subscribe      {tokens, days, accessAddress, value, simulate}
+ *  POST /subscribe-all  {days, accessAddress, value, simulate}
+ *  GET  /events                              the Server-Sent Events of the token status changes
+ * The POST endpoints require the 'apiKey' in the 'X-API-Key' or 'Authorization: Bearer' header, they are disabled
+ * without it. The SSE clients share one TokenStatusStream (with the 'watch' options), started with the first client.
+ * Options: {apiKey, watch, heartbeat: 15000 (ms), maxBodySize: 65536}. 'handler' serves the requests of another server.
+ */
+class Gateway {
+    constructor(access, options) {
+        options = options || {};
+        this.access = access;
+        this.apiKey = options.apiKey || null;
+        this.watch = options.watch || {};
+        this.heartbeat = options.heartbeat || 15000;
+        this.maxBodySize = options.maxBodySize || 65536;
+        this.server = null;
+        this._clients = new Set();
+        this._stream = null;
+        this.handler = (req, res) => this._handle(req, res);
+
+        this.routes = [
+            ['GET', /^\/tokens$/, () => this._tokens()],
+            ['GET', /^\/subscription$/, (params, query) => this._subscription(query.get('address'))],
+            ['GET', /^\/tokens\/([^/]+)\/status$/, ([token]) => this._status(token)],
+            ['GET', /^\/tokens\/([^/]+)\/statuses\/(\d+)$/, ([token, number]) => this._statusDetails(token, parseInt(number))],
+            ['GET', /^\/tokens\/([^/]+)\/info$/, ([token]) => this.access.tokenInterface(address(token, 'token')).tokenInfo()],
+            ['GET', /^\/tokens\/([^/]+)\/balances\/([^/]+)$/, ([token, holder], query) => this._balance(token, holder, query.get('block'))],
+            ['POST', /^\/subscribe$/, (params, query, body) => this._subscribe(body), true],
+            ['POST', /^\/subscribe-all$/, (params, query, body) => this._subscribeAll(body), true]
+        ];
+    }
+
+    listen(port, host) {
+        this.server = http.createServer(this.handler);
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port || 0, host || '127.0.0.1', () => {
+                const bound = this.server.address();
+                log.info(`Gateway: listening on ${bound.address}:${bound.port}`);
+                resolve(bound);
+            });
+        });
+    }
+
+    // Ends the event streams and closes the server
+    close() {
+        this._clients.forEach(client => client.end());
+        this._clients.clear();
+        this._stopStream();
+        if (!this.server) return Promise.resolve();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async _handle(req, res) {
+        let url = null;
+        try {
+            url = parseUrl(req.url);
+            if (url.pathname === '/events') {
+                if (req.method !== 'GET') throw new HttpError(405, 'Method not allowed');
+                return this._events(req, res);
+            }
+            const route = this.routes.find(route => route[1].test(url.pathname));
+            if (!route) throw new HttpError(404, `${url.pathname} is not found`);
+            if (route[0] !== req.method) throw new HttpError(405, 'Method not allowed');
+            if (route[3]) this._authorize(req);
+
+            const body = req.method === 'POST' ? await readBody(req, this.maxBodySize) : null;
+            const params = route[1].exec(url.pathname).slice(1).map(decodeParam);
+            this._send(res, 200, await route[2](params, url.searchParams, body));
+        } catch (err) {
+            const status = statusOf(err);
+            if (status >= 500) log.error(`Gateway: ${req.method} ${url ? url.pathname : req.url} has failed: ${err.message || err}`);
+            this._send(res, status, {error: {name: err.name, message: err.message, reason: err.reason}});
+        }
+    }
+
+    _authorize(req) {
+        if (!this.apiKey) throw new HttpError(403, 'The write endpoints are disabled without the API key');
+        const header = req.headers['x-api-key'] || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const [given, expected] = [header, this.apiKey].map(key => crypto.createHash('sha256').update(String(key)).digest());
+        if (!header || !crypto.timingSafeEqual(given, expected)) throw new HttpError(401, 'Invalid API key');
+    }
+
+    _send(res, status, body) {
+        const data = JSON.stringify(body === undefined ? null : body);
+        res.writeHead(status, {'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data)});
+        res.end(data);
+    }
+
+    async _tokens() {
+        return {tokens: await this.access.getAllSupportedTokens()};
+    }
+
+    async _subscription(accessAddress) {
+        await this.access.init();
+        const from = accessAddress ? address(accessAddress, 'access') : this.access.wallet;
+        const [data, remaining, tokens] = await Promise.all([this.access.getSubscriptionData({from}),
+            this.access.remainingSubscriptionDays({from}), this.access.getTokensSubscribedTo(from)]);
+        return {
+            address: from,
+            start: parseInt(data[0]),
+            numberOfDays: parseInt(data[1]),
+            dailyPrice: data[2],
+            overheadBalance: data[3],
+            accessAddress: data[4],
+            remainingDays: parseInt(remaining),
+            tokens: tokens
+        };
+    }
+
+    async _status(token) {
+        token = address(token, 'token');
+        const [details, count] = await Promise.all([this.access.getCurrentStatusDetails(token), this.access.getTotalStatusCounts(token)]);
+        const statuses = parseInt(count);
+        return {token: token, statuses: statuses, status: statuses ? toStatus(statuses - 1, details) : null};
+    }
+
+    async _statusDetails(token, statusNumber) {
+        token = address(token, 'token');
+        const count = parseInt(await this.access.getTotalStatusCounts(token));
+        if (statusNumber >= count) throw new HttpError(404, `The token has ${count} status(es)`);
+        return {token: token, status: toStatus(statusNumber, await this.access.getStatusDetails(token, statusNumber))};
+    }
+
+    async _balance(token, holder, block) {
+        const erc20 = this.access.tokenInterface(address(token, 'token'));
+        holder = address(holder, 'holder');
+        if (block !== null && !/^\d+$/.test(block))
+            throw new ArgumentError(`"${block}" is not a block number`, {argument: 'block', value: block});
+        const blockNumber = block === null ? await this.access.w3.eth.getBlockNumber() : parseInt(block);
+        return {token: erc20.address, holder: holder, blockNumber: blockNumber, balance: await erc20.balanceOfAtBlock(holder, blockNumber)};
+    }
+
+    async _subscribe(body) {
+        if (!Array.isArray(body.tokens) || !body.tokens.length)
+            throw new ArgumentError('tokens is either not an array or an empty array.', {argument: 'tokens', value: body.tokens});
+        const tokens = body.tokens.map(token => address(token, 'token'));
+        return txResult(await this.access.subscribe(tokens, body.days || null, this._accessAddress(body),
+            body.value || null, {simulate: !!body.simulate}));
+    }
+
+    async _subscribeAll(body) {
+        return txResult(await this.access.subscribeAll(body.days || null, this._accessAddress(body),
+            body.value || null, {simulate: !!body.simulate}));
+    }
+
+    _accessAddress(body) {
+        return body.accessAddress ? address(body.accessAddress, 'access') : null;
+    }
+
+    // the changes are sent to every client as 'status' events with the event id, a comment keeps the connection open
+    _events(req, res) {
+        res.writeHead(200, {'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive'});
+        res.write(': connected\n\n');
+        const timer = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeat);
+        const client = {res: res, end: () => res.end()};
+        this._clients.add(client);
+        if (!this._stream) this._startStream();
+
+        req.on('close', () => {
+            clearInterval(timer);
+            this._clients.delete(client);
+            if (!this._clients.size) this._stopStream();
+        });
+    }
+
+    _startStream() {
+        this._stream = this.access.watchTokenStatuses(this.watch);
+        this._stream.on('status', change => {
+            const message = `id: ${change.eventId}\nevent: status\ndata: ${JSON.stringify(change)}\n\n`;
+            this._clients.forEach(client => client.res.write(message));
+        });
+        this._stream.on('error', err => {
+            log.error(`Gateway: the status stream has failed: ${err.message || err}`);
+            const message = `event: error\ndata: ${JSON.stringify({message: err.message})}\n\n`;
+            this._clients.forEach(client => client.res.write(message));
+        });
+    }
+
+    _stopStream() {
+        if (this._stream) this._stream.stop();
+        this._stream = null;
+    }
+}
+
+module.exports = {
+    Gateway
+};
@@ -0,0 +1,223 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const bn = require('big-integer');
+const {log, toChecksum} = require('./utils');
+const {ArgumentError} = require('./errors');
+
+const zeroAddress = '0x0000000000000000000000000000000000000000';
+
+// the share of a balance in the supply, 0 for an empty supply
+const share = (balance, total) => total.isZero() ? 0 : parseFloat(balance.toString()) / parseFloat(total.toString());
+
+
+/**
+ * The holder balances of an ERC20 token replayed from its Transfer events (the mints are the transfers from
+ * the zero address, the burns are the transfers to it). The balance history of every holder is kept,
+ * the snapshots and metrics are available at any indexed block.
+ * Options: {fromBlock (the deployment block is looked up by default), chunkSize, concurrency} of getPastEventsRange.
+ */
+class HolderIndex {
+    constructor(token, options) {
+        options = options || {};
+        this.token = token;
+        this.fromBlock = options.fromBlock;
+        this.options = {chunkSize: options.chunkSize, concurrency: options.concurrency};
+        this.lastBlock = null;
+        this.transfers = 0;
+        this._history = new Map();
+        this._supply = [];
+    }
+
+    // The first block with the token code, found by a binary search over the archive state
+    async findDeploymentBlock() {
+        let low = 0;
+        let high = await this.token.w3.eth.getBlockNumber();
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const code = await this.token.w3.eth.getCode(this.token.address, middle);
+            if (code && code !== '0x') high = middle;
+            else low = middle + 1;
+        }
+        return low;
+    }
+
+    /**
+     * Replays the Transfer events up to the block ('latest' by default) from the last indexed one.
+     * Resolves {fromBlock, toBlock, transfers, holders}.
+     */
+    async sync(toBlock) {
+        if (this.fromBlock === undefined || this.fromBlock === null) this.fromBlock = await this.findDeploymentBlock();
+        const end = toBlock === undefined || toBlock === null || toBlock === 'latest' ?
+            await this.token.w3.eth.getBlockNumber() : parseInt(toBlock);
+        const start = this.lastBlock === null ? this.fromBlock : this.lastBlock + 1;
+
+        let transfers = 0;
+        if (end >= start) {
+            const range = this.token.getPastEventsRange('Transfer', start, end, null, this.options);
+            for await (const event of range) {
+                this._apply(event);
+                transfers++;
+            }
+            this.lastBlock = end;
+            this.transfers += transfers;
+        }
+        log.debug(`HolderIndex: ${this.token.address} blocks ${start}-${end}, ${transfers} transfer(s)`);
+        return {fromBlock: start, toBlock: end, transfers: transfers, holders: this.holders().length};
+    }
+
+    // The balance of the holder at the block, the last indexed one by default
+    balanceOf(holder, blockNumber) {
+        const history = this._history.get(toChecksum(holder));
+        return history ? this._at(history, this._block(blockNumber)).toString() : '0';
+    }
+
+    // The supply minted minus burned by the events
+    totalSupply(blockNumber) {
+        return this._at(this._supply, this._block(blockNumber)).toString();
+    }
+
+    // The holders with a positive balance at the block by the balance descending: [{address, balance}]
+    holders(blockNumber) {
+        return this._balances(this._block(blockNumber))
+            .filter(item => item.balance.isPositive())
+            .map(item => ({address: item.address, balance: item.balance.toString()}));
+    }
+
+    top(n, blockNumber) {
+        return this.holders(blockNumber).slice(0, n || 10);
+    }
+
+    snapshot(blockNumber) {
+        const block = this._block(blockNumber);
+        const holders = this.holders(block);
+        return {blockNumber: block, holderCount: holders.length, totalSupply: this.totalSupply(block), holders: holders};
+    }
+
+    /**
+     * The concentration metrics at the block: the share of the top 'n' holders (10), the Herfindahl-Hirschman
+     * index (the sum of the squared shares, 0..1) and the Gini coefficient of the positive balances.
+     */
+    concentration(blockNumber, n) {
+        n = n || 10;
+        const block = this._block(blockNumber);
+        const balances = this._balances(block).filter(item => item.balance.isPositive()).map(item => item.balance);
+        const total = balances.reduce((sum, balance) => sum.add(balance), bn.zero);
+        const shares = balances.map(balance => share(balance, total));
+
+        // the Gini coefficient of the balances sorted ascending: sum((2i - n - 1) * x_i) / (n * sum(x))
+        const ascending = shares.slice().reverse();
+        const gini = ascending.length < 2 ? 0 :
+            ascending.reduce((sum, x, i) => sum + (2 * (i + 1) - ascending.length - 1) * x, 0) / ascending.length;
+
+        return {
+            blockNumber: block,
+            holderCount: balances.length,
+            totalSupply: total.toString(),
+            top: n,
+            topShare: shares.slice(0, n).reduce((sum, x) => sum + x, 0),
+            hhi: shares.reduce((sum, x) => sum + x * x, 0),
+            gini: gini
+        };
+    }
+
+    /**
+     * Compares the indexed balances of a sample with balanceOf at the last indexed block: the negative
+     * balances and the 'sampleSize' (10) largest ones, as well as the total supply. A mismatch reveals a token
+     * whose balances don't follow its events (unannounced mints, rebases, fees on transfer).
+     * Resolves {blockNumber, checked, mismatches: [{address, indexed, actual}], totalSupply: {indexed, actual}, consistent}.
+     */
+    async verify(sampleSize) {
+        if (this.lastBlock === null)
+            throw new ArgumentError('The index is not synced yet!', {argument: 'lastBlock', value: null});
+        sampleSize = sampleSize || 10;
+        const block = this.lastBlock;
+        const balances = this._balances(block);
+        const sample = balances.filter(item => item.balance.isNegative())
+            .concat(balances.filter(item => item.balance.isPositive()).slice(0, sampleSize));
+
+        const mismatches = [];
+        for (const item of sample) {
+            const actual = await this.token.balanceOfAtBlock(item.address, block);
+            if (!bn(actual).equals(item.balance))
+                mismatches.push({address: item.address, indexed: item.balance.toString(), actual: actual});
+        }
+        const totalSupply = {indexed: this.totalSupply(block), actual: await this.token.totalSupplyAtBlock(block)};
+        const consistent = !mismatches.length && totalSupply.indexed === totalSupply.actual;
+        if (!consistent)
+            log.warn(`HolderIndex: the balances of ${this.token.address} don't follow the Transfer events, ` +
+                `${mismatches.length} of ${sample.length} mismatch(es)`);
+
+        return {blockNumber: block, checked: sample.length, mismatches: mismatches, totalSupply: totalSupply, consistent: consistent};
+    }
+
+    _apply(event) {
+        // the parameters are named differently by the tokens (from, _from, src...)
+        const [from, to, amount] = [0, 1, 2].map(i => event.returnValues[i]);
+        const value = bn(amount);
+        if (value.isZero()) return;
+
+        const block = event.blockNumber;
+        if (toChecksum(from) === zeroAddress) this._push(this._supply, block, value);
+        else this._change(from, block, value.negate());
+        if (toChecksum(to) === zeroAddress) this._push(this._supply, block, value.negate());
+        else this._change(to, block, value);
+    }
+
+    _change(holder, block, delta) {
+        const address = toChecksum(holder);
+        if (!this._history.has(address)) this._history.set(address, []);
+        this._push(this._history.get(address), block, delta);
+    }
+
+    // the history is a list of [block, balance], the changes of a block are merged
+    _push(history, block, delta) {
+        const last = history[history.length - 1];
+        const balance = (last ? last[1] : bn.zero).add(delta);
+        if (last && last[0] === block) last[1] = balance;
+        else history.push([block, balance]);
+    }
+
+    // the balance of the last change at or before the block
+    _at(history, block) {
+        let low = 0;
+        let high = history.length;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (history[middle][0] <= block) low = middle + 1;
+            else high = middle;
+        }
+        return low ? history[low - 1][1] : bn.zero;
+    }
+
+    _balances(block) {
+        return Array.from(this._history.keys())
+            .map(address => ({address: address, balance: this._at(this._history.get(address), block)}))
+            .sort((a, b) => b.balance.compare(a.balance));
+    }
+
+    _block(blockNumber) {
+        if (blockNumber === undefined || blockNumber === null || blockNumber === 'latest') return this.lastBlock;
+        return parseInt(blockNumber);
+    }
+}
+
+module.exports = {
+    HolderIndex
+};
@@ -35,18 +35,687 @@ declare interface TokenInfo {
     paused: boolean
 }
 
+declare interface TxMeta {
+    id: number | string,
+    chainId: number,
+    address: string,
+    contractAddress?: string,
+    method: string,
+    methodArgs: any[],
+    options: object,
+    txType: "send" | "call",
+    blockNumber?: number | string,
+    time: number,
+    status: "pending" | "submitted" | "mined" | "final" | "confirmed" | "failed" | "cancelled",
+    nonce?: number,
+    hash?: string,
+    replaced?: string[],
+    replacement?: "speedup" | "cancel",
+    blockNumber?: number,
+    blockHash?: string,
+    gasUsed?: number,
+    reconciled?: "not-broadcast" | "receipt" | "mempool" | "nonce-used" | "dropped"
+}
+
+export declare class Journal {
+    load(): Promise<TxMeta[]>;
+    write(txMeta: TxMeta): void | Promise<void>;
+}
+
+export declare class MemoryJournal extends Journal {
+    constructor(records?: TxMeta[]);
+    records: TxMeta[];
+}
+
+export declare class FileJournal extends Journal {
+    constructor(filename: string, format?: "json" | "ndjson");
+    filename: string;
+    format: "json" | "ndjson";
+    compact(): Promise<void>;
+}
+
+export declare class TransactionManager {
+    tx: TxMeta[];
+    journal: Journal | null;
+    totalGasUsed: object;
+    totalEthSpent: number;
+    useJournal(journal: Journal | null, web3Instance?: Web3js.default, confirmations?: number): Promise<TxMeta[]>;
+    reconcile(web3Instance: Web3js.default, confirmations?: number): Promise<TxMeta[]>;
+    getFailedTransactions(address?: string, chainId?: number): TxMeta[];
+    getConfirmedTransactions(address?: string, chainId?: number): TxMeta[];
+    getMinedTransactions(address?: string, chainId?: number): TxMeta[];
+    getFinalTransactions(address?: string, chainId?: number): TxMeta[];
+    getPendingTransactions(address?: string, chainId?: number): TxMeta[];
+    getCancelledTransactions(address?: string, chainId?: number): TxMeta[];
+    getSubmittedTransactions(address?: string, chainId?: number): TxMeta[];
+    getTxsByMetaData(key: string, value: any, txList?: TxMeta[]): TxMeta[];
+    simulateTx(obj: ContractInterface, txMeta: TxMeta, txObject?: object): Promise<[Error | null, SimulationResult | null]>;
+    getTxStat(id?: number | string): object;
+    getSenderStat(chainId: number, address: string): object;
+    effectiveGasPrice(receipt: object | null, options: object): string | number;
+}
+
+export declare const transactions: TransactionManager;
+
 export declare class Web3 {
-    constructor(nodeAddress: URL, mnemonic: string)
+    constructor(nodeAddress: URL | URL[], mnemonic: string)
+}
+
+export declare class ReconnectingWebsocketProvider {
+    constructor(url: URL, options?: { timeout?: number, headers?: object, clientConfig?: object, reconnect?: { delay?: number, maxDelay?: number, maxAttempts?: number | false, onTimeout?: boolean } });
+    connected: boolean;
+    reconnectAttempts: number;
+    disconnect(code?: number, reason?: string): void;
+    on(event: "connect" | "reconnect" | "data" | "error" | "close", listener: (...args: any[]) => void): this;
+}
+
+declare interface EventOptions {
+    filter?: object,
+    fromBlock?: number | string,
+    topics?: string[],
+    pollingInterval?: number,
+    confirmations?: number
+}
+
+declare interface EventWatcher {
+    event: string;
+    lastBlock: number | null;
+    active: boolean;
+    stop(): void;
+}
+
+declare interface EventRangeOptions {
+    chunkSize?: number,
+    concurrency?: number,
+    checkpoint?: Journal | string,
+    checkpointId?: string
+}
+
+declare interface EventRange extends AsyncIterable<EventLog> {
+    chunkSize: number;
+    stats: { requests: number, splits: number, chunks: number, events: number, nextBlock: number | null };
+    toArray(): Promise<EventLog[]>;
+}
+
+declare interface Holder {
+    address: string,
+    balance: string
+}
+
+declare interface HolderVerification {
+    blockNumber: number,
+    checked: number,
+    mismatches: { address: string, indexed: string, actual: string }[],
+    totalSupply: { indexed: string, actual: string },
+    consistent: boolean
+}
+
+export declare class HolderIndex {
+    constructor(token: ERC20Interface, options?: { fromBlock?: number, chunkSize?: number, concurrency?: number });
+    fromBlock: number;
+    lastBlock: number | null;
+    transfers: number;
+    findDeploymentBlock(): Promise<number>;
+    sync(toBlock?: number | string): Promise<{ fromBlock: number, toBlock: number, transfers: number, holders: number }>;
+    balanceOf(holder: string, blockNumber?: number): string;
+    totalSupply(blockNumber?: number): string;
+    holders(blockNumber?: number): Holder[];
+    top(n?: number, blockNumber?: number): Holder[];
+    snapshot(blockNumber?: number): { blockNumber: number, holderCount: number, totalSupply: string, holders: Holder[] };
+    concentration(blockNumber?: number, n?: number): { blockNumber: number, holderCount: number, totalSupply: string, top: number, topShare: number, hhi: number, gini: number };
+    verify(sampleSize?: number): Promise<HolderVerification>;
+}
+
+export declare class CallBatcher {
+    constructor(w3: Web3js.default, options?: { address?: string, maxCalls?: number });
+    static of(w3: Web3js.default): CallBatcher;
+    static readonly bytecode: string;
+    static readonly abi: ABIDefinition;
+    address: string | null;
+    maxCalls: number;
+    stats: { calls: number, multicalls: number, batches: number };
+}
+
+declare type CachePolicy = "forever" | "block" | number | false;
+
+declare interface CacheOptions {
+    policies?: { [method: string]: CachePolicy },
+    defaultPolicy?: CachePolicy,
+    blockInterval?: number,
+    maxEntries?: number
+}
+
+export declare class CallCache {
+    constructor(options?: CacheOptions);
+    policies: { [method: string]: CachePolicy };
+    defaultPolicy: CachePolicy;
+    blockInterval: number;
+    maxEntries: number;
+    blockNumber: number | null;
+    readonly stats: { hits: number, misses: number, invalidations: number, entries: number, hitRate: number };
+    policy(obj: ContractInterface, method: string): CachePolicy;
+    newBlock(blockNumber: number): void;
+    invalidate(address?: string): void;
+    clear(): void;
+}
+
+declare interface Amount {
+    wei: string,
+    ether: string
+}
+
+declare interface QuoteOption {
+    method: "subscribe" | "subscribeAll",
+    price: Amount,
+    dailyPrice: Amount,
+    overhead: Amount,
+    gas: number | null,
+    gasPrice: string | null,
+    gasCost: Amount | null,
+    totalCost: Amount
+}
+
+declare interface Quote {
+    days: number,
+    minDays: number,
+    tokens: number,
+    supportedTokens: number,
+    subscribe: QuoteOption | null,
+    subscribeAll: QuoteOption,
+    cheapest: "subscribe" | "subscribeAll",
+    breakEven: number | null
+}
+
+declare interface SyncOptions extends TxOptions {
+    accessAddress?: string,
+    days?: number,
+    value?: string,
+    force?: boolean,
+    planOnly?: boolean
+}
+
+declare interface SyncAction {
+    method: "subscribe" | "unsubscribe",
+    tokens: string[],
+    days?: number,
+    value?: string,
+    price: Amount,
+    gas: number | null,
+    gasPrice: string | null,
+    gasCost: Amount | null,
+    totalCost: Amount
+}
+
+declare interface SyncPlan {
+    address: string,
+    days: number,
+    current: string[],
+    desired: string[],
+    add: string[],
+    remove: string[],
+    keep: string[],
+    lost: {days: number, value: Amount},
+    actions: SyncAction[],
+    cost: Amount,
+    applied: boolean,
+    receipts?: Array<object | SimulationResult>
+}
+
+declare interface KeeperTarget {
+    address: string,
+    days?: number,
+    tokens?: string[],
+    all?: boolean,
+    threshold?: number
+}
+
+declare interface KeeperOptions {
+    addresses?: (string | KeeperTarget)[],
+    threshold?: number,
+    days?: number,
+    maxPrice?: string | number,
+    interval?: number
+}
+
+declare interface KeeperDecision {
+    address: string,
+    action: "renewed" | "skipped" | "failed",
+    reason: "not due" | "not subscribed" | "unknown tokens" | "price" | "balance" | string | null,
+    remainingDays?: number,
+    days?: number,
+    all?: boolean,
+    tokens?: string[],
+    price?: string,
+    maxPrice?: string,
+    cost?: string,
+    balance?: string,
+    transactionHash?: string,
+    error?: Error
+}
+
+export declare class SubscriptionKeeper {
+    constructor(access: AccessInterface, options?: KeeperOptions);
+    threshold: number;
+    days: number | null;
+    maxPrice: string | number | null;
+    interval: number;
+    active: boolean;
+    start(): this;
+    stop(): void;
+    check(): Promise<KeeperDecision[]>;
+    on(event: "decision" | "renewed" | "skipped" | "failed", listener: (decision: KeeperDecision) => void): this;
+}
+
+declare interface TokenStatus {
+    statusNumber: number,
+    errorLevel: number,
+    errorMessage: string,
+    setter: string,
+    timestamp: number,
+    invalid: boolean
+}
+
+declare interface TokenStatusChange {
+    eventId: string,
+    token: string,
+    info: TokenInfo | null,
+    previous: TokenStatus | null,
+    status: TokenStatus,
+    blockNumber: number,
+    transactionHash: string,
+    logIndex: number
+}
+
+declare interface TokenStatusOptions extends EventOptions {
+    tokens?: string[],
+    metadata?: boolean
+}
+
+export declare class TokenStatusStream implements AsyncIterable<TokenStatusChange> {
+    constructor(access: AccessInterface, options?: TokenStatusOptions);
+    tokens: string[] | null;
+    metadata: boolean;
+    active: boolean;
+    stats: { events: number, emitted: number, skipped: number, failed: number };
+    start(): this;
+    stop(): void;
+    on(event: "status", listener: (change: TokenStatusChange) => void): this;
+    on(event: "error", listener: (err: Error) => void): this;
+    on(event: "stop", listener: () => void): this;
+    [Symbol.asyncIterator](): AsyncIterator<TokenStatusChange>;
+}
+
+declare interface Alert {
+    id: string,
+    eventId: string,
+    token: string,
+    name: string | null,
+    symbol: string | null,
+    level: number,
+    previousLevel: number | null,
+    message: string,
+    setter: string,
+    statusNumber: number,
+    timestamp: number,
+    blockNumber: number,
+    transactionHash: string
+}
+
+export declare class AlertSink {
+    send(alert: Alert): Promise<any>;
+}
+
+export declare class WebhookSink extends AlertSink {
+    constructor(url: string, options?: { secret?: string, headers?: object, timeout?: number });
+    sign(body: string): string;
+}
+
+export declare class FileSink extends AlertSink {
+    constructor(filename: string);
+}
+
+export declare class CommandSink extends AlertSink {
+    constructor(command: string, options?: { env?: object, timeout?: number });
+}
+
+declare type SinkSettings =
+    { type: "webhook", url: string, secret?: string, headers?: object, timeout?: number } |
+    { type: "file", filename: string } |
+    { type: "command", command: string, env?: object, timeout?: number };
+
+declare interface AlertRoute {
+    tokens?: string[],
+    minLevel?: number,
+    maxLevel?: number,
+    sinks: string[]
+}
+
+declare interface AlertOptions {
+    sinks: { [name: string]: AlertSink | SinkSettings },
+    routes?: AlertRoute[],
+    retry?: { attempts?: number, delay?: number, factor?: number, maxDelay?: number },
+    deadLetter?: string,
+    watch?: TokenStatusOptions
+}
+
+declare interface AlertDelivery {
+    sink: string,
+    delivered: boolean,
+    attempts: number,
+    error: Error | string | null
+}
+
+export declare class AlertDispatcher {
+    constructor(options: AlertOptions);
+    sinks: Map<string, AlertSink>;
+    routes: AlertRoute[];
+    stats: { alerts: number, delivered: number, retries: number, failed: number };
+    attach(stream: TokenStatusStream): this;
+    detach(): void;
+    stop(): void;
+    route(alert: Alert): string[];
+    dispatch(change: TokenStatusChange | Alert): Promise<AlertDelivery[]>;
+    redeliver(): Promise<AlertDelivery[]>;
+    on(event: "delivered" | "failed", listener: (event: { alert: Alert, sink: string, attempts: number, error?: Error }) => void): this;
+}
+
+declare interface GatewayOptions {
+    apiKey?: string,
+    watch?: TokenStatusOptions,
+    heartbeat?: number,
+    maxBodySize?: number
+}
+
+export declare class Gateway {
+    constructor(access: AccessInterface, options?: GatewayOptions);
+    access: AccessInterface;
+    apiKey: string | null;
+    server: any;
+    handler: (req: any, res: any) => void;
+    listen(port?: number, host?: string): Promise<{ address: string, port: number }>;
+    close(): Promise<void>;
+}
+
+declare interface FailoverOptions {
+    maxBlockLag?: number,
+    maxErrorRate?: number,
+    timeout?: number,
+    healthCheckInterval?: number,
+    historySize?: number
+}
+
+declare interface EndpointReport {
+    url: string,
+    healthy: boolean,
+    blockNumber: number | null,
+    lag: number,
+    latency: number | null,
+    errorRate: number,
+    requests: number,
+    errors: number,
+    lastError: string | null
+}
+
+declare interface ProviderReport {
+    endpoints: EndpointReport[],
+    pins: { [pin: string]: string }
+}
+
+declare interface RequestRecord {
+    id: number,
+    method: string,
+    endpoint: string | null,
+    latency: number | null,
+    attempts: number,
+    pin: string | null,
+    error?: string
+}
+
+export declare class FailoverProvider {
+    constructor(endpoints: (URL | object)[], options?: FailoverOptions);
+    history: RequestRecord[];
+    send(payload: object, callback: Callback<any>): void;
+    checkHealth(): Promise<ProviderReport>;
+    getReport(): ProviderReport;
+    start(): void;
+    stop(): void;
+    disconnect(): void;
+    on(event: "request", listener: (record: RequestRecord) => void): this;
+    on(event: "failover", listener: (event: { pin: string, from: string, to: string, error: Error | null }) => void): this;
+    on(event: "health", listener: (report: ProviderReport) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+}
+
+export declare class InterfaceError extends Error {
+    cause?: Error;
+}
+
+export declare class ConfigurationError extends InterfaceError {
+    setting?: string;
+    value?: any;
+}
+
+export declare class ArgumentError extends InterfaceError {
+    argument: string;
+    value: any;
+    method?: string;
+    expected?: string;
+}
+
+export declare class InsufficientPaymentError extends InterfaceError {
+    required: string;
+    provided: string;
+}
+
+export declare class RevertError extends InterfaceError {
+    method?: string;
+    reason: string | null;
+    errorName: string | null;
+    errorArgs: any[];
+    data: string | null;
+    receipt?: object;
+}
+
+export declare class GasEstimationError extends InterfaceError {
+    method: string;
+    reason?: string;
+    required?: number;
+    blockGasLimit?: number;
+}
+
+export declare class NonceError extends InterfaceError {
+    nonce?: number;
+    address?: string;
+}
+
+export declare class ProviderError extends InterfaceError {}
+
+export declare class ReorgError extends InterfaceError {
+    hash: string;
+}
+
+export declare class AlertError extends InterfaceError {
+    status?: number;
+    code?: number | string;
+}
+
+declare interface DecodedRevert {
+    reason: string;
+    code?: number;
+    errorName?: string;
+    errorArgs?: any[];
+}
+
+export declare function decodeRevert(data: string, abi?: ABIDefinition[]): DecodedRevert | null;
+
+export declare class SignerError extends InterfaceError {
+    code?: number;
+}
+
+declare interface KeystoreOptions {
+    kdf?: "scrypt" | "pbkdf2",
+    n?: number,
+    c?: number
+}
+
+declare interface Keystore {
+    version: 3,
+    id: string,
+    address: string,
+    crypto: object
+}
+
+declare interface Credentials {
+    privateKey?: string | string[],
+    privateKeys?: string[],
+    keystore?: string | Keystore | (string | Keystore)[],
+    keystores?: (string | Keystore)[],
+    password?: string,
+    passwords?: string[]
+}
+
+export declare function generateKeystore(password: string, options?: KeystoreOptions): Keystore;
+export declare function saveKeystore(keystore: Keystore, dir: string): string;
+
+export declare class Signer {
+    getAddress(): Promise<string>;
+    signTransaction(tx: object, web3Instance?: Web3js.default): Promise<string>;
+}
+
+export declare class PrivateKeySigner extends Signer {
+    constructor(privateKey: string);
+    address: string;
+    toKeystore(password: string, options?: KeystoreOptions): Keystore;
+}
+
+export declare class MnemonicSigner extends PrivateKeySigner {
+    constructor(mnemonic: string, index?: number, hdPath?: string);
+    hdPath: string;
+}
+
+export declare class KeystoreSigner extends PrivateKeySigner {
+    constructor(keystore: string | object, password?: string);
+}
+
+export declare class RemoteSigner extends Signer {
+    constructor(url: string, options?: { address?: string, headers?: object, timeout?: number });
+    url: string;
+    address: string | null;
+    request(method: string, params: any[]): Promise<any>;
+}
+
+declare interface AutoSpeedUpPolicy {
+    blocks: number,
+    multiplier?: number,
+    maxGasPrice?: string | number,
+    interval?: number
+}
+
+declare interface LegacyFeeOptions {
+    gasPrice: string | number
+}
+
+declare interface FeeMarketOptions {
+    maxFeePerGas: string,
+    maxPriorityFeePerGas: string
+}
+
+declare type FeeOptions = LegacyFeeOptions | FeeMarketOptions;
+
+declare interface FeeStrategyContext {
+    london: boolean,
+    block: object,
+    feeHistory: object | null,
+    gasPrice: string
+}
+
+declare type FeeStrategy = "slow" | "normal" | "fast" | ((context: FeeStrategyContext) => FeeOptions | null | Promise<FeeOptions | null>);
+
+declare interface ReorgEvent {
+    action: "remined" | "requeued" | "failed",
+    txMeta: TxMeta,
+    previous: { blockNumber: number, blockHash: string }
+}
+
+declare interface SpeedUpFailure {
+    txMeta: TxMeta,
+    error: Error,
+    terminal: boolean
+}
+
+declare interface TxOptions {
+    from?: string,
+    value?: string,
+    gas?: string | number,
+    gasPrice?: string | number,
+    maxFeePerGas?: string,
+    maxPriorityFeePerGas?: string,
+    simulate?: boolean,
+    blockNumber?: number | string
+}
+
+declare interface SimulationResult {
+    simulated: true,
+    method: string,
+    returnValue: any,
+    gasEstimate: number,
+    gasPrice: string,
+    value: string,
+    totalCost: string
+}
+
+declare interface DeployArgs {
+    bytecode?: string,
+    args?: any[],
+    nonce?: number,
+    simulate?: boolean
 }
 
 declare class ContractInterface {
     wallet: string;
+    accounts: string[];
+    signer: Signer | null;
+    signers: Signer[] | null;
+    exportKeystore(password: string, options?: KeystoreOptions): Keystore;
+    confirmations: number;
+    confirmationInterval: number;
     gasPrice: string;
+    feeStrategy: FeeStrategy;
+    gasLimit: string | number | null;
+    gasMargin: number;
+    transactions: TransactionManager;
+    replaceMultiplier: number;
+    autoSpeedUp: AutoSpeedUpPolicy | null;
+    validateArguments: boolean;
     init(): void;
+    getChainId(): Promise<number>;
+    getFeeOptions(): Promise<FeeOptions>;
+    getGasPrice(multiplier?: number): Promise<number>;
+    estimateGasLimit(txObject: { estimateGas(options: object): Promise<number> }, options: { from: string, value?: string }, name: string): Promise<number>;
+    speedUp(nonce: number, fees?: string | number | FeeOptions, callback?: Callback<object>): Promise<object>;
+    cancel(nonce: number, fees?: string | number | FeeOptions, callback?: Callback<object>): Promise<object>;
+    deploy(args?: DeployArgs, callback?: Callback<object | SimulationResult>): Promise<object | SimulationResult>;
+    eventPollingInterval: number;
+    eventConfirmations: number;
+    batchCalls: boolean;
+    senderCalls: string[];
+    aggregateCalls: string[];
+    readonly batcher: CallBatcher;
+    cache: CallCache | null;
+    cachePolicies: { [method: string]: CachePolicy };
+    deployMulticall(callback?: Callback<string>): Promise<string>;
+    supportsSubscriptions(): boolean;
+    getPastEventsRange(eventName: string, fromBlock?: number | string, toBlock?: number | string, filter?: object, options?: EventRangeOptions): EventRange;
+    watchEvent(eventName: string, callback: Callback<EventLog>): EventWatcher;
+    watchEvent(eventName: string, options: EventOptions, callback: Callback<EventLog>): EventWatcher;
+    on(event: "mined" | "final", listener: (txMeta: TxMeta, receipt: object) => void): this;
+    on(event: "reorg", listener: (event: ReorgEvent) => void): this;
+    on(event: "speedUpFailed", listener: (event: SpeedUpFailure) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
 }
 
 export declare class ERC20Interface extends ContractInterface {
-    constructor(nodeAddress: URL, contractAddress: string, mnemonic?: string, web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
+    constructor(nodeAddress: URL | URL[], contractAddress: string, mnemonic?: string | Signer | (Signer | string)[] | Credentials, web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
     static web3(web3Instance: new () => Web3js.default, contractAddress: string, abi: ABIDefinition): ERC20Interface;
 
     info: {
@@ -71,12 +740,16 @@ export declare class ERC20Interface extends ContractInterface {
     approve(spender: string, value: string | number, callback?: Callback<void>): void;
     allowance(owner: string, spender: string): string;
     tokenInfo(callback?: Callback<TokenInfo>): TokenInfo;
-    onEvent(callback?: Callback<EventLog>): EventLog;
-    onTransfer(callback?: Callback<EventLog>): EventLog;
-    onApproval(callback?: Callback<EventLog>): EventLog;
-    onOwnershipTransferred(callback?: Callback<EventLog>): EventLog;
-    onMint(callback?: Callback<EventLog>): EventLog;
-    onBurn(callback?: Callback<EventLog>): EventLog;
+    holderIndex(options?: { fromBlock?: number, chunkSize?: number, concurrency?: number }): HolderIndex;
+    onEvent(eventName: string, callback: Callback<EventLog>): EventWatcher;
+    onEvent(eventName: string, options: EventOptions, callback: Callback<EventLog>): EventWatcher;
+    /** @deprecated use supportsSubscriptions() */
+    isWebSocket(callback?: (err: string) => void): void;
+    onTransfer(callback: Callback<EventLog>): EventWatcher;
+    onApproval(callback: Callback<EventLog>): EventWatcher;
+    onOwnershipTransferred(callback: Callback<EventLog>): EventWatcher;
+    onMint(callback: Callback<EventLog>): EventWatcher;
+    onBurn(callback: Callback<EventLog>): EventWatcher;
     onMintFinished(callback?: Callback<EventLog>): EventLog;
     onPause(callback?: Callback<EventLog>): EventLog;
     onUnpause(callback?: Callback<EventLog>): EventLog;
@@ -84,7 +757,7 @@ export declare class ERC20Interface extends ContractInterface {
 
 
 export declare class AccessInterface extends ContractInterface {
-    constructor(nodeAddress: URL, contractAddress: string, mnemonic?: string, web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
+    constructor(nodeAddress: URL | URL[], contractAddress: string, mnemonic?: string | Signer | (Signer | string)[] | Credentials, web3Instance?: new () => Web3js.default, abi?: ABIDefinition, bytecode?: string);
     static web3(web3Instance: new () => Web3js.default, contractAddress: string, abi: ABIDefinition): AccessInterface;
 
     minDays(callback?: Callback<number>): Promise<number>;
@@ -110,24 +783,37 @@ export declare class AccessInterface extends ContractInterface {
         numberOfDays?: number,
         accessAddress?: string,
         weiAmount?: string,
-        callback?: Callback<void>
-    ): void;
+        options?: TxOptions,
+        callback?: Callback<object | SimulationResult>
+    ): Promise<object | SimulationResult>;
     subscribeAll(
         numberOfDays?: number,
         accessAddress?: string,
         weiAmount?: string,
-        callback?: Callback<void>
-    ): void;
+        options?: TxOptions,
+        callback?: Callback<object | SimulationResult>
+    ): Promise<object | SimulationResult>;
     getSubscriptionData(callback?: Callback<object>): object;
     getTokensSubscribedTo(callback?: Callback<string[]>): string[];
+    getTokensSubscribedTo(accessAddress: string, callback?: Callback<string[]>): string[];
+    keeper(options?: KeeperOptions): SubscriptionKeeper;
+    watchTokenStatuses(options?: TokenStatusOptions): TokenStatusStream;
+    alerts(options: AlertOptions): AlertDispatcher;
+    gateway(options?: GatewayOptions): Gateway;
+    tokenInterface(tokenAddress: string): ERC20Interface;
+    quote(tokenAddresses: string[], numberOfDays?: number, callback?: Callback<Quote>): Promise<Quote>;
+    syncSubscription(desiredTokens: string[], callback?: Callback<SyncPlan>): Promise<SyncPlan>;
+    syncSubscription(desiredTokens: string[], options: SyncOptions, callback?: Callback<SyncPlan>): Promise<SyncPlan>;
     addTokenToSubscription(
         tokenAddress: string,
         numberOfDays?: number,
         accessAddress?: string,
         weiAmount?: string,
-        callback?: Callback<void>
-    ): void;
+        options?: TxOptions,
+        callback?: Callback<object | SimulationResult>
+    ): Promise<object | SimulationResult>;
 
     isAddressBlocked(token: string, address: string, callback?: Callback<boolean>): boolean;
-    onStatusChanged(callback?: Callback<any>): EventLog;
+    onTokenStatusChanged(callback: Callback<EventLog>): EventWatcher;
+    onTokenStatusChanged(options: EventOptions, callback: Callback<EventLog>): EventWatcher;
 }
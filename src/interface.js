@@ -20,366 +20,38 @@
 const Web3js = require('web3');
 const HDWalletProvider = require('truffle-hdwallet-provider');
 const EventEmitter = require('events');
-const net = require('net');
-const Mutex = require('await-semaphore').Mutex;
 const extend = require('xtend');
 const monitor = require('./AccessInterface');
+const journals = require('./journal');
+const fees = require('./fees');
+const TransactionManager = require('./transactions');
+const errors = require('./errors');
+const signers = require('./signers');
+const providers = require('./providers');
+const events = require('./events');
+const {HolderIndex} = require('./holders');
+const {CallBatcher} = require('./batcher');
+const {CallCache} = require('./cache');
+const {SubscriptionKeeper} = require('./keeper');
+const {TokenStatusStream} = require('./statuses');
+const alerts = require('./alerts');
+const {Gateway} = require('./gateway');
+const {isOptions, coerceArguments} = require('./abi');
 const erc20 = require('./ERC20');
 const bn = require('big-integer');
+const {log, returnValue, toChecksum, toWei, fromWei, _to, getChainId} = require('./utils');
+const {ConfigurationError, ArgumentError, InsufficientPaymentError, GasEstimationError, toInterfaceError} = errors;
 
 EventEmitter.defaultMaxListeners = 5000;
 
-let log;
-try {
-    const logger = require('./logger');
-    log = logger(module);
-} catch (e) {
-    if(e.code !== 'MODULE_NOT_FOUND') throw(e);
-    const isDebug = process.env.LOG_LEVEL === 'debug';
-    log = new Proxy({}, {
-        get: function (obj, prop) {
-            return function(message) {
-                message = `[${(new Date()).toISOString()}] [${prop}] ${message}`;
-                if(isDebug) console.log(message)
-            }
-        }
-    })
-}
-
-const returnValue = (err, result, callback) => {
-    if (typeof callback === 'function') {
-        return callback(err, result)
-    }
-    if (err) throw err;
-    return result
-};
-
-const toChecksum = (address) => {
-    return Web3js.utils.toChecksumAddress(address)
-};
-
-
-const toWei = (amount, unit) => {
-    return Web3js.utils.toWei(amount.toString(), unit);
-};
-
-
-const fromWei = (amount, unit) => {
-    return Web3js.utils.fromWei(amount.toString(), unit);
-};
-
-
-function _to (promise) {
-    return promise
-        .then(data => [null, data])
-        .catch(err => [err, null]);
-}
-
-const sleep = (ms) => {
-    return new Promise(resolve => setTimeout(resolve, ms));
-};
-
-const transactions = {
-    tx: [],
-    totalGasUsed: bn.zero,
-    totalEthSpent: 0,
-    _lockMap: {},
-    _idCounter: Math.round(Math.random() * Number.MAX_SAFE_INTEGER),
-    addTx: function(args) {
-        args.id = args.id || this._createRandomId();
-        args.time = (new Date()).getTime();
-        args.status = args.status || 'pending';
-        this.tx.push(args);
-        return args.id;
-    },
-
-    getFailedTransactions: function getFailedTransactions(address) {
-        const filter = {status: 'failed'};
-        if(address) filter.address  = address;
-        return this.getFilteredTxList(filter)
-    },
-
-    getConfirmedTransactions: function getConfirmedTransactions(address) {
-        const filter = {status: 'confirmed'};
-        if(address) filter.address  = address;
-        return this.getFilteredTxList(filter)
-    },
-
-    getPendingTransactions: function getPendingTransactions(address) {
-        const filter = {status: 'pending'};
-        if(address) filter.address  = address;
-        return this.getFilteredTxList(filter)
-    },
-
-    getSubmittedTransactions: function getSubmittedTransactions(address) {
-        const filter = {status: 'submitted'};
-        if(address) filter.address  = address;
-        return this.getFilteredTxList(filter)
-    },
-
-    getFilteredTxList: function getFilteredTxList(opts, initialList) {
-        let filteredTxList = initialList;
-        Object.keys(opts).forEach((key) => {
-            filteredTxList = this.getTxsByMetaData(key, opts[key], filteredTxList)
-        });
-        return filteredTxList
-    },
-
-    getTxsByMetaData: function getTxsByMetaData(key, value, txList = this.tx) {
-        return txList.filter(txMeta => txMeta[key] === value)
-    },
-
-    updateTx: function updateTx(txMeta) {
-        const index = this.tx.findIndex(tx => tx.id === txMeta.id);
-        log.debug(`updateTx: ${txMeta.id} -> ${index} -> ${JSON.stringify(txMeta)}`);
-        this.tx[index] = txMeta;
-    },
-
-    getTxMeta: async function getTxMeta() {
-        const args = [].slice.call(arguments);
-        const obj = args.shift();
-        const method = args.shift();
-
-        const lastArg = args[args.length - 1];
-        const lastArgType = typeof lastArg;
-        const isObject = (lastArgType === 'function' || lastArgType === 'object' && !!lastArg) && !Array.isArray(lastArg);
-
-        let options = {};
-        if(isObject) {
-            options = args.pop();
-        }
-        options.from = options.from || obj.wallet;
-        let txType;
-
-        if(obj._sent.includes(method)) {
-            options.gas = options.gas || obj.gasLimit || '6000000';
-            options.gasPrice = options.gasPrice || obj.gasPrice;
-            const gasPrice = await obj.w3.eth.getGasPrice();
-            if(!options.gasPrice) {
-                options.gasPrice = Math.ceil(parseInt(gasPrice) * 1.2);
-            } else if(parseInt(gasPrice) > options.gasPrice) {
-                log.warn(`the gas price is too low: blockchain - ${fromWei(gasPrice, 'gwei')}, TxObject - ${fromWei(options.gasPrice, 'gwei')} (GWEI)`)
-            }
-            txType = 'send';
-        } else if(obj._call.includes(method)){
-            txType = 'call';
-        }
-
-        return {
-            address: options.from,
-            method: method,
-            methodArgs: args,
-            options: options,
-            txType: txType
-        }
-    },
-
-    getNonce: async function getNonce(obj) {
-        const address = obj.wallet;
-        const releaseNonceLock = await this._getLock(address);
-        try {
-            const block = await obj.w3.eth.getBlock('latest');
-            const blockNumber = block.number;
-            const nextNetworkNonce = await obj.w3.eth.getTransactionCount(address, blockNumber);
-            const highestLocallyConfirmed = this._getHighestLocallyConfirmed(address);
-
-            const highestSuggested = Math.max(nextNetworkNonce, highestLocallyConfirmed);
-
-            const pendingTxs = this.getSubmittedTransactions(address);
-            const localNonceResult = this._getHighestContinuousFrom(pendingTxs, highestSuggested) || 0;
-
-            const nonceDetails = {
-                localNonceResult,
-                highestLocallyConfirmed,
-                highestSuggested,
-                nextNetworkNonce,
-            };
-
-            const nextNonce = Math.max(nextNetworkNonce, localNonceResult);
-
-            const data = { nextNonce, nonceDetails, releaseNonceLock };
-            log.debug(`getNonce: ${JSON.stringify(nonceDetails)}`);
-
-            return data
-
-        } catch (err) {
-            log.error(`getNonce error: ${err}`);
-            releaseNonceLock();
-            throw err
-        }
-
-    },
-
-    submitTx: async function sendTx(obj, txMeta, lock=false) {
-        let err, result, releaseTxLock;
-
-        const { method, methodArgs, options, txType } = txMeta;
-        if(txType === 'call') {
-            [err, result] = await _to(obj.contract.methods[method](...methodArgs).call(options));
-            return [err, result]
-        }
-        log.debug(JSON.stringify(this.getTxStat('submitTxIN')));
-
-        await this._globalLockFree();
-        releaseTxLock = lock ? await this._getLock(txMeta.address) : () => {};
-
-        txMeta.id = this.addTx(txMeta);
-
-        let { nextNonce, nonceDetails, releaseNonceLock } = await this.getNonce(obj);
-        let awaiting = this.getSubmittedTransactions().length;
-        let pending = this.getPendingTransactions().length;
-        const awaitLimit = 100;
-        const awaitTime = 10; //seconds
-        if(txType === 'send' && awaiting >= awaitLimit) {
-            while(awaiting > awaitLimit) {
-                log.debug(`Too many transactions are waiting to be mined: submitted - ${awaiting}, pending - ${pending}, sleeping ${awaitTime} seconds...`);
-                await sleep(awaitTime * 1000);
-                awaiting = this.getSubmittedTransactions().length;
-                pending = this.getPendingTransactions().length;
-            }
-        }
+// the transaction manager shared by the interfaces which don't own one
+const transactions = new TransactionManager();
 
-        try {
-            if(txType === 'send') {
-                txMeta.nonce = nextNonce;
-                txMeta.status = 'submitted';
-                this.updateTx(txMeta);
-
-                options.nonce = nextNonce;
-                releaseNonceLock();
-                log.debug(JSON.stringify({
-                    id: txMeta.id,
-                    contractAddress: obj.address,
-                    method: method,
-                    args: methodArgs,
-                    options: options,
-                    nonceDetails: nonceDetails,
-                    submitSendTxMeta: txMeta
-                }));
-                log.debug(JSON.stringify(this.getTxStat(txMeta.id)));
+// an optional argument, null in place of the callback or the transaction options
+const argValue = (arg) => (arg && typeof arg !== 'function' && !isOptions(arg)) ? arg : null;
 
-                try {
-                    result = await obj.contract.methods[method](...methodArgs).send(options);
-                } catch(e) { err = e }
-
-            } else {
-                err = Error(`proxyHandler: Unsupported method "${method}"`);
-            }
-
-            const totalGasUsed = obj.totalGasUsed || 0;
-            obj.gasUsed = result ? result.gasUsed || 0 : 0;
-            obj.totalGasUsed = bn(totalGasUsed).add(bn(obj.gasUsed)).toString();
-
-            this.updateStat(obj.gasUsed, txMeta.options.gasPrice)
-
-        } catch(e) {
-            err = e;
-            releaseTxLock();
-            releaseNonceLock();
-            log.error(`submitTx failed: ${JSON.stringify(txMeta)}\n${e}`)
-        }
-
-        if(!err) {
-            log.debug(`submitTx: CONFIRMED - ${txMeta.id} `);
-            txMeta.status = 'confirmed';
-        }
-        else {
-            log.error(`submitTx: FAILED - ${txMeta.id}, ${err}`);
-            txMeta.status = 'failed';
-        }
-        txMeta.gasUsed = obj.gasUsed;
-        txMeta.totalGasUsed = obj.totalGasUsed;
-
-        this.updateTx(txMeta);
-        const message = JSON.stringify(this.getTxStat('submitTxOUT'));
-        if(err) {
-            log.warn(message);
-        } else {
-            log.debug(message);
-        }
-
-        releaseTxLock();
-        return [err, result]
-    },
-
-    getTxStat: function getTxStat (id) {
-        let data = {};
-        if(id) data.id = id;
-
-        return extend(
-            data, {
-                submitted: this.getSubmittedTransactions().length,
-                pending: this.getPendingTransactions().length,
-                failed: this.getFailedTransactions().length,
-                confirmed: this.getConfirmedTransactions().length,
-                totalGasUsed: this.totalGasUsed.toString(),
-                totalEthSpent: this.totalEthSpent.toString()
-            })
-    },
-
-    updateStat: function updateStat(gasUsed, gasPrice) {
-        const weiSpent =  bn(gasUsed).multiply(bn(gasPrice)).toString();
-        this.totalGasUsed = this.totalGasUsed.add(bn(gasUsed));
-        this.totalEthSpent = this.totalEthSpent + parseFloat(fromWei(weiSpent, 'ether'));
-
-    },
-
-    _getHighestLocallyConfirmed: function (address) {
-        const confirmedTransactions = this.getConfirmedTransactions(address);
-        const highest = this._getHighestNonce(confirmedTransactions);
-        log.debug(`_getHighestLocallyConfirmed: ${address} -> ${highest}`);
-        return Number.isInteger(highest) ? highest + 1 : 0
-    },
-
-    _getHighestContinuousFrom: function (txList, startPoint) {
-        const nonces = txList.map(txMeta => txMeta.nonce);
-
-        let highest = startPoint;
-        while (nonces.includes(highest)) {
-            highest++
-        }
-        log.debug(`_getHighestContinuousFrom:  ${startPoint} -> ${highest}`);
-
-        return highest
-    },
-
-    _getHighestNonce: function (txList) {
-        const nonces = txList.map(txMeta => txMeta.nonce);
-        return Math.max.apply(null, nonces)
-    },
-
-    _getLock: async function getLock (address) {
-        const mutex = this._lookupMutex(address);
-        return mutex.acquire()
-    },
-
-    _getGlobalLock: async function getGlobalLock () {
-        log.debug(`_getGlobalLock`);
-        const globalMutex = this._lookupMutex('global');
-        const releaseLock = await globalMutex.acquire();
-        return { releaseLock }
-    },
-
-    _lookupMutex: function lookupMutex (lockId) {
-        let mutex = this._lockMap[lockId];
-        if (!mutex) {
-            mutex = new Mutex();
-            this._lockMap[lockId] = mutex
-        }
-        return mutex;
-    },
-
-    _globalLockFree: async function globalMutexFree () {
-        const globalMutex = this._lookupMutex('global');
-        const releaseLock = await globalMutex.acquire();
-        releaseLock()
-    },
-
-    _createRandomId: function createRandomId() {
-        this._idCounter = this._idCounter % Number.MAX_SAFE_INTEGER;
-        return this._idCounter++
-    }
-};
+// an amount of wei as {wei, ether}, the currency conversion is left to the caller
+const toAmount = (wei) => ({wei: wei.toString(), ether: fromWei(wei.toString(), 'ether')});
 
 
 const proxyHandler = {
@@ -391,10 +63,11 @@ const proxyHandler = {
 
         if(isEvent) {
             const event = prop.split(/^on/)[1];
-            obj[prop] = function proxyAddEvent (callback) {
+            obj[prop] = function proxyAddEvent (options, callback) {
+                if(typeof options === 'function') [options, callback] = [{}, options];
                 if(!callback || typeof callback !== 'function')
-                    throw new Error('A callback must be a function!');
-                obj.events[event](callback)
+                    throw new ArgumentError('A callback must be a function!', {argument: 'callback', value: callback});
+                return obj.watchEvent(event, options, callback);
             };
             return obj[prop];
         }
@@ -406,8 +79,28 @@ const proxyHandler = {
             const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
             if(callback) args.pop();
 
-            const meta = await transactions.getTxMeta(obj, prop, ...args);
-            [err, result] = await transactions.submitTx(obj, meta);
+            // the arguments are checked against the ABI before they reach web3, the options always follow
+            // the checked ones: a tuple argument is not taken for the options
+            let meta, txArgs = args;
+            if(obj.validateArguments) {
+                let checked;
+                try {
+                    checked = coerceArguments(obj._abi, prop, args);
+                } catch (e) {
+                    return returnValue(e, null, callback);
+                }
+                txArgs = checked.args.concat(checked.options || {});
+            }
+            [err, meta] = await _to(obj.transactions.getTxMeta(obj, prop, ...txArgs));
+            if(err) return returnValue(err, null, callback);
+
+            // the view calls issued in the same tick are sent in one request
+            const submit = () => meta.txType === 'call' && obj.batchCalls ?
+                obj.batcher.call(obj, meta) : obj.transactions.submitTx(obj, meta);
+            if(meta.txType === 'call' && obj.cache)
+                [err, result] = await obj.cache.read(obj, meta, submit);
+            else
+                [err, result] = await submit();
             return returnValue(err, result, callback);
         };
 
@@ -418,35 +111,25 @@ const proxyHandler = {
 
 class Web3 {
     constructor (nodeAddress, mnemonic) {
-        if (!nodeAddress)
-            throw "Error: the node address is not defined!";
-
-        const supportedProtocols = ['ws', 'wss', 'http', 'https', 'ipc'];
-        let protocol;
-        if (nodeAddress.search(/\.ipc$/) !== -1) protocol = 'ipc';
-        else protocol = nodeAddress.split(':')[0];
-
-        if (!supportedProtocols.includes(protocol))
-            throw `"${protocol}" protocol is not supported! ` +
-            `Supported protocols:\n${JSON.stringify(supportedProtocols)}`;
-
-        const providers = {
-            https: Web3js.providers.HttpProvider,
-            http: Web3js.providers.HttpProvider,
-            ipc: Web3js.providers.IpcProvider,
-            wss: Web3js.providers.WebsocketProvider,
-            ws: Web3js.providers.WebsocketProvider
-        };
+        if (!nodeAddress || (Array.isArray(nodeAddress) && !nodeAddress.length))
+            throw new ConfigurationError('The node address is not defined!', {setting: 'nodeAddress', value: nodeAddress});
+
+        // a list of the node addresses is served by the failover provider
+        if (Array.isArray(nodeAddress)) {
+            if (mnemonic)
+                throw new ConfigurationError('The mnemonic of the failover provider must be passed as a MnemonicSigner!',
+                    {setting: 'mnemonic'});
+            this.web3 = new Web3js(new providers.FailoverProvider(nodeAddress));
+            return this.web3;
+        }
 
+        const protocol = providers.getProtocol(nodeAddress);
         let web3;
 
-        if (protocol === 'ipc') {
-            web3 = new Web3js(new providers[protocol](nodeAddress, net));
-        }
-        else if (mnemonic) {
+        if (protocol !== 'ipc' && mnemonic) {
             web3 = new Web3js(new HDWalletProvider(mnemonic, nodeAddress, 0, 20));
         } else {
-            web3 = new Web3js(new providers[protocol](nodeAddress))
+            web3 = new Web3js(providers.createProvider(nodeAddress));
         }
 
         this.web3 = web3;
@@ -458,13 +141,21 @@ class Web3 {
 class ContractInterface  extends EventEmitter {
     constructor (nodeAddress, contractAddress, mnemonic, abi, web3Instance) {
         super();
+        // the signers (keystores, private keys) sign the transactions locally, the provider is created without the keys
+        if (Array.isArray(nodeAddress) && typeof mnemonic === 'string')
+            mnemonic = Array.from({length: 20}, (v, index) => new signers.MnemonicSigner(mnemonic, index));
+        const credentials = signers.toSigners(mnemonic);
+        if (credentials) mnemonic = null;
+
         if (web3Instance) {
             this.w3 = web3Instance;
         } else {
             if (!nodeAddress)
-                throw "The node address is not defined!";
-            this.protocol = nodeAddress.split(':')[0];
+                throw new ConfigurationError('The node address is not defined!', {setting: 'nodeAddress', value: nodeAddress});
             this.w3 = new Web3(nodeAddress, mnemonic);
+            // the events of a failover provider are subscribed through its ws nodes
+            const addresses = [].concat(nodeAddress);
+            this.protocol = (addresses.find(address => /^wss?:/.test(address)) || addresses[0]).split(':')[0];
         }
 
         this.contract = new this.w3.eth.Contract(abi);
@@ -478,19 +169,41 @@ class ContractInterface  extends EventEmitter {
 
         this._abi = abi;
         this._gasPrice = null;
-        this.gasLimit = '6000000';
-        this.accounts = this.w3.currentProvider.addresses;
+        this.gasLimit = null;
+        this.gasMargin = 1.2;
+        this.feeStrategy = 'normal';
+        this.replaceMultiplier = 1.2;
+        this.autoSpeedUp = null;
+        this.confirmations = 1;
+        this.confirmationInterval = 3000;
+        this.eventPollingInterval = 4000;
+        this.eventConfirmations = 0;
+        this.batchCalls = true;
+        this.validateArguments = true;
+        this.senderCalls = [];
+        this.aggregateCalls = [];
+        this.cache = null;
+        this.cachePolicies = {};
+        this.transactions = transactions;
         this.walletIndex = 0;
+        this.signers = credentials;
 
         const _callStates = ['pure', 'view'];
         this._sent = this._abi.filter(item => !_callStates.includes(item.stateMutability) && item.type === 'function').map(item => item.name);
         this._call = this._abi.filter(item => _callStates.includes(item.stateMutability) && item.type === 'function').map(item => item.name);
         this._events = this._abi.filter(item => item.type === 'event').map(item => 'on' + item.name);
         this.proxyMethods = this._sent.concat(this._call).concat(this._events);
+
+        // the own transactions change the state of the contract, the cached reads of the previous blocks are dropped
+        this.on('mined', (txMeta, receipt) => {
+            if(!this.cache) return;
+            this.cache.newBlock(receipt.blockNumber);
+            this.cache.invalidate(txMeta.contractAddress);
+        });
     }
 
     get wallet() {
-        if (!this.accounts)
+        if (!this.accounts || !this.accounts[this.walletIndex])
             return;
         return toChecksum(this.accounts[this.walletIndex])
     }
@@ -499,6 +212,30 @@ class ContractInterface  extends EventEmitter {
         this.walletIndex = index;
     }
 
+    // The signer of the 'wallet' (see signers.js), null if the transactions are sent through the provider's accounts
+    get signer() {
+        return this._signers ? this._signers[this.walletIndex] || null : null;
+    }
+
+    set signer(signer) {
+        this.signers = signer ? [signer] : null;
+        this.walletIndex = 0;
+    }
+
+    // The signers are the 'accounts' of the interface, the 'wallet' index selects the sender among them
+    get signers() {
+        return this._signers;
+    }
+
+    set signers(list) {
+        if (list && list.some(signer => !(signer instanceof signers.Signer)))
+            throw new ConfigurationError('The signer must be an instance of Signer!', {setting: 'signer'});
+        this._signers = list && list.length ? list : null;
+        this.accounts = this._signers ?
+            this._signers.map(signer => signer.address ? toChecksum(signer.address) : undefined) :
+            this.w3.currentProvider.addresses;
+    }
+
     set gasPrice(price) {
         if(!price || Number(parseFloat(price)) !== price)
             this._gasPrice = null;
@@ -518,6 +255,11 @@ class ContractInterface  extends EventEmitter {
         this.at(address)
     }
 
+    // The batcher of the view calls, shared by the interfaces of the web3 instance (see CallBatcher)
+    get batcher() {
+        return CallBatcher.of(this.w3);
+    }
+
     get abi() {
         return this.contract.options.jsonInterface;
     }
@@ -533,9 +275,98 @@ class ContractInterface  extends EventEmitter {
     }
 
     async init() {
+        if (this._signers && this.accounts.some(account => !account))
+            this.accounts = (await Promise.all(this._signers.map(signer => signer.getAddress()))).map(toChecksum);
         if (!this.accounts) this.accounts = await this.w3.eth.getAccounts();
     }
 
+    // Exports the key of the 'wallet' to a V3 keystore encrypted with the password
+    exportKeystore(password, options) {
+        const signer = this.signer;
+        if (!signer || typeof signer.toKeystore !== 'function')
+            throw new ConfigurationError(`The key of ${this.wallet} is not available for the export!`, {setting: 'signer'});
+        return signer.toKeystore(password, options);
+    }
+
+    async getChainId() {
+        if (this._chainId === undefined) this._chainId = await getChainId(this.w3);
+        return this._chainId;
+    }
+
+    // The fee options of a transaction according to the 'feeStrategy' (EIP-1559 fees or the legacy gas price)
+    async getFeeOptions() {
+        return fees.getFeeOptions(this.w3, this.feeStrategy);
+    }
+
+    // Estimates the gas of a contract method or deployment and adds the 'gasMargin', capped by the block gas limit
+    async estimateGasLimit(txObject, options, name) {
+        const params = {from: options.from};
+        if(options.value) params.value = options.value;
+
+        const [err, estimate] = await _to(txObject.estimateGas(params));
+        if(err) {
+            // the revert is the usual reason of a failed estimation, its decoded reason is kept
+            const cause = toInterfaceError(err, {method: name, abi: this.abi});
+            throw new GasEstimationError(`Gas estimation of "${name}" failed, the transaction is not sent: ${cause.message || cause}`,
+                {method: name, reason: cause.reason, cause: cause});
+        }
+
+        const block = await this.w3.eth.getBlock('latest');
+        const blockGasLimit = parseInt(block.gasLimit);
+        if(estimate > blockGasLimit)
+            throw new GasEstimationError(`"${name}" requires ${estimate} gas, which exceeds the block gas limit ${blockGasLimit}`,
+                {method: name, required: estimate, blockGasLimit: blockGasLimit});
+
+        const gas = Math.min(Math.ceil(estimate * (this.gasMargin || 1)), blockGasLimit);
+        log.debug(`estimateGasLimit: ${name} - estimated ${estimate}, limit ${gas}`);
+        return gas;
+    }
+
+    /**
+     * Calls back with every event of the contract, the options are the web3 event options ({filter, fromBlock, topics})
+     * and {pollingInterval, confirmations}, 'eventPollingInterval' and 'eventConfirmations' by default.
+     * The events are subscribed to if the provider supports it, otherwise (http) or with the confirmations the new blocks
+     * are polled. The listener survives the reconnections of the provider without losing or repeating the events.
+     * Returns the watcher, 'stop()' removes the listener.
+     */
+    watchEvent(eventName, options, callback) {
+        if(typeof options === 'function') [options, callback] = [{}, options];
+        options = extend({pollingInterval: this.eventPollingInterval, confirmations: this.eventConfirmations}, options);
+
+        const Watcher = this.supportsSubscriptions() && !options.confirmations ? events.SubscriptionWatcher : events.PollingWatcher;
+        return new Watcher(this.contract, this.w3, eventName, options, callback).start();
+    }
+
+    /**
+     * The past events of the block range (toBlock is 'latest' by default) as an async iterator, fetched by chunks
+     * with the options {chunkSize, concurrency, checkpoint, checkpointId} (see EventRange).
+     */
+    getPastEventsRange(eventName, fromBlock, toBlock, filter, options) {
+        return new events.EventRange(this.contract, this.w3, eventName, fromBlock, toBlock, filter, options);
+    }
+
+    supportsSubscriptions() {
+        const provider = this.w3.currentProvider;
+        if(!provider || ['http', 'https'].includes(this.protocol)) return false;
+        if(typeof provider.supportsSubscriptions === 'function') return provider.supportsSubscriptions();
+        // the in-process and legacy providers notify the subscriptions with the 'data' events
+        return typeof provider.on === 'function';
+    }
+
+    // Deploys the bundled Multicall contract for the batched view calls of a chain without one (a local node)
+    async deployMulticall(callback) {
+        const multicall = new ContractInterface(null, null, null, CallBatcher.abi, this.w3);
+        multicall.transactions = this.transactions;
+        multicall.signers = this.signers;
+        multicall.wallet = this.walletIndex;
+        multicall.feeStrategy = this.feeStrategy;
+
+        const [err] = await _to(multicall.deploy({bytecode: CallBatcher.bytecode}));
+        if(err) return returnValue(err, null, callback);
+        this.batcher.address = multicall.address;
+        return returnValue(null, multicall.address, callback);
+    }
+
     async getGasPrice(multiplier) {
         multiplier = multiplier || 1.2;
         const gasPrice = await this.w3.eth.getGasPrice();
@@ -543,46 +374,83 @@ class ContractInterface  extends EventEmitter {
     }
 
 
+    async speedUp(nonce, gasPrice, callback) {
+        if(typeof gasPrice === 'function') {
+            callback = gasPrice;
+            gasPrice = null;
+        }
+        const [err, result] = await this.transactions.replaceTx(this, nonce, 'speedup', gasPrice);
+        return returnValue(err, result, callback);
+    }
+
+    async cancel(nonce, gasPrice, callback) {
+        if(typeof gasPrice === 'function') {
+            callback = gasPrice;
+            gasPrice = null;
+        }
+        const [err, result] = await this.transactions.replaceTx(this, nonce, 'cancel', gasPrice);
+        return returnValue(err, result, callback);
+    }
+
     async deploy(args, callback) {
         args = args || {};
         const bytecode = args.bytecode || this.bytecode;
         const contractArguments = args.args || [];
         await this.init();
-        const blockGasPrice = await this.getGasPrice(1);
-        const gasPrice = this.gasPrice || await this.getGasPrice();
-        if(parseInt(blockGasPrice) > gasPrice) {
-            log.warn(`the gas price is too low: ` +
-                `blockchain - ${fromWei(blockGasPrice, 'gwei')}, ` +
-                `TxObject - ${fromWei(gasPrice, 'gwei')} (GWEI)`)
+        let feeOptions;
+        if(this.gasPrice) {
+            const blockGasPrice = await this.getGasPrice(1);
+            if(parseInt(blockGasPrice) > this.gasPrice) {
+                log.warn(`the gas price is too low: ` +
+                    `blockchain - ${fromWei(blockGasPrice, 'gwei')}, ` +
+                    `TxObject - ${fromWei(this.gasPrice, 'gwei')} (GWEI)`)
+            }
+            feeOptions = {gasPrice: this.gasPrice};
+        } else {
+            feeOptions = await this.getFeeOptions();
         }
 
-        const params = {
-            from: this.wallet,
-            gas: this.gasLimit,
-            gasPrice: gasPrice
-        };
+        const chainId = await this.getChainId();
+        const deployment = this.contract.deploy({data: bytecode, arguments: contractArguments});
+        const params = extend({from: this.wallet}, feeOptions);
         if(args.nonce) params.nonce = args.nonce;
 
-        const [err, result] = await _to(this.contract.deploy({data: bytecode, arguments: contractArguments})
-            .send(params)
+        let err, result;
+        if(args.simulate) {
+            if(this.gasLimit) params.gas = this.gasLimit;
+            [err, result] = await this.transactions.simulateTx(this,
+                {method: 'deploy', methodArgs: contractArguments, options: params}, deployment);
+            return returnValue(err, result, callback);
+        }
+
+        [err, params.gas] = await _to(this.gasLimit ? Promise.resolve(this.gasLimit) :
+            this.estimateGasLimit(deployment, params, 'deploy'));
+        if(err) return returnValue(err, null, callback);
+
+        // the stats are taken from the receipt, a 'confirmation' listener would poll the node for 24 blocks
+        let rec;
+        [err, result] = await _to(this.transactions.send(this, deployment, params)
             .once('transactionHash', (hash) => log.debug(` Tx hash: ${hash}`))
-            .once('confirmation', (num, rec) => {
-                log.debug(` address ${rec.contractAddress}`);
-
-                let weiSpent = bn(rec.gasUsed).multiply(bn(gasPrice)).toString();
-
-                if(rec) transactions.updateStat(rec.gasUsed, gasPrice);
-
-                log.debug(JSON.stringify({
-                    deploy: {
-                        gasUsed: rec.gasUsed,
-                        gasPrice: gasPrice,
-                        weiSpent: weiSpent,
-                        totalEthSpent: transactions.totalEthSpent
-                    }
-                }));
-            }));
-        this.at(result.options.address);
+            .once('receipt', (receipt) => { rec = receipt; }));
+        if(err) return returnValue(toInterfaceError(err, {method: 'deploy', abi: this.abi, address: params.from}), null, callback);
+        // the contract instance is returned by the provider's send, the receipt by the signed one
+        rec = rec || result;
+        log.debug(` address ${rec.contractAddress}`);
+
+        const gasPrice = this.transactions.effectiveGasPrice(rec, params);
+        let weiSpent = bn(rec.gasUsed).multiply(bn(gasPrice)).toString();
+
+        this.transactions.updateStat(rec.gasUsed, gasPrice, chainId, params.from);
+
+        log.debug(JSON.stringify({
+            deploy: {
+                gasUsed: rec.gasUsed,
+                gasPrice: gasPrice,
+                weiSpent: weiSpent,
+                totalEthSpent: this.transactions.totalEthSpent
+            }
+        }));
+        this.at(result.options ? result.options.address : result.contractAddress);
         returnValue(err, result, callback);
     };
 }
@@ -594,6 +462,11 @@ class ERC20Interface extends ContractInterface{
         super(nodeAddress, tokenAddress, mnemonic, abi, web3Instance);
         this.bytecode = _bytecode;
         this.supportedEvents = abi.filter(item => item.type === 'event').map(item => item.name);
+        // the metadata of a token doesn't change, the balances are read once per block
+        this.cachePolicies = {name: 'forever', symbol: 'forever', decimals: 'forever'};
+        // the standard views don't depend on msg.sender, the views of a custom ABI may
+        this.aggregateCalls = ['name', 'symbol', 'decimals', 'totalSupply', 'balanceOf', 'allowance', 'paused', 'cap']
+            .filter(method => this._call.includes(method));
         return new Proxy(this, proxyHandler);
     }
 
@@ -602,13 +475,11 @@ class ERC20Interface extends ContractInterface{
     }
 
     async tokenInfo (callback) {
-        let err, name, symbol, decimals, totalSupply, paused;
-
-        [err, name] = await _to(this.name());
-        [err, symbol] = await _to(this.symbol());
-        [err, decimals] = await _to(this.decimals());
-        [err, totalSupply] = await  _to(this.totalSupply());
-        [err, paused] = await _to(this.paused());
+        await _to(this.init().then(() => this.getChainId()));
+        // the calls are issued at once to be batched, the methods missing from the ABI (paused) are skipped
+        const fields = ['name', 'symbol', 'decimals', 'totalSupply', 'paused'];
+        const [name, symbol, decimals, totalSupply, paused] = await Promise.all(fields.map(field =>
+            this._call.includes(field) ? _to(this[field]()).then(([err, value]) => value) : null));
 
         const result =  {
             address: this._address,
@@ -624,9 +495,13 @@ class ERC20Interface extends ContractInterface{
         return returnValue(null, result, callback);
     }
 
-    onEvent(eventName, callback) {
-        this.isWebSocket();
-        this.events[eventName](callback);
+    onEvent(eventName, options, callback) {
+        return this.watchEvent(eventName, options, callback);
+    }
+
+    // The holder balances replayed from the Transfer events, see HolderIndex
+    holderIndex(options) {
+        return new HolderIndex(this, options);
     }
 
     async balanceOfAtBlock (holderAddress, blockNumber, callback)  {
@@ -653,8 +528,9 @@ class ERC20Interface extends ContractInterface{
         return returnValue(err, result, callback)
     };
 
+    // @deprecated the events are polled without the subscriptions, see supportsSubscriptions()
     isWebSocket(callback) {
-        if (!['ws', 'wss'].includes(this.protocol))
+        if (!this.supportsSubscriptions() && typeof callback === 'function')
             return callback(`Invalid protocol type - '${this.protocol}'! ` +
                 `Only the 'ws://' and 'wss://' protocols support listening for events.\n`);
     }
@@ -682,6 +558,11 @@ class AccessInterface extends ContractInterface {
         const abi = _abi || monitor;
         super(nodeAddress, contractAddress, mnemonic, abi, web3Instance);
         this.bytecode = _bytecode;
+        // the subscription and status views answer according to the subscription of the caller
+        this.senderCalls = this._call.slice();
+        // the settings and the supported tokens are changed rarely by the admins
+        this.cachePolicies = ['minDays', 'pricePerTokenPerDay', 'priceForAllPerDay', 'getAllSupportedTokens',
+            'getNumberSupportedTokens'].reduce((policies, method) => extend(policies, {[method]: 60000}), {});
 
         return new Proxy(this, proxyHandler);
     }
@@ -690,14 +571,42 @@ class AccessInterface extends ContractInterface {
         return new AccessInterface(null, contractAddress, null, web3Instance, abi)
     }
 
-    async subscribe(tokenAddresses, numberOfDays, accessAddress, weiAmount, callback) {
+    // The renewal scheduler of the subscriptions, see SubscriptionKeeper
+    keeper(options) {
+        return new SubscriptionKeeper(this, options);
+    }
+
+    // The status changes of the subscribed tokens with their details, see TokenStatusStream
+    watchTokenStatuses(options) {
+        return new TokenStatusStream(this, options).start();
+    }
+
+    // The alerts of the status changes delivered to the sinks, the options of the stream are in 'watch', see AlertDispatcher
+    alerts(options) {
+        const dispatcher = new alerts.AlertDispatcher(options);
+        return dispatcher.attach(this.watchTokenStatuses((options || {}).watch));
+    }
+
+    // The HTTP/JSON gateway of the interface, see Gateway
+    gateway(options) {
+        return new Gateway(this, options);
+    }
+
+    // The ERC20 interface of the token on the same web3 instance
+    tokenInterface(tokenAddress) {
+        return ERC20Interface.web3(this.w3, tokenAddress);
+    }
+
+    async subscribe(tokenAddresses, numberOfDays, accessAddress, weiAmount, options, callback) {
         await this.init();
         if(!tokenAddresses || !tokenAddresses instanceof Array || !tokenAddresses.length)
-            throw "TypeError: nodeAddresses is either not an array or an empty array.";
+            throw new ArgumentError('tokenAddresses is either not an array or an empty array.',
+                {argument: 'tokenAddresses', value: tokenAddresses});
 
-        let cb;
+        let cb, txOptions = {};
         for (let i=0; i<arguments.length; i++) {
             const arg = arguments[i];
+            if (isOptions(arg)) txOptions = arg;
             if (typeof arg === 'function') {
                 cb = arg;
                 break
@@ -706,98 +615,267 @@ class AccessInterface extends ContractInterface {
 
         const minDays = await this.minDays();
 
-        const address = (accessAddress && typeof accessAddress !== 'function') ? toChecksum(accessAddress) : toChecksum(this.wallet);
-        const days = (numberOfDays && typeof numberOfDays !== 'function') ? numberOfDays : parseInt(minDays);
+        const address = argValue(accessAddress) ? toChecksum(accessAddress) : toChecksum(this.wallet);
+        const days = argValue(numberOfDays) || parseInt(minDays);
 
         let [err, isSubscribed] = await _to(this.isExistingSubscriber());
         if (err) return returnValue(err, null, cb);
 
-        if (!isSubscribed && days < minDays) throw `The number of days can't be less than ${minDays}`;
+        if (!isSubscribed && days < minDays)
+            throw new ArgumentError(`The number of days can't be less than ${minDays}`, {argument: 'numberOfDays', value: days});
 
         let toPay, result;
         [err, toPay] = await _to(this.calculatePrice(days, tokenAddresses.length));
         if (err) return returnValue(err, null, cb);
         toPay = toPay['0'];
-        let amount = (weiAmount && typeof weiAmount !== 'function') ? bn(weiAmount) : bn(toPay);
+        let amount = bn(argValue(weiAmount) || toPay);
 
         if (amount.lt(bn(toPay))) {
-            throw (`Not enough wei to pay. The minimum required amount is ${toPay}`);
+            throw new InsufficientPaymentError(`Not enough wei to pay. The minimum required amount is ${toPay}`,
+                {required: toPay.toString(), provided: amount.toString()});
         }
         amount = amount.toString();
 
         const tokens = tokenAddresses.map(toChecksum);
-        const gasPrice = this.gasPrice || await this.getGasPrice();
+        let meta;
+        [err, meta] = await _to(this.transactions.getTxMeta(this, 'subscribe', address, days, tokens,
+            extend(txOptions, {value: amount})));
+        if (err) return returnValue(err, null, cb);
 
-        [err, result] = await _to(this.contract.methods.subscribe(address, days, tokens)
-            .send({
-                from: this.wallet,
-                gas: this.gasLimit,
-                gasPrice: gasPrice,
-                value: amount
-            }));
-        if(result) transactions.updateStat(result.gasUsed, gasPrice);
+        [err, result] = await this.transactions.submitTx(this, meta);
         return returnValue(err, result, cb);
     }
 
-    async subscribeAll(numberOfDays, accessAddress, weiAmount, callback) {
+    async subscribeAll(numberOfDays, accessAddress, weiAmount, options, callback) {
         await this.init();
-        const address = accessAddress || this.wallet;
+        const args = [].slice.call(arguments);
+        callback = args.find(arg => typeof arg === 'function');
+        const txOptions = args.find(isOptions) || {};
+
+        const address = argValue(accessAddress) || this.wallet;
         const minDays = await this.minDays();
-        const days = numberOfDays || parseInt(minDays);
+        const days = argValue(numberOfDays) || parseInt(minDays);
 
         let [err, isSubscribed] = await _to(this.isExistingSubscriber());
         if (err) return returnValue(err, null, callback);
 
-        if (!isSubscribed && days < minDays) throw `The number of days can't be less than ${minDays}`;
+        if (!isSubscribed && days < minDays)
+            throw new ArgumentError(`The number of days can't be less than ${minDays}`, {argument: 'numberOfDays', value: days});
 
         let toPay, result;
         [err, toPay] = await _to(this.calculatePrice(days, 0));
         if (err) return returnValue(err, null, callback);
 
         toPay = toPay['0'];
-        let amount = bn(weiAmount || toPay);
+        let amount = bn(argValue(weiAmount) || toPay);
 
         if (amount.lt(bn(toPay))) {
-            throw (`Not enough wei to pay. The minimum required amount is ${toPay}`);
+            throw new InsufficientPaymentError(`Not enough wei to pay. The minimum required amount is ${toPay}`,
+                {required: toPay.toString(), provided: amount.toString()});
         }
-        const gasPrice = this.gasPrice || await this.getGasPrice();
+        let meta;
+        [err, meta] = await _to(this.transactions.getTxMeta(this, 'subscribeAll', address, days,
+            extend(txOptions, {value: amount.toString()})));
+        if (err) return returnValue(err, null, callback);
 
-        [err, result] = await _to(this.contract.methods.subscribeAll(address, days)
-            .send({
-                from: this.wallet,
-                gas: this.gasLimit,
-                gasPrice: gasPrice,
-                value: amount.toString()
-            }));
-        if(result) transactions.updateStat(result.gasUsed, gasPrice);
+        [err, result] = await this.transactions.submitTx(this, meta);
         return returnValue(err, result, callback);
     }
 
-    async getTokensSubscribedTo(callback) {
+    /**
+     * Compares the subscription to the tokens for the days (minDays by default) with subscribe and subscribeAll.
+     * Resolves {days, minDays, tokens, supportedTokens, subscribe, subscribeAll, cheapest, breakEven}, an option is
+     * {method, price, dailyPrice, overhead, gas, gasPrice, gasCost, totalCost} with the amounts as {wei, ether}.
+     * The gas is estimated by a simulation, it is null if the simulation fails. 'breakEven' is the least number of tokens
+     * for which subscribeAll is not more expensive, null if subscribe is cheaper for all the supported tokens.
+     */
+    async quote(tokenAddresses, numberOfDays, callback) {
+        if (typeof numberOfDays === 'function') [numberOfDays, callback] = [null, numberOfDays];
+        if (tokenAddresses && !Array.isArray(tokenAddresses))
+            throw new ArgumentError('tokenAddresses is not an array.', {argument: 'tokenAddresses', value: tokenAddresses});
         await this.init();
+
+        const [err, result] = await _to(this._quote((tokenAddresses || []).map(toChecksum), argValue(numberOfDays)));
+        return returnValue(err, result, callback);
+    }
+
+    async _quote(tokens, numberOfDays) {
+        const [minDays, supported] = (await Promise.all([this.minDays(), this.getNumberSupportedTokens()])).map(Number);
+        const days = parseInt(numberOfDays) || minDays;
+
+        const priceOf = async (count) => bn((await this.calculatePrice(days, count))[0]);
+
+        const option = async (method, count) => {
+            const quoted = await this.calculatePrice(days, count);
+            const args = method === 'subscribe' ? [tokens, days, null, quoted[0]] : [days, null, quoted[0]];
+            return extend({
+                method: method,
+                price: toAmount(quoted[0]),
+                dailyPrice: toAmount(quoted[1]),
+                overhead: toAmount(quoted[2])
+            }, await this._estimate(method, args, quoted[0]));
+        };
+
+        const [perToken, all] = await Promise.all([tokens.length ? option('subscribe', tokens.length) : null,
+            option('subscribeAll', 0)]);
+
+        // the per-token price grows with the number of tokens, the break-even is searched by halves
+        const allPrice = bn(all.price.wei);
+        let breakEven = null;
+        if (supported && !(await priceOf(supported)).lesser(allPrice)) {
+            let [low, high] = [1, supported];
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if ((await priceOf(middle)).lesser(allPrice)) low = middle + 1;
+                else high = middle;
+            }
+            breakEven = low;
+        }
+
+        const cheapest = perToken && bn(perToken.totalCost.wei).lesser(bn(all.totalCost.wei)) ? 'subscribe' : 'subscribeAll';
+        return {
+            days: days,
+            minDays: minDays,
+            tokens: tokens.length,
+            supportedTokens: supported,
+            subscribe: perToken,
+            subscribeAll: all,
+            cheapest: cheapest,
+            breakEven: breakEven
+        };
+    }
+
+    // the gas of the method simulated with the arguments and its total cost with the value: {gas, gasPrice, gasCost, totalCost}
+    async _estimate(method, args, value) {
+        const [err, simulation] = await _to(this[method](...args, {simulate: true}));
+        if (err) log.debug(`the gas of "${method}" is not estimated: ${err.message || err}`);
+        const gasCost = simulation ? bn(simulation.totalCost).subtract(bn(simulation.value)) : null;
+        return {
+            gas: simulation ? simulation.gasEstimate : null,
+            gasPrice: simulation ? simulation.gasPrice : null,
+            gasCost: gasCost ? toAmount(gasCost) : null,
+            totalCost: toAmount(bn(value || 0).add(gasCost || bn.zero))
+        };
+    }
+
+    /**
+     * Brings the subscription of the access address ('wallet' by default) to the desired tokens in one transaction:
+     * a subscription replaces the tokens of the previous one, the desired tokens are subscribed to again for the
+     * remaining days (or 'days', minDays at least), an empty list unsubscribes (by the access address itself).
+     * The paid days left are lost with the replaced subscription and reported as 'lost', such a plan is applied
+     * with 'force' only. The tokens are validated against getAllSupportedTokens. Options: {accessAddress, days,
+     * value (wei, the price by default), force, planOnly} and the transaction options. Resolves the plan {address, days,
+     * current, desired, add, remove, keep, lost: {days, value}, actions, cost, applied, receipts}, an action is
+     * {method, tokens, days, value, price, gas, gasPrice, gasCost, totalCost}.
+     */
+    async syncSubscription(desiredTokens, options, callback) {
+        if (typeof options === 'function') [options, callback] = [{}, options];
+        if (!Array.isArray(desiredTokens))
+            throw new ArgumentError('desiredTokens is not an array.', {argument: 'desiredTokens', value: desiredTokens});
+        const invalid = desiredTokens.filter(token => !Web3js.utils.isAddress(token));
+        if (invalid.length)
+            throw new ArgumentError(`Invalid token addresses: ${invalid.join(', ')}`, {argument: 'desiredTokens', value: invalid});
+        await this.init();
+
+        const txOptions = extend(options);
+        ['accessAddress', 'days', 'value', 'force', 'planOnly'].forEach(key => delete txOptions[key]);
+        const [err, plan] = await _to(this._syncPlan(desiredTokens.map(toChecksum), options || {}, txOptions));
+        return returnValue(err, plan, callback);
+    }
+
+    async _syncPlan(desiredTokens, options, txOptions) {
+        const address = options.accessAddress ? toChecksum(options.accessAddress) : this.wallet;
+        const desired = Array.from(new Set(desiredTokens));
+        const [supported, current, remaining, data, minDays] = await Promise.all([this.getAllSupportedTokens(),
+            this.getTokensSubscribedTo(address), this.remainingSubscriptionDays({from: address}),
+            this.getSubscriptionData({from: address}), this.minDays()]);
+        const [remainingDays, minimumDays] = [remaining, minDays].map(Number);
+
+        const unsupported = desired.filter(token => !supported.includes(token));
+        if (unsupported.length)
+            throw new ArgumentError(`The tokens are not supported: ${unsupported.join(', ')}`, {argument: 'desiredTokens', value: unsupported});
+
+        // the subscription is kept until its end, for minDays at least
+        const days = parseInt(options.days) || Math.max(remainingDays, minimumDays);
+        const plan = {
+            address: address,
+            days: days,
+            current: current,
+            desired: desired,
+            add: desired.filter(token => !current.includes(token)),
+            remove: current.filter(token => !desired.includes(token)),
+            keep: desired.filter(token => current.includes(token))
+        };
+        const changed = plan.add.length || plan.remove.length;
+
+        // the replaced subscription takes the paid days left with it
+        const lostDays = changed ? remainingDays : 0;
+        plan.lost = {days: lostDays, value: toAmount(bn(data[2]).multiply(lostDays))};
+
+        const steps = [];
+        if (changed && desired.length) {
+            steps.push({method: 'subscribe', tokens: desired, days: days});
+        } else if (changed) {
+            if (address !== this.wallet)
+                throw new ArgumentError(`${address} can be unsubscribed by the address only`, {argument: 'accessAddress', value: address});
+            steps.push({method: 'unsubscribe', tokens: plan.remove});
+        }
+
+        plan.actions = await Promise.all(steps.map(async step => {
+            if (step.method === 'unsubscribe')
+                return extend(step, {price: toAmount(0)}, await this._estimate('unsubscribe', [], 0));
+            const price = (await this.calculatePrice(step.days, step.tokens.length))[0];
+            step.value = options.value || price;
+            return extend(step, {price: toAmount(price)},
+                await this._estimate('subscribe', [step.tokens, step.days, address, step.value], step.value));
+        }));
+        plan.cost = toAmount(plan.actions.reduce((sum, action) => sum.add(bn(action.totalCost.wei)), bn.zero));
+        plan.applied = false;
+        if (options.planOnly || !steps.length) return plan;
+
+        if (lostDays && !options.force)
+            throw new ArgumentError(`The subscription of ${address} is replaced with ${lostDays} paid days left ` +
+                `(${plan.lost.value.wei} wei), the plan is applied with {force: true}`, {argument: 'force', value: options.force});
+
+        const [action] = plan.actions;
+        plan.receipts = [await (action.method === 'unsubscribe' ? this.unsubscribe(txOptions) :
+            this.subscribe(action.tokens, action.days, address, action.value, txOptions))];
+        // the simulated actions are not applied
+        plan.applied = !txOptions.simulate;
+        return plan;
+    }
+
+    // The supported tokens the access address ('wallet' by default) is subscribed to
+    async getTokensSubscribedTo(accessAddress, callback) {
+        if (typeof accessAddress === 'function') [accessAddress, callback] = [null, accessAddress];
+        await this.init();
+        // the subscription of the caller is checked
+        const options = {from: argValue(accessAddress) ? toChecksum(accessAddress) : this.wallet};
         let [err, allTokens] = await _to(this.getAllSupportedTokens());
         if (err) return returnValue(err, null, callback);
 
-        let subscription = [];
+        // the checks are issued at once to be batched
         let isSubscribed;
-        for (let token of allTokens) {
-            [err, isSubscribed] = await _to(this.isSubscribedToToken(token));
-            if (err) return returnValue(err, null, callback);
-            if (isSubscribed) subscription.push(token)
-        }
-        return returnValue(null, subscription, callback);
+        [err, isSubscribed] = await _to(Promise.all(allTokens.map(token => this.isSubscribedToToken(token, options))));
+        if (err) return returnValue(err, null, callback);
+        return returnValue(null, allTokens.filter((token, i) => isSubscribed[i]), callback);
     }
 
-    async addTokenToSubscription(tokenAddress, numberOfDays, accessAddress, weiAmount, callback) {
+    // Subscribes again to the tokens of the wallet and the new one, weiAmount pays for all of them, see syncSubscription
+    async addTokenToSubscription(tokenAddress, numberOfDays, accessAddress, weiAmount, options, callback) {
         await this.init();
+        const args = [].slice.call(arguments);
+        callback = args.find(arg => typeof arg === 'function');
+        const txOptions = args.find(isOptions) || {};
+
         let [err, tokensList] = await _to(this.getTokensSubscribedTo());
         if (err) return returnValue(err, null, callback);
 
         tokensList.push(tokenAddress);
 
         let res;
-        [err, res] = await _to(this.subscribe(tokensList, numberOfDays, accessAddress, weiAmount));
-        if(result) transactions.updateStat(res.gasUsed, gasPrice);
+        [err, res] = await _to(this.subscribe(tokensList, argValue(numberOfDays), argValue(accessAddress),
+            argValue(weiAmount), txOptions));
         return returnValue(err, res, callback);
     }
 }
@@ -806,5 +884,42 @@ module.exports = {
     ContractInterface,
     AccessInterface,
     ERC20Interface,
-    Web3
+    Web3,
+    TransactionManager,
+    transactions,
+    Journal: journals.Journal,
+    MemoryJournal: journals.MemoryJournal,
+    FileJournal: journals.FileJournal,
+    InterfaceError: errors.InterfaceError,
+    ConfigurationError: errors.ConfigurationError,
+    ArgumentError: errors.ArgumentError,
+    InsufficientPaymentError: errors.InsufficientPaymentError,
+    RevertError: errors.RevertError,
+    GasEstimationError: errors.GasEstimationError,
+    NonceError: errors.NonceError,
+    ProviderError: errors.ProviderError,
+    SignerError: errors.SignerError,
+    ReorgError: errors.ReorgError,
+    AlertError: errors.AlertError,
+    decodeRevert: errors.decodeRevert,
+    Signer: signers.Signer,
+    PrivateKeySigner: signers.PrivateKeySigner,
+    MnemonicSigner: signers.MnemonicSigner,
+    KeystoreSigner: signers.KeystoreSigner,
+    RemoteSigner: signers.RemoteSigner,
+    FailoverProvider: providers.FailoverProvider,
+    ReconnectingWebsocketProvider: providers.ReconnectingWebsocketProvider,
+    HolderIndex,
+    CallBatcher,
+    CallCache,
+    SubscriptionKeeper,
+    TokenStatusStream,
+    AlertDispatcher: alerts.AlertDispatcher,
+    AlertSink: alerts.AlertSink,
+    WebhookSink: alerts.WebhookSink,
+    FileSink: alerts.FileSink,
+    CommandSink: alerts.CommandSink,
+    Gateway,
+    generateKeystore: signers.generateKeystore,
+    saveKeystore: signers.saveKeystore
 };
@@ -0,0 +1,148 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {ConfigurationError} = require('./errors');
+
+const serialize = (txMeta) => {
+    return JSON.stringify(txMeta, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+};
+
+// Reduce a list of journal records to the latest record of every transaction id
+const latestById = (records) => {
+    const byId = new Map();
+    records.forEach(record => {
+        if (record && record.id != null) byId.set(record.id, record)
+    });
+    return Array.from(byId.values());
+};
+
+
+/**
+ * The transaction journal adapter. A backend must implement:
+ *  - load()          - resolves the list of the stored txMeta objects (the latest record of every id)
+ *  - write(txMeta)   - stores a snapshot of the txMeta object, may return a promise
+ */
+class Journal {
+    async load() {
+        return [];
+    }
+
+    write(txMeta) {
+        throw new Error(`${this.constructor.name}: the "write" method is not implemented!`);
+    }
+}
+
+
+class MemoryJournal extends Journal {
+    constructor(records) {
+        super();
+        this.records = (records || []).slice();
+    }
+
+    async load() {
+        return latestById(this.records).map(record => JSON.parse(serialize(record)));
+    }
+
+    write(txMeta) {
+        this.records.push(JSON.parse(serialize(txMeta)));
+    }
+}
+
+
+/**
+ * File journal. The "ndjson" format appends a line per record (the default one),
+ * the "json" format keeps the whole list of transactions in a single JSON array.
+ * The format is detected by the file extension if it is not passed explicitly.
+ */
+class FileJournal extends Journal {
+    constructor(filename, format) {
+        super();
+        if (!filename)
+            throw new ConfigurationError('The journal file name is not defined!');
+
+        this.filename = path.resolve(filename);
+        this.format = format || (path.extname(filename) === '.json' ? 'json' : 'ndjson');
+
+        if (!['json', 'ndjson'].includes(this.format))
+            throw new ConfigurationError(`"${this.format}" journal format is not supported! Supported formats: ["json","ndjson"]`,
+                {setting: 'format', value: this.format});
+
+        this._entries = new Map();
+    }
+
+    async load() {
+        if (!fs.existsSync(this.filename)) return [];
+
+        const content = fs.readFileSync(this.filename, 'utf8');
+        let records = [];
+
+        if (this.format === 'json') {
+            records = content.trim() ? JSON.parse(content) : [];
+        } else {
+            // an unparsable line is a record interrupted by a crash, skip it
+            records = content.split('\n')
+                .filter(line => line.trim())
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        return null;
+                    }
+                });
+        }
+
+        records = latestById(records);
+        this._entries = new Map(records.map(record => [record.id, record]));
+        return records;
+    }
+
+    write(txMeta) {
+        if (this.format === 'ndjson') {
+            fs.appendFileSync(this.filename, serialize(txMeta) + '\n');
+            return;
+        }
+
+        this._entries.set(txMeta.id, JSON.parse(serialize(txMeta)));
+        this._save(Array.from(this._entries.values()));
+    }
+
+    // Rewrite the ndjson file leaving the latest record of every transaction only
+    async compact() {
+        const records = await this.load();
+        if (this.format === 'json') return this._save(records);
+
+        const tmp = `${this.filename}.tmp`;
+        fs.writeFileSync(tmp, records.map(record => serialize(record) + '\n').join(''));
+        fs.renameSync(tmp, this.filename);
+    }
+
+    _save(records) {
+        const tmp = `${this.filename}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(JSON.parse(serialize(records)), null, 4));
+        fs.renameSync(tmp, this.filename);
+    }
+}
+
+module.exports = {
+    Journal,
+    MemoryJournal,
+    FileJournal
+};
@@ -0,0 +1,167 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const EventEmitter = require('events');
+const bn = require('big-integer');
+const {log, _to, toChecksum} = require('./utils');
+const {ArgumentError} = require('./errors');
+
+// a target is an access address or {address, days, tokens, all, threshold}
+const toTarget = (target) => typeof target === 'string' ? {address: target} : Object.assign({}, target);
+
+
+/**
+ * Renews the subscriptions of the access addresses when their remaining days drop below 'threshold'.
+ * The subscription is renewed for 'days' (the days of the current subscription by default) by the interface's wallet,
+ * with subscribeAll if the address is subscribed to all the supported tokens, with subscribe of its tokens otherwise.
+ * A target may fix its own {days, tokens, all, threshold}. The renewal is skipped if the price exceeds 'maxPrice' (wei)
+ * or the wallet balance doesn't cover the price and the gas. Every decision is emitted as 'decision' and as its action:
+ * 'renewed', 'skipped' or 'failed' ({address, action, reason, remainingDays, days, tokens, all, price, ...}).
+ * Options: {addresses (the wallet by default), threshold: 7 (days), days, maxPrice, interval: 3600000 (ms)}.
+ */
+class SubscriptionKeeper extends EventEmitter {
+    constructor(access, options) {
+        super();
+        options = options || {};
+        if (options.threshold !== undefined && !(options.threshold >= 0))
+            throw new ArgumentError('The threshold must be a number of days!', {argument: 'threshold', value: options.threshold});
+
+        this.access = access;
+        this.targets = [].concat(options.addresses || []).map(toTarget);
+        this.threshold = options.threshold === undefined ? 7 : options.threshold;
+        this.days = options.days || null;
+        this.maxPrice = options.maxPrice || null;
+        this.interval = options.interval || 3600000;
+        this.active = false;
+        // the last known plan of an address is kept for the renewal of a lapsed subscription
+        this._plans = new Map();
+    }
+
+    // Checks the subscriptions now and then every 'interval' ms
+    start() {
+        this.active = true;
+        this._run();
+        return this;
+    }
+
+    stop() {
+        this.active = false;
+        clearTimeout(this._timer);
+    }
+
+    // Checks the subscriptions once, resolves the decisions
+    async check() {
+        await this.access.init();
+        const targets = this.targets.length ? this.targets : [{address: this.access.wallet}];
+        const decisions = [];
+        // the renewals are paid by the same wallet, they are sent one by one
+        for (const target of targets) {
+            const decision = await this._check(target);
+            decisions.push(decision);
+            this._report(decision);
+        }
+        return decisions;
+    }
+
+    async _run() {
+        const [err] = await _to(this.check());
+        if (err) log.error(`SubscriptionKeeper: the check has failed: ${err.message || err}`);
+        if (this.active) this._timer = setTimeout(() => this._run(), this.interval);
+    }
+
+    async _check(target) {
+        const address = toChecksum(target.address);
+        const decision = {address: address, action: 'skipped', reason: null};
+        const from = {from: address};
+        try {
+            const [remaining, data] = await Promise.all([
+                this.access.remainingSubscriptionDays(from),
+                this.access.getSubscriptionData(from)
+            ]);
+            decision.remainingDays = parseInt(remaining);
+            // the tokens of an active subscription are learned on every check
+            const plan = await this._plan(target, address, decision.remainingDays);
+            const threshold = target.threshold === undefined ? this.threshold : target.threshold;
+            if (decision.remainingDays >= threshold) return Object.assign(decision, {reason: 'not due'});
+            if (!plan) return Object.assign(decision, {reason: parseInt(data[0]) ? 'unknown tokens' : 'not subscribed'});
+            const minDays = parseInt(await this.access.minDays());
+            const days = Math.max(target.days || this.days || parseInt(data[1]) || minDays, minDays);
+            Object.assign(decision, {days: days, all: plan.all, tokens: plan.tokens});
+
+            const price = (await this.access.calculatePrice(days, plan.all ? 0 : plan.tokens.length))[0];
+            decision.price = price;
+            if (this.maxPrice && bn(price).greater(bn(this.maxPrice)))
+                return Object.assign(decision, {reason: 'price', maxPrice: this.maxPrice.toString()});
+
+            // the simulation estimates the gas and reveals a renewal which would revert
+            const simulation = await this._renew(plan, days, address, price, {simulate: true});
+            const balance = await this.access.w3.eth.getBalance(this.access.wallet);
+            decision.cost = simulation.totalCost;
+            if (bn(balance).lesser(bn(simulation.totalCost)))
+                return Object.assign(decision, {reason: 'balance', balance: balance});
+
+            const receipt = await this._renew(plan, days, address, price, {});
+            return Object.assign(decision, {action: 'renewed', transactionHash: receipt.transactionHash});
+        } catch (err) {
+            return Object.assign(decision, {action: 'failed', reason: err.message || String(err), error: err});
+        }
+    }
+
+    // the tokens of the target, the current subscription or the last known one: {all, tokens} or null
+    async _plan(target, address, remainingDays) {
+        if (target.all) return {all: true, tokens: []};
+        if (target.tokens && target.tokens.length) return {all: false, tokens: target.tokens.map(toChecksum)};
+
+        if (remainingDays > 0) {
+            const [tokens, supported] = await Promise.all([
+                this.access.getTokensSubscribedTo(address),
+                this.access.getAllSupportedTokens()
+            ]);
+            if (tokens.length) {
+                const all = tokens.length === supported.length;
+                this._plans.set(address, {all: all, tokens: all ? [] : tokens});
+            }
+        }
+        return this._plans.get(address) || null;
+    }
+
+    _renew(plan, days, address, price, options) {
+        return plan.all ?
+            this.access.subscribeAll(days, address, price, options) :
+            this.access.subscribe(plan.tokens, days, address, price, options);
+    }
+
+    _report(decision) {
+        const details = `${decision.address}: ${decision.remainingDays} day(s) remaining`;
+        if (decision.action === 'renewed')
+            log.info(`SubscriptionKeeper: ${details}, renewed for ${decision.days} day(s), ${decision.transactionHash}`);
+        else if (decision.action === 'failed')
+            log.error(`SubscriptionKeeper: ${details}, the renewal has failed: ${decision.reason}`);
+        else if (decision.reason === 'not due')
+            log.debug(`SubscriptionKeeper: ${details}, the renewal is not due`);
+        else
+            log.warn(`SubscriptionKeeper: ${details}, the renewal is skipped: ${decision.reason}`);
+        this.emit('decision', decision);
+        this.emit(decision.action, decision);
+    }
+}
+
+module.exports = {
+    SubscriptionKeeper
+};
@@ -0,0 +1,356 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const Web3js = require('web3');
+const {log} = require('./utils');
+const {ConfigurationError, ProviderError} = require('./errors');
+
+const supportedProtocols = ['ws', 'wss', 'http', 'https', 'ipc'];
+
+/**
+ * The WebSocket provider reconnecting with an exponential backoff: the delay starts at 'reconnect.delay' (1000 ms)
+ * and doubles on every failed attempt up to 'reconnect.maxDelay' (30000 ms). The dead connections are detected
+ * by the keepalive pings. Emits 'reconnect' (attempt) before every attempt and 'connect' once connected, the requests
+ * sent while reconnecting are queued. Options: the WebsocketProvider options, {reconnect: {delay, maxDelay, maxAttempts}}.
+ */
+class ReconnectingWebsocketProvider extends Web3js.providers.WebsocketProvider {
+    constructor(url, options) {
+        options = options || {};
+        const reconnect = Object.assign({auto: true, delay: 1000, maxDelay: 30000, maxAttempts: false, onTimeout: true},
+            options.reconnect);
+        super(url, Object.assign({
+            clientConfig: {keepalive: true, keepaliveInterval: 30000, dropConnectionOnKeepaliveTimeout: true, keepaliveGracePeriod: 10000}
+        }, options, {reconnect: reconnect}));
+        this.initialDelay = reconnect.delay;
+        this.maxDelay = reconnect.maxDelay;
+    }
+
+    // the close and the timed out requests may ask for a reconnection at once, a single attempt is scheduled
+    reconnect() {
+        if (this.reconnecting && this._reconnectScheduled) return;
+        this.reconnectOptions.delay = Math.min(this.initialDelay * Math.pow(2, this.reconnectAttempts), this.maxDelay);
+        log.warn(`ReconnectingWebsocketProvider: ${this.url} is disconnected, ` +
+            `reconnecting in ${this.reconnectOptions.delay} ms (attempt ${this.reconnectAttempts + 1})`);
+        this._reconnectScheduled = true;
+        super.reconnect();
+    }
+
+    connect() {
+        this._reconnectScheduled = false;
+        super.connect();
+    }
+}
+
+const providers = {
+    https: Web3js.providers.HttpProvider,
+    http: Web3js.providers.HttpProvider,
+    ipc: Web3js.providers.IpcProvider,
+    wss: ReconnectingWebsocketProvider,
+    ws: ReconnectingWebsocketProvider
+};
+
+// the sends and the pending nonce of a sender go to the same node, as well as the node-local filters and subscriptions
+const sendMethods = ['eth_sendTransaction', 'eth_sendRawTransaction'];
+const filterMethods = ['eth_newFilter', 'eth_newBlockFilter', 'eth_newPendingTransactionFilter',
+    'eth_getFilterChanges', 'eth_getFilterLogs', 'eth_uninstallFilter'];
+const subscriptionMethods = ['eth_subscribe', 'eth_unsubscribe'];
+
+// the request hasn't reached the node: a send is repeated on another node only then, a timed out one may be broadcast
+const connectionRefused = (err) => err.code === 'ECONNREFUSED' ||
+    /ECONNREFUSED|ENOENT|Couldn't connect to node|connection not open/i.test(err.message || '');
+
+const accounts = new Web3js().eth.accounts;
+
+
+const getProtocol = (nodeAddress) => {
+    const protocol = nodeAddress.search(/\.ipc$/) !== -1 ? 'ipc' : nodeAddress.split(':')[0];
+    if (!supportedProtocols.includes(protocol))
+        throw new ConfigurationError(`"${protocol}" protocol is not supported! ` +
+            `Supported protocols:\n${JSON.stringify(supportedProtocols)}`, {setting: 'nodeAddress', value: nodeAddress});
+    return protocol;
+};
+
+// Creates the web3 provider of the node address by its protocol, the ws and wss providers reconnect
+const createProvider = (nodeAddress, options) => {
+    const protocol = getProtocol(nodeAddress);
+    if (protocol === 'ipc') return new providers.ipc(nodeAddress, net);
+    return new providers[protocol](nodeAddress, options);
+};
+
+
+/**
+ * A provider over several nodes (http, ws and ipc addresses or provider objects). The nodes are health-checked
+ * by their block height lag, latency and error rate: the reads are routed to the healthiest one, the sends of
+ * a sender are pinned to a single node, a failed or timed out request is retried on the next node. A send is retried
+ * only if the connection is refused: the node may have broadcast the timed out one (or signed it, eth_sendTransaction).
+ * Every request is reported by the 'request' event and kept in the 'history': {id, method, endpoint, latency,
+ * attempts, pin, error}. The 'failover' event reports a pin moved to another node: {pin, from, to, error}.
+ * Options: {maxBlockLag: 3, maxErrorRate: 0.5, timeout: 10000 (ms), healthCheckInterval: 15000 (ms, 0 - off),
+ * historySize: 100}.
+ */
+class FailoverProvider extends EventEmitter {
+    constructor(endpoints, options) {
+        super();
+        if (!Array.isArray(endpoints) || !endpoints.length)
+            throw new ConfigurationError('The node addresses are not defined!', {setting: 'nodeAddress', value: endpoints});
+        options = options || {};
+
+        this.maxBlockLag = options.maxBlockLag !== undefined ? options.maxBlockLag : 3;
+        this.maxErrorRate = options.maxErrorRate !== undefined ? options.maxErrorRate : 0.5;
+        this.timeout = options.timeout || 10000;
+        this.historySize = options.historySize || 100;
+        this.history = [];
+
+        this.endpoints = endpoints.map((endpoint, i) => {
+            const provider = typeof endpoint === 'string' ? createProvider(endpoint) : endpoint;
+            const url = typeof endpoint === 'string' ? endpoint : (endpoint.url || endpoint.host || `provider-${i}`);
+            // the subscription notifications and the reconnections are passed to web3 and the interfaces
+            if (typeof provider.on === 'function')
+                ['data', 'connect', 'reconnect'].forEach(event => provider.on(event, (...args) => this.emit(event, ...args)));
+            return {
+                url: url,
+                provider: provider,
+                subscriptions: typeof endpoint === 'string' ? /^wss?:|\.ipc$/.test(endpoint) :
+                    typeof provider.on === 'function',
+                healthy: true,
+                blockNumber: null,
+                lag: 0,
+                latency: null,
+                errorRate: 0,
+                requests: 0,
+                errors: 0,
+                lastError: null,
+                checkedAt: null
+            };
+        });
+
+        this._pins = {};
+        this._id = 0;
+        this._timer = null;
+        this.healthCheckInterval = options.healthCheckInterval !== undefined ? options.healthCheckInterval : 15000;
+        if (this.healthCheckInterval) this.start();
+    }
+
+    // web3 sends the JSON-RPC payloads (or batches) with a node style callback,
+    // it is called out of the promise chain to keep the web3 rejections handled
+    send(payload, callback) {
+        this._route(payload).then(({err, response}) => process.nextTick(callback, err, response));
+    }
+
+    sendAsync(payload, callback) {
+        this.send(payload, callback);
+    }
+
+    supportsSubscriptions() {
+        return this.endpoints.some(endpoint => endpoint.subscriptions);
+    }
+
+    start() {
+        this.stop();
+        this._timer = setInterval(() => this.checkHealth(), this.healthCheckInterval);
+        if (this._timer.unref) this._timer.unref();
+        this.checkHealth();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    disconnect() {
+        this.stop();
+        this.endpoints.forEach(({provider}) => {
+            if (typeof provider.disconnect === 'function') provider.disconnect();
+        });
+    }
+
+    // Requests the block number of every node and marks the lagging, failing and slow ones unhealthy
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async endpoint => {
+            try {
+                const {response} = await this._call(endpoint, this._payload('eth_blockNumber', []));
+                endpoint.blockNumber = parseInt(response.result);
+                endpoint.checkError = null;
+            } catch (e) {
+                endpoint.checkError = e;
+            }
+            endpoint.checkedAt = Date.now();
+        }));
+
+        const highest = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber || 0));
+        this.endpoints.forEach(endpoint => {
+            endpoint.lag = endpoint.blockNumber === null ? Infinity : highest - endpoint.blockNumber;
+            const healthy = !endpoint.checkError && endpoint.lag <= this.maxBlockLag && endpoint.errorRate <= this.maxErrorRate;
+            if (healthy !== endpoint.healthy)
+                log.warn(`FailoverProvider: ${endpoint.url} is ${healthy ? 'healthy' : 'unhealthy'}, ` +
+                    `block ${endpoint.blockNumber}, lag ${endpoint.lag}, error rate ${endpoint.errorRate.toFixed(2)}`);
+            endpoint.healthy = healthy;
+        });
+
+        const report = this.getReport();
+        this.emit('health', report);
+        return report;
+    }
+
+    getReport() {
+        const pins = {};
+        Object.keys(this._pins).forEach(pin => { pins[pin] = this._pins[pin].url });
+        return {
+            endpoints: this.endpoints.map(endpoint => ({
+                url: endpoint.url,
+                healthy: endpoint.healthy,
+                blockNumber: endpoint.blockNumber,
+                lag: endpoint.lag,
+                latency: endpoint.latency,
+                errorRate: endpoint.errorRate,
+                requests: endpoint.requests,
+                errors: endpoint.errors,
+                lastError: endpoint.lastError ? endpoint.lastError.message : null
+            })),
+            pins: pins
+        };
+    }
+
+    // The healthy nodes by the block lag and latency, the unhealthy ones are the last resort
+    _ranked() {
+        const score = (endpoint) => [endpoint.healthy ? 0 : 1, Math.min(endpoint.lag, Number.MAX_SAFE_INTEGER),
+            endpoint.latency || 0, endpoint.errorRate];
+        return this.endpoints.slice().sort((a, b) => {
+            const [x, y] = [score(a), score(b)];
+            for (let i = 0; i < x.length; i++) if (x[i] !== y[i]) return x[i] - y[i];
+            return 0;
+        });
+    }
+
+    _pin(payload) {
+        if (Array.isArray(payload)) return null;
+        const {method, params} = payload;
+        if (sendMethods.includes(method)) {
+            let sender = 'unknown';
+            try {
+                sender = method === 'eth_sendTransaction' ? params[0].from : accounts.recoverTransaction(params[0]);
+            } catch (e) {}
+            return `sender:${(sender || 'unknown').toLowerCase()}`;
+        }
+        if (method === 'eth_getTransactionCount' && params[1] === 'pending') return `sender:${params[0].toLowerCase()}`;
+        if (filterMethods.includes(method)) return 'filters';
+        if (subscriptionMethods.includes(method)) return 'subscriptions';
+        return null;
+    }
+
+    async _route(payload) {
+        const method = Array.isArray(payload) ? 'batch' : payload.method;
+        const pin = this._pin(payload);
+        const pinned = pin ? this._pins[pin] : null;
+
+        let candidates = this._ranked();
+        if (subscriptionMethods.includes(method)) candidates = candidates.filter(endpoint => endpoint.subscriptions);
+        if (pinned && pinned.healthy) candidates = [pinned].concat(candidates.filter(endpoint => endpoint !== pinned));
+
+        const record = {id: ++this._id, method: method, endpoint: null, latency: null, attempts: 0, pin: pin};
+        let lastError = null;
+        for (const endpoint of candidates) {
+            record.attempts++;
+            const started = Date.now();
+            try {
+                const result = await this._call(endpoint, payload);
+                record.endpoint = endpoint.url;
+                record.latency = Date.now() - started;
+                if (pin && pinned !== endpoint) {
+                    if (pinned) {
+                        log.warn(`FailoverProvider: ${pin} is moved from ${pinned.url} to ${endpoint.url}`);
+                        this.emit('failover', {pin, from: pinned.url, to: endpoint.url, error: lastError});
+                    }
+                    this._pins[pin] = endpoint;
+                }
+                this._report(record);
+                return result;
+            } catch (e) {
+                lastError = e;
+                log.warn(`FailoverProvider: "${method}" failed on ${endpoint.url}: ${e.message}`);
+                if (sendMethods.includes(method) && !connectionRefused(e)) {
+                    record.endpoint = endpoint.url;
+                    record.error = e.message;
+                    this._report(record);
+                    return {err: new ProviderError(`"${method}" failed on ${endpoint.url}, it is not sent to another node ` +
+                        `as the transaction may have been broadcast: ${e.message}`, {cause: e})};
+                }
+            }
+        }
+
+        record.error = lastError ? lastError.message : 'no endpoint is available';
+        this._report(record);
+        return {err: new ProviderError(`All the nodes have failed "${method}": ${record.error}`, {cause: lastError})};
+    }
+
+    _report(record) {
+        this.history.push(record);
+        if (this.history.length > this.historySize) this.history.shift();
+        this.emit('request', record);
+    }
+
+    // Resolves {err, response} if the node has answered (even with a JSON-RPC error), rejects if it is unreachable
+    _call(endpoint, payload) {
+        const provider = endpoint.provider;
+        const send = typeof provider.sendAsync === 'function' ? provider.sendAsync : provider.send;
+        const started = Date.now();
+        endpoint.requests++;
+
+        return new Promise((resolve, reject) => {
+            let done = false;
+            const finish = (err, response) => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                const failed = !response;
+                endpoint.errorRate = endpoint.errorRate * 0.8 + (failed ? 0.2 : 0);
+                if (failed) {
+                    endpoint.errors++;
+                    endpoint.lastError = err || new ProviderError('empty response');
+                    if (endpoint.errorRate > this.maxErrorRate) endpoint.healthy = false;
+                    return reject(endpoint.lastError);
+                }
+                const latency = Date.now() - started;
+                endpoint.latency = endpoint.latency === null ? latency : Math.round(endpoint.latency * 0.8 + latency * 0.2);
+                resolve({err, response});
+            };
+            const timer = setTimeout(() => finish(new ProviderError(`${endpoint.url} has not answered in ${this.timeout} ms`)),
+                this.timeout);
+            try {
+                send.call(provider, payload, finish);
+            } catch (e) {
+                finish(e);
+            }
+        });
+    }
+
+    _payload(method, params) {
+        return {jsonrpc: '2.0', id: ++this._id, method: method, params: params};
+    }
+}
+
+module.exports = {
+    supportedProtocols,
+    getProtocol,
+    createProvider,
+    ReconnectingWebsocketProvider,
+    FailoverProvider
+};
@@ -0,0 +1,284 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+const Web3js = require('web3');
+const bip39 = require('bip39');
+const HDKey = require('hdkey');
+const {log, toChecksum, getChainId} = require('./utils');
+const {ConfigurationError, ProviderError, SignerError} = require('./errors');
+
+const accounts = new Web3js().eth.accounts;
+
+const defaultHdPath = "m/44'/60'/0'/0/";
+const quantities = ['value', 'gas', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'nonce', 'chainId'];
+
+
+/**
+ * The base class of the signers: resolves the sender address and signs the raw transactions,
+ * the private keys never reach the provider.
+ */
+class Signer {
+    async getAddress() {
+        throw new SignerError(`${this.constructor.name}: the "getAddress" method is not implemented!`);
+    }
+
+    // Returns the signed raw transaction (hex) of {from, to, data, value, gas, nonce, chainId, gasPrice | maxFeePerGas...}
+    async signTransaction(tx, w3) {
+        throw new SignerError(`${this.constructor.name}: the "signTransaction" method is not implemented!`);
+    }
+}
+
+/**
+ * Signs with a raw private key (hex, with or without "0x").
+ */
+class PrivateKeySigner extends Signer {
+    constructor(privateKey) {
+        super();
+        if (!privateKey)
+            throw new ConfigurationError('The private key is not defined!', {setting: 'privateKey'});
+        privateKey = privateKey.toString().replace(/^(0x)?/, '0x');
+        if (!/^0x[0-9a-fA-F]{64}$/.test(privateKey))
+            throw new ConfigurationError('The private key must be 32 bytes hex!', {setting: 'privateKey'});
+
+        // not enumerable to keep the key out of the logs and serialized objects
+        Object.defineProperty(this, '_privateKey', {value: privateKey});
+        this.address = accounts.privateKeyToAccount(privateKey).address;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    async signTransaction(tx, w3) {
+        const signed = await (w3 ? w3.eth.accounts : accounts).signTransaction(tx, this._privateKey);
+        return signed.rawTransaction;
+    }
+
+    // Encrypts the key to a V3 keystore, the options are the KDF parameters of web3.eth.accounts.encrypt
+    toKeystore(password, options) {
+        return accounts.encrypt(this._privateKey, password, options);
+    }
+}
+
+/**
+ * Signs with the key derived from a BIP39 mnemonic: the account 'index' of the 'hdPath' (m/44'/60'/0'/0/ by default).
+ */
+class MnemonicSigner extends PrivateKeySigner {
+    constructor(mnemonic, index, hdPath) {
+        if (!mnemonic || !bip39.validateMnemonic(mnemonic))
+            throw new ConfigurationError('The mnemonic is not valid!', {setting: 'mnemonic'});
+        const path = (hdPath || defaultHdPath) + (index || 0);
+        const key = HDKey.fromMasterSeed(bip39.mnemonicToSeed(mnemonic)).derive(path).privateKey;
+        super(key.toString('hex'));
+        this.hdPath = path;
+    }
+}
+
+/**
+ * Signs with the key of an encrypted V3 keystore (a JSON string or object).
+ */
+class KeystoreSigner extends PrivateKeySigner {
+    constructor(keystore, password) {
+        let account;
+        try {
+            account = accounts.decrypt(readKeystore(keystore), password || '');
+        } catch (e) {
+            throw new ConfigurationError(`The keystore can't be decrypted: ${e.message}`, {setting: 'keystore', cause: e});
+        }
+        super(account.privateKey);
+    }
+}
+
+/**
+ * Delegates the signing to a remote service over HTTP(S) JSON-RPC: 'eth_accounts' returns the sender
+ * (unless the 'address' option is set) and 'eth_signTransaction' returns the raw transaction
+ * as a string or as {raw} (Clef, Web3Signer and the compatible services).
+ * Options: {address, headers, timeout (ms, 10000 by default)}.
+ */
+class RemoteSigner extends Signer {
+    constructor(url, options) {
+        super();
+        if (!url || !/^https?:\/\//.test(url))
+            throw new ConfigurationError(`"${url}" signer url is not supported! Supported protocols: ["http","https"]`,
+                {setting: 'url', value: url});
+        options = options || {};
+        this.url = url;
+        this.address = options.address ? toChecksum(options.address) : null;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 10000;
+        this._id = 0;
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            const addresses = await this.request('eth_accounts', []);
+            if (!addresses || !addresses.length)
+                throw new SignerError(`The signer ${this.url} has no accounts`);
+            this.address = toChecksum(addresses[0]);
+        }
+        return this.address;
+    }
+
+    async signTransaction(tx) {
+        const params = {};
+        Object.keys(tx).forEach(key => {
+            if (tx[key] === undefined || tx[key] === null) return;
+            params[key] = quantities.includes(key) ? Web3js.utils.numberToHex(tx[key]) : tx[key];
+        });
+        const result = await this.request('eth_signTransaction', [params]);
+        const raw = result && typeof result === 'object' ? result.raw : result;
+        if (typeof raw !== 'string')
+            throw new SignerError(`The signer ${this.url} has returned no raw transaction`);
+        return raw;
+    }
+
+    request(method, params) {
+        const body = JSON.stringify({jsonrpc: '2.0', id: ++this._id, method: method, params: params});
+        const client = this.url.startsWith('https') ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(this.url, {
+                method: 'POST',
+                headers: Object.assign({'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body)}, this.headers),
+                timeout: this.timeout
+            }, (res) => {
+                let data = '';
+                res.on('data', chunk => { data += chunk });
+                res.on('end', () => {
+                    let response;
+                    try {
+                        response = JSON.parse(data);
+                    } catch (e) {
+                        return reject(new ProviderError(`Invalid JSON RPC response of the signer ${this.url}: ${data}`, {cause: e}));
+                    }
+                    if (response.error)
+                        return reject(new SignerError(`The signer ${this.url} has refused "${method}": ${response.error.message}`,
+                            {code: response.error.code}));
+                    resolve(response.result);
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`timeout of ${this.timeout} ms exceeded`)));
+            req.on('error', (e) => reject(new ProviderError(`The signer ${this.url} is not available: ${e.message}`, {cause: e})));
+            req.end(body);
+        });
+    }
+}
+
+// A keystore is passed as an object, a JSON string or the path of a keystore file
+const readKeystore = (keystore) => {
+    if (typeof keystore !== 'string' || keystore.trim().startsWith('{')) return keystore;
+    return fs.readFileSync(keystore, 'utf8');
+};
+
+/**
+ * Creates the signers of the credentials passed to the interfaces instead of a mnemonic:
+ * a Signer, an array of Signers and private keys, {privateKey(s)} or {keystore(s), password(s)} -
+ * a single password or one per keystore. Returns null for a mnemonic, which is handed to the provider.
+ */
+const toSigners = (credentials) => {
+    if (!credentials || typeof credentials === 'string') return null;
+    if (credentials instanceof Signer) return [credentials];
+
+    const toSigner = (item) => item instanceof Signer ? item : new PrivateKeySigner(item);
+    if (Array.isArray(credentials)) return credentials.map(toSigner);
+
+    const list = (value) => value === undefined ? [] : [].concat(value);
+    const keys = list(credentials.privateKey).concat(list(credentials.privateKeys));
+    const keystores = list(credentials.keystore).concat(list(credentials.keystores));
+    const passwords = list(credentials.password).concat(list(credentials.passwords));
+    if (!keys.length && !keystores.length)
+        throw new ConfigurationError('The credentials have neither private keys nor keystores!', {setting: 'credentials'});
+
+    return keys.map(toSigner).concat(keystores.map((keystore, i) =>
+        new KeystoreSigner(keystore, passwords.length > 1 ? passwords[i] : passwords[0])));
+};
+
+/**
+ * Generates a new account and returns its V3 keystore encrypted with the password.
+ */
+const generateKeystore = (password, options) => {
+    if (!password)
+        throw new ConfigurationError('The keystore password is not defined!', {setting: 'password'});
+    return accounts.encrypt(accounts.create().privateKey, password, options);
+};
+
+/**
+ * Writes the keystore to the directory under the geth file name (UTC--<time>--<address>), returns the file path.
+ */
+const saveKeystore = (keystore, dir) => {
+    const time = new Date().toISOString().replace(/:/g, '-');
+    const filename = path.join(dir, `UTC--${time}--${keystore.address.replace(/^0x/, '').toLowerCase()}`);
+    fs.writeFileSync(filename, JSON.stringify(keystore), {mode: 0o600});
+    return filename;
+};
+
+/**
+ * Signs the transaction and sends it with sendSignedTransaction. Returns a promise of the receipt which, like
+ * the web3 PromiEvent, emits 'transactionHash', 'receipt' and, to its listeners only, 'confirmation'.
+ */
+const sendSigned = (w3, signer, tx) => {
+    const events = new EventEmitter();
+    // web3 polls the node for the confirmations while a listener is attached, it is only forwarded on demand
+    let sent = null;
+    let forwarding = false;
+    const forwardConfirmations = () => {
+        if (!sent || forwarding || !events.listenerCount('confirmation')) return;
+        forwarding = true;
+        sent.on('confirmation', (number, receipt) => events.emit('confirmation', number, receipt));
+    };
+    const promise = (async () => {
+        tx = Object.assign({}, tx);
+        if (tx.chainId === undefined) tx.chainId = await getChainId(w3);
+        if (tx.nonce === undefined) tx.nonce = await w3.eth.getTransactionCount(tx.from, 'pending');
+        const raw = await signer.signTransaction(tx, w3);
+        log.debug(`sendSigned: ${tx.from}, nonce ${tx.nonce}`);
+
+        sent = w3.eth.sendSignedTransaction(raw)
+            .on('transactionHash', hash => events.emit('transactionHash', hash))
+            .on('receipt', receipt => events.emit('receipt', receipt));
+        forwardConfirmations();
+        return sent;
+    })();
+
+    ['on', 'once'].forEach(method => {
+        promise[method] = (event, listener) => {
+            events[method](event, listener);
+            if (event === 'confirmation') forwardConfirmations();
+            return promise;
+        };
+    });
+    return promise;
+};
+
+module.exports = {
+    Signer,
+    PrivateKeySigner,
+    MnemonicSigner,
+    KeystoreSigner,
+    RemoteSigner,
+    toSigners,
+    generateKeystore,
+    saveKeystore,
+    sendSigned
+};
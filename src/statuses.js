@@ -0,0 +1,178 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const EventEmitter = require('events');
+const {log, toChecksum} = require('./utils');
+
+const zeroAddress = '0x0000000000000000000000000000000000000000';
+
+// the event ids remembered to skip the repeated events
+const maxSeen = 10000;
+
+// the status of getStatusDetails (or getCurrentStatusDetails without 'invalid')
+const toStatus = (statusNumber, details) => ({
+    statusNumber: statusNumber,
+    errorLevel: parseInt(details[0]),
+    errorMessage: details[1],
+    setter: details[2],
+    timestamp: parseInt(details[3]),
+    invalid: details[4]
+});
+
+
+/**
+ * The TokenStatusChanged events resolved to the token and its statuses, emitted as 'status' in the order of the events:
+ * {eventId, token, info (tokenInfo, read once per token), previous, status, blockNumber, transactionHash, logIndex}.
+ * A status is {statusNumber, errorLevel, errorMessage, setter, timestamp, invalid}, 'previous' is null for the first one.
+ * The tokens the wallet is not subscribed to (getTokenForEventId is the zero address) and the repeated events are skipped.
+ * The statuses set before the event's block are read at the previous block (an archive node for the old events).
+ * The stream is an async iterator as well: `for await (const change of stream)`, breaking the loop stops it.
+ * Options: {tokens (only these), metadata: true} and the watchEvent options {fromBlock, confirmations, pollingInterval}.
+ */
+class TokenStatusStream extends EventEmitter {
+    constructor(access, options) {
+        super();
+        options = Object.assign({}, options);
+        this.access = access;
+        this.tokens = options.tokens ? options.tokens.map(toChecksum) : null;
+        this.metadata = options.metadata !== false;
+        delete options.tokens;
+        delete options.metadata;
+        this.options = options;
+        this.active = false;
+        this.stats = {events: 0, emitted: 0, skipped: 0, failed: 0};
+        this._seen = new Set();
+        this._info = new Map();
+        // the statuses of a token changed by the previous events of the same block
+        this._block = {number: null, changes: new Map()};
+        this._queue = Promise.resolve();
+    }
+
+    start() {
+        if (this.active) return this;
+        this.active = true;
+        this.watcher = this.access.watchEvent('TokenStatusChanged', this.options, (err, event) => {
+            if (err) return this._fail(err);
+            // the events are resolved one by one to be emitted in their order
+            this._queue = this._queue.then(() => this._resolve(event)).catch(err => this._fail(err, event));
+        });
+        return this;
+    }
+
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+        if (this.watcher) this.watcher.stop();
+        this.emit('stop');
+    }
+
+    async *[Symbol.asyncIterator]() {
+        const buffer = [];
+        let failure = null;
+        let wake = () => {};
+        const listeners = {
+            status: change => { buffer.push(change); wake(); },
+            error: err => { failure = err; wake(); },
+            stop: () => wake()
+        };
+        Object.keys(listeners).forEach(event => this.on(event, listeners[event]));
+        this.start();
+        try {
+            while (true) {
+                if (buffer.length) yield buffer.shift();
+                else if (failure) throw failure;
+                else if (!this.active) return;
+                else await new Promise(resolve => wake = resolve);
+            }
+        } finally {
+            Object.keys(listeners).forEach(event => this.removeListener(event, listeners[event]));
+            this.stop();
+        }
+    }
+
+    async _resolve(event) {
+        const eventId = String(event.returnValues.eventId !== undefined ? event.returnValues.eventId : event.returnValues[0]);
+        this.stats.events++;
+        if (event.removed || this._seen.has(eventId)) return this._skip(eventId, event.removed ? 'removed' : 'repeated');
+        this._remember(eventId);
+
+        const token = await this.access.getTokenForEventId(eventId);
+        if (!token || toChecksum(token) === zeroAddress) return this._skip(eventId, 'not subscribed');
+        if (this.tokens && !this.tokens.includes(toChecksum(token))) return this._skip(eventId, 'filtered');
+
+        if (this._block.number !== event.blockNumber) this._block = {number: event.blockNumber, changes: new Map()};
+        const changed = this._block.changes.get(token) || 0;
+        this._block.changes.set(token, changed + 1);
+
+        const before = event.blockNumber > 0 ?
+            parseInt(await this.access.getTotalStatusCounts(token, {blockNumber: event.blockNumber - 1})) : 0;
+        const statusNumber = before + changed;
+        const [current, previous, info] = await Promise.all([
+            this.access.getStatusDetails(token, statusNumber),
+            statusNumber > 0 ? this.access.getStatusDetails(token, statusNumber - 1) : null,
+            this.metadata ? this._tokenInfo(token) : null
+        ]);
+
+        const change = {
+            eventId: eventId,
+            token: token,
+            info: info,
+            previous: previous ? toStatus(statusNumber - 1, previous) : null,
+            status: toStatus(statusNumber, current),
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash,
+            logIndex: event.logIndex
+        };
+        this.stats.emitted++;
+        log.debug(`TokenStatusStream: ${token} status ${statusNumber}, error level ${change.status.errorLevel}`);
+        if (this.active) this.emit('status', change);
+    }
+
+    _tokenInfo(token) {
+        if (!this._info.has(token)) {
+            const info = this.access.tokenInterface(token).tokenInfo();
+            this._info.set(token, info);
+            info.catch(() => this._info.delete(token));
+        }
+        return this._info.get(token);
+    }
+
+    _remember(eventId) {
+        this._seen.add(eventId);
+        if (this._seen.size > maxSeen) this._seen.delete(this._seen.values().next().value);
+    }
+
+    _skip(eventId, reason) {
+        this.stats.skipped++;
+        log.debug(`TokenStatusStream: the event ${eventId} is skipped: ${reason}`);
+    }
+
+    // an unhandled 'error' event would throw, the failures are logged without the listeners
+    _fail(err, event) {
+        this.stats.failed++;
+        const origin = event ? `the event of ${event.transactionHash}` : 'the listener';
+        if (this.listenerCount('error')) this.emit('error', err);
+        else log.error(`TokenStatusStream: ${origin} has failed: ${err.message || err}`);
+    }
+}
+
+module.exports = {
+    TokenStatusStream,
+    toStatus
+};
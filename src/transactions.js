@@ -0,0 +1,872 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const Mutex = require('await-semaphore').Mutex;
+const extend = require('xtend');
+const bn = require('big-integer');
+const {log, fromWei, _to, sleep, toDecimal, getChainId} = require('./utils');
+const {NonceError, ReorgError, ProviderError, toInterfaceError} = require('./errors');
+const {sendSigned} = require('./signers');
+
+const statuses = ['pending', 'submitted', 'mined', 'final', 'confirmed', 'failed', 'cancelled'];
+
+// a replacement rejected for these reasons may be accepted later with the higher fees
+const transientReplacementErrors = /underpriced|fee too low|already known|known transaction/i;
+
+
+/**
+ * Keeps the transactions submitted by the contract interfaces, assigns the nonces and collects the statistics.
+ * The transactions, the nonce locks and the statistics are keyed by the chain id and the sender address.
+ */
+class TransactionManager {
+    constructor() {
+        this.tx = [];
+        this.totalGasUsed = bn.zero;
+        this.totalEthSpent = 0;
+        this.stats = {};
+        this.journal = null;
+        this._lockMap = {};
+        this._replacements = {};
+        this._idCounter = Math.round(Math.random() * Number.MAX_SAFE_INTEGER);
+    }
+
+    addTx(args) {
+        args.id = args.id || this._createRandomId();
+        args.time = (new Date()).getTime();
+        args.status = args.status || 'pending';
+        this.tx.push(args);
+        this._record(args);
+        return args.id;
+    }
+
+    async useJournal(journal, w3, confirmations) {
+        this.journal = journal;
+        if (!journal) return this.tx;
+
+        const entries = await journal.load();
+        entries.forEach(txMeta => {
+            const index = this.tx.findIndex(tx => tx.id === txMeta.id);
+            if (index === -1) this.tx.push(txMeta);
+            else this.tx[index] = txMeta;
+        });
+        log.debug(`useJournal: ${entries.length} transactions loaded`);
+
+        if (w3) await this.reconcile(w3, confirmations);
+        return this.tx;
+    }
+
+    async reconcile(w3, confirmations) {
+        const depth = parseInt(confirmations) || 1;
+        const chainId = await getChainId(w3);
+        const latestBlock = await w3.eth.getBlockNumber();
+        const networkNonces = {};
+        const getNetworkNonce = async (address) => {
+            if (networkNonces[address] === undefined)
+                networkNonces[address] = await w3.eth.getTransactionCount(address, 'latest');
+            return networkNonces[address];
+        };
+
+        const unresolved = this.tx.filter(txMeta => ['pending', 'submitted'].includes(txMeta.status) &&
+            (txMeta.chainId === undefined || txMeta.chainId === chainId));
+        for (let txMeta of unresolved) {
+            if (txMeta.status === 'pending') {
+                // a nonce has never been assigned, so the transaction has never been broadcast
+                txMeta.status = 'failed';
+                txMeta.reconciled = 'not-broadcast';
+                this.updateTx(txMeta);
+                continue;
+            }
+
+            if (txMeta.hash) {
+                // any of the replaced transactions could have been mined instead of the last one
+                const hashes = [txMeta.hash].concat(txMeta.replaced || []);
+                let receipt;
+                for (let hash of hashes) {
+                    receipt = await w3.eth.getTransactionReceipt(hash);
+                    if (receipt) break;
+                }
+                if (receipt) {
+                    txMeta.status = receipt.status === false ? 'failed' :
+                        latestBlock - receipt.blockNumber + 1 >= depth ? 'final' : 'mined';
+                    if (txMeta.replacement === 'cancel' && receipt.transactionHash === txMeta.hash)
+                        txMeta.status = 'cancelled';
+                    txMeta.hash = receipt.transactionHash;
+                    txMeta.blockNumber = receipt.blockNumber;
+                    txMeta.blockHash = receipt.blockHash;
+                    txMeta.gasUsed = receipt.gasUsed;
+                    txMeta.reconciled = 'receipt';
+                    this.updateTx(txMeta);
+                    continue;
+                }
+
+                if (await w3.eth.getTransaction(txMeta.hash)) {
+                    txMeta.reconciled = 'mempool';
+                    this.updateTx(txMeta);
+                    continue;
+                }
+            }
+
+            const networkNonce = await getNetworkNonce(txMeta.address);
+            if (Number.isInteger(txMeta.nonce) && txMeta.nonce < networkNonce && !txMeta.hash) {
+                // the nonce is used on-chain, but the hash hasn't been journaled before the crash
+                txMeta.status = 'final';
+                txMeta.reconciled = 'nonce-used';
+            } else {
+                txMeta.status = 'failed';
+                txMeta.reconciled = txMeta.hash ? 'dropped' : 'not-broadcast';
+            }
+            this.updateTx(txMeta);
+        }
+
+        log.debug(`reconcile: ${JSON.stringify(this.getTxStat())}`);
+        return unresolved;
+    }
+
+    getFailedTransactions(address, chainId) {
+        return this.getFilteredTxList(this._filter('failed', address, chainId))
+    }
+
+    // mined at any depth ('confirmed' is the status of the journal entries created before the 'mined'/'final' split)
+    getConfirmedTransactions(address, chainId) {
+        return this.getMinedTransactions(address, chainId)
+            .concat(this.getFinalTransactions(address, chainId))
+            .concat(this.getFilteredTxList(this._filter('confirmed', address, chainId)))
+    }
+
+    getMinedTransactions(address, chainId) {
+        return this.getFilteredTxList(this._filter('mined', address, chainId))
+    }
+
+    getFinalTransactions(address, chainId) {
+        return this.getFilteredTxList(this._filter('final', address, chainId))
+    }
+
+    getCancelledTransactions(address, chainId) {
+        return this.getFilteredTxList(this._filter('cancelled', address, chainId))
+    }
+
+    getPendingTransactions(address, chainId) {
+        return this.getFilteredTxList(this._filter('pending', address, chainId))
+    }
+
+    getSubmittedTransactions(address, chainId) {
+        return this.getFilteredTxList(this._filter('submitted', address, chainId))
+    }
+
+    getFilteredTxList(opts, initialList) {
+        let filteredTxList = initialList;
+        Object.keys(opts).forEach((key) => {
+            filteredTxList = this.getTxsByMetaData(key, opts[key], filteredTxList)
+        });
+        return filteredTxList
+    }
+
+    getTxsByMetaData(key, value, txList = this.tx) {
+        return txList.filter(txMeta => txMeta[key] === value)
+    }
+
+    updateTx(txMeta) {
+        const index = this.tx.findIndex(tx => tx.id === txMeta.id);
+        log.debug(`updateTx: ${txMeta.id} -> ${index} -> ${JSON.stringify(txMeta)}`);
+        this.tx[index] = txMeta;
+        this._record(txMeta);
+    }
+
+    async getTxMeta() {
+        const args = [].slice.call(arguments);
+        const obj = args.shift();
+        const method = args.shift();
+        await obj.init();
+
+        const lastArg = args[args.length - 1];
+        const lastArgType = typeof lastArg;
+        const isObject = (lastArgType === 'function' || lastArgType === 'object' && !!lastArg) && !Array.isArray(lastArg);
+
+        let options = {};
+        if(isObject) {
+            options = extend(args.pop());
+        }
+        // a call for the sender given by the caller can't be aggregated by the Multicall contract
+        const explicitSender = !!options.from;
+        options.from = options.from || obj.wallet;
+        const simulate = !!options.simulate;
+        delete options.simulate;
+        let txType, blockNumber;
+
+        if(obj._sent.includes(method)) {
+            options.gas = options.gas || obj.gasLimit;
+            // a simulation estimates the gas itself to report a revert instead of the estimation failure
+            if(!options.gas && !simulate)
+                options.gas = await obj.estimateGasLimit(obj.contract.methods[method](...args), options, method);
+            if(!options.gas) delete options.gas;
+            options.gasPrice = options.gasPrice || obj.gasPrice;
+            if(options.gasPrice) {
+                const gasPrice = await obj.w3.eth.getGasPrice();
+                if(parseInt(gasPrice) > options.gasPrice)
+                    log.warn(`the gas price is too low: blockchain - ${fromWei(gasPrice, 'gwei')}, TxObject - ${fromWei(options.gasPrice, 'gwei')} (GWEI)`)
+            } else {
+                delete options.gasPrice;
+                if(!options.maxFeePerGas) options = extend(options, await obj.getFeeOptions());
+            }
+            txType = 'send';
+        } else if(obj._call.includes(method)){
+            txType = 'call';
+            // the state of a past block is read with the 'blockNumber' option (a number or a tag, 'latest' by default)
+            blockNumber = options.blockNumber;
+            delete options.blockNumber;
+        }
+
+        const txMeta = {
+            chainId: await obj.getChainId(),
+            address: options.from,
+            contractAddress: obj.address,
+            method: method,
+            methodArgs: args,
+            options: options,
+            txType: txType
+        };
+        if(simulate) txMeta.simulate = true;
+        if(explicitSender && txType === 'call') txMeta.explicitSender = true;
+        if(blockNumber !== undefined && blockNumber !== null) txMeta.blockNumber = blockNumber;
+        return txMeta
+    }
+
+    async getNonce(obj) {
+        const address = obj.wallet;
+        const chainId = await obj.getChainId();
+        const releaseNonceLock = await this._getLock(this._key(chainId, address));
+        try {
+            const block = await obj.w3.eth.getBlock('latest');
+            const blockNumber = block.number;
+            const nextNetworkNonce = await obj.w3.eth.getTransactionCount(address, blockNumber);
+            const highestLocallyConfirmed = this._getHighestLocallyConfirmed(address, chainId);
+
+            const highestSuggested = Math.max(nextNetworkNonce, highestLocallyConfirmed);
+
+            const pendingTxs = this.getSubmittedTransactions(address, chainId);
+            const localNonceResult = this._getHighestContinuousFrom(pendingTxs, highestSuggested) || 0;
+
+            const nonceDetails = {
+                localNonceResult,
+                highestLocallyConfirmed,
+                highestSuggested,
+                nextNetworkNonce,
+            };
+
+            const nextNonce = Math.max(nextNetworkNonce, localNonceResult);
+
+            const data = { nextNonce, nonceDetails, releaseNonceLock };
+            log.debug(`getNonce: ${JSON.stringify(nonceDetails)}`);
+
+            return data
+
+        } catch (err) {
+            log.error(`getNonce error: ${err}`);
+            releaseNonceLock();
+            throw err
+        }
+
+    }
+
+    async submitTx(obj, txMeta, lock=false) {
+        let err, result, releaseTxLock, replacedBy;
+
+        const { method, methodArgs, options, txType } = txMeta;
+        if(txType === 'call') {
+            const block = txMeta.blockNumber === undefined ? [] : [txMeta.blockNumber];
+            [err, result] = await _to(obj.contract.methods[method](...methodArgs).call(options, ...block));
+            return [toInterfaceError(err, {method, abi: obj.abi}), result]
+        }
+        if(txMeta.simulate) return this.simulateTx(obj, txMeta);
+        log.debug(JSON.stringify(this.getTxStat('submitTxIN')));
+
+        await this._globalLockFree();
+        const { chainId, address } = txMeta;
+        releaseTxLock = lock ? await this._getLock(`tx:${this._key(chainId, address)}`) : () => {};
+
+        txMeta.id = this.addTx(txMeta);
+
+        let { nextNonce, nonceDetails, releaseNonceLock } = await this.getNonce(obj);
+        let awaiting = this.getSubmittedTransactions(address, chainId).length;
+        let pending = this.getPendingTransactions(address, chainId).length;
+        const awaitLimit = 100;
+        const awaitTime = 10; //seconds
+        if(txType === 'send' && awaiting >= awaitLimit) {
+            while(awaiting > awaitLimit) {
+                log.debug(`Too many transactions are waiting to be mined: submitted - ${awaiting}, pending - ${pending}, sleeping ${awaitTime} seconds...`);
+                await sleep(awaitTime * 1000);
+                awaiting = this.getSubmittedTransactions(address, chainId).length;
+                pending = this.getPendingTransactions(address, chainId).length;
+            }
+        }
+
+        try {
+            if(txType === 'send') {
+                txMeta.nonce = nextNonce;
+                txMeta.status = 'submitted';
+                this.updateTx(txMeta);
+
+                options.nonce = nextNonce;
+                releaseNonceLock();
+                log.debug(JSON.stringify({
+                    id: txMeta.id,
+                    contractAddress: obj.address,
+                    method: method,
+                    args: methodArgs,
+                    options: options,
+                    nonceDetails: nonceDetails,
+                    submitSendTxMeta: txMeta
+                }));
+                log.debug(JSON.stringify(this.getTxStat(txMeta.id)));
+
+                let stopWatching = () => {};
+                const sending = this.send(obj, obj.contract.methods[method](...methodArgs), options, obj.address)
+                    .once('transactionHash', (hash) => {
+                        txMeta.hash = hash;
+                        this.updateTx(txMeta);
+                        stopWatching = this._watchStuck(obj, txMeta);
+                    });
+                sending.catch(() => {});
+
+                try {
+                    // a replacement of the transaction (speedUp or cancel) settles it as well
+                    const settled = await Promise.race([
+                        sending.then(receipt => ({receipt})),
+                        this._replacement(txMeta.id).promise
+                    ]);
+                    if(settled.error) err = settled.error;
+                    else if(!settled.replaced) result = settled.receipt;
+                    else replacedBy = settled.receipt;
+                } catch(e) { err = e }
+                stopWatching();
+                delete this._replacements[txMeta.id];
+
+                if(err) err = await this._explainError(obj, txMeta, err);
+                if(result) {
+                    let final;
+                    [err, final] = await _to(this._awaitFinality(obj, txMeta, result));
+                    // the transaction mined before the node has failed is paid for and stays mined
+                    result = err instanceof ProviderError ? result : final;
+                }
+
+            } else {
+                err = Error(`proxyHandler: Unsupported method "${method}"`);
+            }
+
+            if(replacedBy) {
+                // the replacement has been accounted by replaceTx
+                result = replacedBy;
+            } else {
+                const totalGasUsed = obj.totalGasUsed || 0;
+                obj.gasUsed = result ? result.gasUsed || 0 : 0;
+                obj.totalGasUsed = bn(totalGasUsed).add(bn(obj.gasUsed)).toString();
+
+                this.updateStat(obj.gasUsed, this.effectiveGasPrice(result, txMeta.options), chainId, address)
+            }
+
+        } catch(e) {
+            err = e;
+            releaseTxLock();
+            releaseNonceLock();
+            log.error(`submitTx failed: ${JSON.stringify(txMeta)}\n${e}`)
+        }
+
+        if(!err) {
+            log.debug(`submitTx: CONFIRMED - ${txMeta.id} `);
+            txMeta.status = 'final';
+        }
+        else if(txMeta.status === 'cancelled') {
+            log.warn(`submitTx: CANCELLED - ${txMeta.id}`);
+        }
+        else if(txMeta.status === 'mined') {
+            log.warn(`submitTx: UNCONFIRMED - ${txMeta.id}, ${err}`);
+        }
+        else {
+            log.error(`submitTx: FAILED - ${txMeta.id}, ${err}`);
+            txMeta.status = 'failed';
+        }
+        if(!replacedBy) {
+            txMeta.gasUsed = obj.gasUsed;
+            txMeta.totalGasUsed = obj.totalGasUsed;
+        }
+        if(result) {
+            txMeta.hash = result.transactionHash;
+            txMeta.blockNumber = result.blockNumber;
+        }
+
+        this.updateTx(txMeta);
+        const message = JSON.stringify(this.getTxStat('submitTxOUT'));
+        if(err) {
+            log.warn(message);
+        } else {
+            log.debug(message);
+        }
+
+        releaseTxLock();
+        return [err, result]
+    }
+
+    // Runs the transaction as eth_call with the same sender and value, the nonce and the transactions stay untouched.
+    // 'txObject' is a contract method or deployment object, the txMeta's method is used if it is omitted.
+    async simulateTx(obj, txMeta, txObject) {
+        const { method, methodArgs, options } = txMeta;
+        txObject = txObject || obj.contract.methods[method](...methodArgs);
+
+        const callOptions = {from: options.from};
+        if(options.value) callOptions.value = options.value;
+        if(options.gas) callOptions.gas = options.gas;
+
+        let err, returnValue, gasEstimate;
+        [err, returnValue] = await _to(typeof txObject.call === 'function' ?
+            txObject.call(callOptions) :
+            obj.w3.eth.call(extend(callOptions, {data: txObject.encodeABI()})));
+        if(err) return [toInterfaceError(err, {method, abi: obj.abi, address: options.from}), null];
+
+        [err, gasEstimate] = await _to(txObject.estimateGas(callOptions));
+        if(err) return [toInterfaceError(err, {method, abi: obj.abi, address: options.from}), null];
+
+        const gasPrice = toDecimal(options.gasPrice || options.maxFeePerGas || 0);
+        const value = toDecimal(options.value || 0);
+        const result = {
+            simulated: true,
+            method: method,
+            returnValue: returnValue,
+            gasEstimate: gasEstimate,
+            gasPrice: gasPrice,
+            value: value,
+            totalCost: bn(gasEstimate).multiply(bn(gasPrice)).add(bn(value)).toString()
+        };
+        log.debug(`simulateTx: ${JSON.stringify(result)}`);
+        return [null, result];
+    }
+
+    // Sends a contract method or deployment ('txObject') or a plain transaction (null) to the address 'to'.
+    // The transaction is signed by the interface's signer if it has one, by the provider's account otherwise.
+    send(obj, txObject, options, to) {
+        if(!obj.signer) return txObject ? txObject.send(options) : obj.w3.eth.sendTransaction(options);
+
+        const tx = extend(options);
+        if(txObject) {
+            tx.data = txObject.encodeABI();
+            if(to) tx.to = to;
+        }
+        return sendSigned(obj.w3, obj.signer, tx);
+    }
+
+    // Converts the error of a failed send to the library error. The node doesn't return the reason of a transaction
+    // mined with the failed status, it's recovered by replaying the call in the transaction's block.
+    async _explainError(obj, txMeta, err) {
+        const context = {method: txMeta.method, abi: obj.abi, nonce: txMeta.nonce, address: txMeta.address};
+        const receipt = err.receipt;
+        if(receipt && receipt.status === false) {
+            const { from, value, gas } = txMeta.options;
+            const [replayErr] = await _to(obj.contract.methods[txMeta.method](...txMeta.methodArgs)
+                .call({from, value, gas}, receipt.blockNumber));
+            if(replayErr) return toInterfaceError(replayErr, extend(context, {receipt}));
+        }
+        return toInterfaceError(err, context);
+    }
+
+    async replaceTx(obj, nonce, mode, gasPrice) {
+        await obj.init();
+        const address = obj.wallet;
+        const chainId = await obj.getChainId();
+        const txMeta = this.getFilteredTxList(extend(this._filter('submitted', address, chainId), {nonce: parseInt(nonce)}))[0];
+        if(!txMeta)
+            return [new NonceError(`There is no submitted transaction with nonce ${nonce} for ${address}`, {nonce, address}), null];
+
+        // a speed-up of a cancellation raises the fees of the self-transfer, re-sending the call would undo it
+        if(txMeta.replacement === 'cancel') mode = 'cancel';
+
+        let options = extend(txMeta.options, await this._replacementFees(obj, txMeta.options, gasPrice), {nonce: txMeta.nonce});
+        const fees = {};
+        ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas'].forEach(key => {
+            if(options[key]) fees[key] = options[key];
+        });
+
+        let sending;
+        if(mode === 'cancel') {
+            options = extend({
+                from: txMeta.address,
+                to: txMeta.address,
+                value: 0,
+                gas: 21000,
+                nonce: txMeta.nonce
+            }, fees);
+            sending = this.send(obj, null, extend(options));
+        } else {
+            const contractAddress = txMeta.contractAddress || obj.address;
+            const contract = new obj.w3.eth.Contract(obj.abi, contractAddress);
+            sending = this.send(obj, contract.methods[txMeta.method](...txMeta.methodArgs), options, contractAddress);
+        }
+        log.debug(`replaceTx: ${mode} - ${txMeta.id}, nonce ${txMeta.nonce}, fees ${JSON.stringify(fees)}`);
+
+        sending.once('transactionHash', (hash) => {
+            txMeta.replaced = (txMeta.replaced || []).concat(txMeta.hash ? [txMeta.hash] : []);
+            txMeta.hash = hash;
+            txMeta.replacement = mode;
+            txMeta.options = options;
+            this.updateTx(txMeta);
+        });
+
+        let [err, receipt] = await _to(sending);
+        if(err) {
+            // the original transaction or another replacement may still be mined
+            log.warn(`replaceTx: ${mode} - ${txMeta.id} failed: ${err}`);
+            return [toInterfaceError(err, {method: txMeta.method, abi: obj.abi, nonce: txMeta.nonce, address}), null];
+        }
+        this.updateStat(receipt.gasUsed, this.effectiveGasPrice(receipt, options), chainId, address);
+
+        [err, receipt] = await _to(this._awaitFinality(obj, txMeta, receipt));
+        if(err) {
+            this._settleReplacement(txMeta.id, {error: err});
+            return [err, null];
+        }
+
+        if(mode === 'cancel') {
+            txMeta.status = 'cancelled';
+            this.updateTx(txMeta);
+        }
+
+        this._settleReplacement(txMeta.id, mode === 'cancel' ? {
+            error: new Error(`The transaction ${txMeta.id} (nonce ${txMeta.nonce}) has been cancelled`)
+        } : {
+            replaced: true,
+            receipt: receipt
+        });
+        return [null, receipt];
+    }
+
+    getTxStat(id) {
+        let data = {};
+        if(id) data.id = id;
+
+        return extend(
+            data, {
+                submitted: this.getSubmittedTransactions().length,
+                pending: this.getPendingTransactions().length,
+                failed: this.getFailedTransactions().length,
+                cancelled: this.getCancelledTransactions().length,
+                mined: this.getMinedTransactions().length,
+                final: this.getFinalTransactions().length,
+                confirmed: this.getConfirmedTransactions().length,
+                totalGasUsed: this.totalGasUsed.toString(),
+                totalEthSpent: this.totalEthSpent.toString()
+            })
+    }
+
+    // The price paid per gas: the receipt's effectiveGasPrice on the London chains, the gas price otherwise
+    effectiveGasPrice(receipt, options) {
+        if(receipt && receipt.effectiveGasPrice) return toDecimal(receipt.effectiveGasPrice);
+        return options.gasPrice || options.maxFeePerGas || 0;
+    }
+
+    // Statistics of a single sender on a single chain
+    getSenderStat(chainId, address) {
+        const stat = this.stats[this._key(chainId, address)] || {totalGasUsed: bn.zero, totalEthSpent: 0};
+        const data = {chainId, address};
+        statuses.forEach(status => {
+            data[status] = this.getFilteredTxList(this._filter(status, address, chainId)).length;
+        });
+        data.confirmed = this.getConfirmedTransactions(address, chainId).length;
+
+        return extend(data, {
+            totalGasUsed: stat.totalGasUsed.toString(),
+            totalEthSpent: stat.totalEthSpent.toString()
+        })
+    }
+
+    updateStat(gasUsed, gasPrice, chainId, address) {
+        const weiSpent =  bn(gasUsed).multiply(bn(gasPrice)).toString();
+        const ethSpent = parseFloat(fromWei(weiSpent, 'ether'));
+        this.totalGasUsed = this.totalGasUsed.add(bn(gasUsed));
+        this.totalEthSpent = this.totalEthSpent + ethSpent;
+
+        if(address) {
+            const key = this._key(chainId, address);
+            const stat = this.stats[key] || {totalGasUsed: bn.zero, totalEthSpent: 0};
+            stat.totalGasUsed = stat.totalGasUsed.add(bn(gasUsed));
+            stat.totalEthSpent = stat.totalEthSpent + ethSpent;
+            this.stats[key] = stat;
+        }
+    }
+
+    _key(chainId, address) {
+        return `${chainId}:${address}`;
+    }
+
+    _filter(status, address, chainId) {
+        const filter = {status: status};
+        if(address) filter.address  = address;
+        if(chainId !== undefined) filter.chainId = chainId;
+        return filter
+    }
+
+    _record(txMeta) {
+        if (!this.journal) return;
+        try {
+            const pending = this.journal.write(txMeta);
+            if (pending && typeof pending.catch === 'function')
+                pending.catch(err => log.error(`journal write error: ${err}`));
+        } catch (err) {
+            log.error(`journal write error: ${err}`);
+        }
+    }
+
+    // Waits for 'obj.confirmations' blocks on top of the receipt block, following the receipt through reorgs.
+    // The transaction is mined already: a failed request is retried up to 10 times the depth, it fails if a reorg drops it.
+    async _awaitFinality(obj, txMeta, receipt) {
+        const depth = parseInt(obj.confirmations) || 1;
+        const interval = obj.confirmationInterval || 3000;
+        const attempts = 10 * depth;
+        const read = async (request) => {
+            for(let attempt = 1; ; attempt++) {
+                const [err, result] = await _to(request());
+                if(!err) return result;
+                if(attempt >= attempts)
+                    throw new ProviderError(`The node has failed ${attempts} times while waiting for the confirmations of ` +
+                        `${txMeta.hash}: ${err.message || err}`, {cause: err});
+                log.warn(`awaitFinality: ${txMeta.id} - the node has failed, retrying in ${interval} ms: ${err.message || err}`);
+                await sleep(interval);
+            }
+        };
+        const setMined = (rec) => {
+            txMeta.status = 'mined';
+            txMeta.hash = rec.transactionHash;
+            txMeta.blockNumber = rec.blockNumber;
+            txMeta.blockHash = rec.blockHash;
+            txMeta.gasUsed = rec.gasUsed;
+            this.updateTx(txMeta);
+            obj.emit('mined', txMeta, rec);
+        };
+        setMined(receipt);
+
+        let blockNumber = receipt.blockNumber;
+        while(blockNumber - receipt.blockNumber + 1 < depth) {
+            await sleep(interval);
+            blockNumber = await read(() => obj.w3.eth.getBlockNumber());
+            const current = await read(() => obj.w3.eth.getTransactionReceipt(txMeta.hash));
+            if(current && current.blockHash === receipt.blockHash) continue;
+
+            const previous = {blockNumber: receipt.blockNumber, blockHash: receipt.blockHash};
+            if(current) {
+                log.warn(`awaitFinality: reorg - ${txMeta.id} is re-mined in the block ${current.blockNumber}`);
+                receipt = current;
+                setMined(receipt);
+                obj.emit('reorg', {action: 'remined', txMeta, previous});
+                continue;
+            }
+
+            const tx = await read(() => obj.w3.eth.getTransaction(txMeta.hash));
+            if(!tx) {
+                log.error(`awaitFinality: reorg - ${txMeta.id} is dropped from the block ${previous.blockNumber}`);
+                txMeta.status = 'failed';
+                txMeta.blockNumber = txMeta.blockHash = undefined;
+                this.updateTx(txMeta);
+                obj.emit('reorg', {action: 'failed', txMeta, previous});
+                throw new ReorgError(`The transaction ${txMeta.hash} has been dropped by a chain reorganisation`, {hash: txMeta.hash});
+            }
+
+            log.warn(`awaitFinality: reorg - ${txMeta.id} is back in the mempool`);
+            txMeta.status = 'submitted';
+            txMeta.blockNumber = txMeta.blockHash = undefined;
+            this.updateTx(txMeta);
+            obj.emit('reorg', {action: 'requeued', txMeta, previous});
+
+            let mined = null;
+            while(!mined) {
+                await sleep(interval);
+                mined = await read(() => obj.w3.eth.getTransactionReceipt(txMeta.hash));
+                if(!mined && !(await read(() => obj.w3.eth.getTransaction(txMeta.hash)))) {
+                    txMeta.status = 'failed';
+                    this.updateTx(txMeta);
+                    obj.emit('reorg', {action: 'failed', txMeta, previous});
+                    throw new ReorgError(`The transaction ${txMeta.hash} has been dropped by a chain reorganisation`, {hash: txMeta.hash});
+                }
+            }
+            receipt = mined;
+            blockNumber = receipt.blockNumber;
+            setMined(receipt);
+        }
+
+        txMeta.status = 'final';
+        this.updateTx(txMeta);
+        obj.emit('final', txMeta, receipt);
+        return receipt;
+    }
+
+    // Nodes accept a replacement with the same nonce if its fees are at least 10% higher.
+    // 'fees' is either a gas price (wei) or an object of fee options, the current fees are used if it is omitted.
+    async _replacementFees(obj, options, fees) {
+        const bump = (value) => bn(toDecimal(value || 0)).multiply(110).divide(100).add(1);
+        const max = (a, b) => a.gt(b) ? a : b;
+
+        if(fees && typeof fees !== 'object') {
+            fees = options.maxFeePerGas ?
+                {maxFeePerGas: fees, maxPriorityFeePerGas: fees} :
+                {gasPrice: fees};
+        }
+        if(!fees) {
+            fees = options.maxFeePerGas ?
+                await obj.getFeeOptions() :
+                {gasPrice: await obj.getGasPrice(obj.replaceMultiplier)};
+        }
+
+        if(options.maxFeePerGas) {
+            // the fees of a legacy transaction returned on a pre-London chain apply to both
+            const maxFee = fees.maxFeePerGas || fees.gasPrice;
+            const priorityFee = fees.maxPriorityFeePerGas || fees.gasPrice;
+            return {
+                maxFeePerGas: max(bn(toDecimal(maxFee)), bump(options.maxFeePerGas)).toString(),
+                maxPriorityFeePerGas: max(bn(toDecimal(priorityFee)), bump(options.maxPriorityFeePerGas)).toString()
+            }
+        }
+        return {gasPrice: max(bn(toDecimal(fees.gasPrice || fees.maxFeePerGas)), bump(options.gasPrice)).toString()}
+    }
+
+    _replacement(id) {
+        if(!this._replacements[id]) {
+            let resolve;
+            const promise = new Promise(res => { resolve = res });
+            this._replacements[id] = {promise, resolve};
+        }
+        return this._replacements[id];
+    }
+
+    // Settles the submitTx waiting for the transaction, nobody waits for a transaction of the journal
+    _settleReplacement(id, outcome) {
+        const replacement = this._replacements[id];
+        if(!replacement) return;
+        delete this._replacements[id];
+        replacement.resolve(outcome);
+    }
+
+    // Speeds up the transaction each time it stays unconfirmed for 'autoSpeedUp.blocks' blocks. A failed speed-up
+    // is emitted as 'speedUpFailed' ({txMeta, error, terminal}): an underpriced or unsent replacement is raised again,
+    // the other failures (the nonce is used, the signer has failed) stop the watcher.
+    _watchStuck(obj, txMeta) {
+        const policy = obj.autoSpeedUp;
+        if(!policy || !policy.blocks) return () => {};
+
+        const multiplier = policy.multiplier || 1.2;
+        const interval = policy.interval || 15000;
+        let stopped = false, timer, startBlock, failedFees = null;
+        const stop = () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+        const onFailure = (err, fees) => {
+            if(stopped) return;
+            const terminal = !(err instanceof ProviderError) && !transientReplacementErrors.test(err.message || String(err));
+            log.warn(`autoSpeedUp: ${txMeta.id} - the speed-up has failed${terminal ? ', giving up' : ''}: ${err}`);
+            if(terminal) stop();
+            else failedFees = fees;
+            obj.emit('speedUpFailed', {txMeta, error: err, terminal});
+        };
+
+        const check = async () => {
+            if(stopped || txMeta.status !== 'submitted') return;
+            const [err, blockNumber] = await _to(obj.w3.eth.getBlockNumber());
+            if(err) log.warn(`autoSpeedUp: ${err}`);
+            else if(startBlock === undefined) startBlock = blockNumber;
+            else if(blockNumber - startBlock >= policy.blocks) {
+                const raise = (value) => bn(toDecimal(value)).multiply(Math.round(multiplier * 100)).divide(100).toString();
+                // the fees of a rejected replacement are raised, they haven't reached txMeta.options
+                const options = failedFees || txMeta.options;
+                failedFees = null;
+                const fees = options.maxFeePerGas ? {
+                    maxFeePerGas: raise(options.maxFeePerGas),
+                    maxPriorityFeePerGas: raise(options.maxPriorityFeePerGas)
+                } : {
+                    gasPrice: raise(options.gasPrice)
+                };
+                if(policy.maxGasPrice && bn(fees.maxFeePerGas || fees.gasPrice).gt(bn(policy.maxGasPrice))) {
+                    log.warn(`autoSpeedUp: ${txMeta.id} - the gas price limit is reached (${fromWei(policy.maxGasPrice, 'gwei')} GWEI)`);
+                    return;
+                }
+                startBlock = blockNumber;
+                this.replaceTx(obj, txMeta.nonce, 'speedup', fees)
+                    .catch(err => [err, null])
+                    .then(([err]) => err && onFailure(err, fees));
+            }
+            if(!stopped) timer = setTimeout(check, interval);
+        };
+        check();
+
+        return stop;
+    }
+
+    _getHighestLocallyConfirmed(address, chainId) {
+        const confirmedTransactions = this.getConfirmedTransactions(address, chainId);
+        const highest = this._getHighestNonce(confirmedTransactions);
+        log.debug(`_getHighestLocallyConfirmed: ${address} -> ${highest}`);
+        return Number.isInteger(highest) ? highest + 1 : 0
+    }
+
+    _getHighestContinuousFrom(txList, startPoint) {
+        const nonces = txList.map(txMeta => txMeta.nonce);
+
+        let highest = startPoint;
+        while (nonces.includes(highest)) {
+            highest++
+        }
+        log.debug(`_getHighestContinuousFrom:  ${startPoint} -> ${highest}`);
+
+        return highest
+    }
+
+    _getHighestNonce(txList) {
+        const nonces = txList.map(txMeta => txMeta.nonce);
+        return Math.max.apply(null, nonces)
+    }
+
+    async _getLock(lockId) {
+        const mutex = this._lookupMutex(lockId);
+        return mutex.acquire()
+    }
+
+    async _getGlobalLock() {
+        log.debug(`_getGlobalLock`);
+        const globalMutex = this._lookupMutex('global');
+        const releaseLock = await globalMutex.acquire();
+        return { releaseLock }
+    }
+
+    _lookupMutex(lockId) {
+        let mutex = this._lockMap[lockId];
+        if (!mutex) {
+            mutex = new Mutex();
+            this._lockMap[lockId] = mutex
+        }
+        return mutex;
+    }
+
+    async _globalLockFree() {
+        const globalMutex = this._lookupMutex('global');
+        const releaseLock = await globalMutex.acquire();
+        releaseLock()
+    }
+
+    _createRandomId() {
+        this._idCounter = this._idCounter % Number.MAX_SAFE_INTEGER;
+        return this._idCounter++
+    }
+}
+
+module.exports = TransactionManager;
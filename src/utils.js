@@ -0,0 +1,101 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+const Web3js = require('web3');
+
+let log;
+try {
+    const logger = require('./logger');
+    log = logger(module);
+} catch (e) {
+    if(e.code !== 'MODULE_NOT_FOUND') throw(e);
+    const isDebug = process.env.LOG_LEVEL === 'debug';
+    log = new Proxy({}, {
+        get: function (obj, prop) {
+            return function(message) {
+                message = `[${(new Date()).toISOString()}] [${prop}] ${message}`;
+                if(isDebug) console.log(message)
+            }
+        }
+    })
+}
+
+const returnValue = (err, result, callback) => {
+    if (typeof callback === 'function') {
+        return callback(err, result)
+    }
+    if (err) throw err;
+    return result
+};
+
+const toChecksum = (address) => {
+    return Web3js.utils.toChecksumAddress(address)
+};
+
+
+const toWei = (amount, unit) => {
+    return Web3js.utils.toWei(amount.toString(), unit);
+};
+
+
+const fromWei = (amount, unit) => {
+    return Web3js.utils.fromWei(amount.toString(), unit);
+};
+
+
+function _to (promise) {
+    return promise
+        .then(data => [null, data])
+        .catch(err => [err, null]);
+}
+
+const sleep = (ms) => {
+    return new Promise(resolve => setTimeout(resolve, ms));
+};
+
+const toDecimal = (value) => {
+    return Web3js.utils.toBN(value).toString(10);
+};
+
+const getChainId = async (w3) => {
+    if (typeof w3.eth.getChainId === 'function') {
+        const [err, chainId] = await _to(w3.eth.getChainId());
+        if (!err) return parseInt(chainId);
+    }
+    return parseInt(await w3.eth.net.getId());
+};
+
+// A receipt or a simulation as a plain result, for the CLI and the gateway
+const txResult = (result) => result.simulated ?
+    {method: result.method, simulated: true, gasEstimate: result.gasEstimate, gasPrice: result.gasPrice,
+        value: result.value, totalCost: result.totalCost} :
+    {transactionHash: result.transactionHash, blockNumber: result.blockNumber, status: result.status, gasUsed: result.gasUsed};
+
+module.exports = {
+    log,
+    returnValue,
+    toChecksum,
+    toWei,
+    fromWei,
+    _to,
+    sleep,
+    toDecimal,
+    getChainId,
+    txResult
+};
@@ -0,0 +1,121 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const bn = require('big-integer');
+const {ERC20Interface, CallBatcher, TransactionManager, ArgumentError} = require('../src/interface');
+const {coerceArguments} = require('../src/abi');
+
+const web3 = new Web3(ganache.provider());
+const address = Web3.utils.toChecksumAddress(Web3.utils.randomHex(20));
+
+const abi = [
+    {type: 'function', name: 'set', inputs: [{name: 'level', type: 'uint8'}, {name: 'delta', type: 'int16'}, {name: 'flag', type: 'bool'}]},
+    {type: 'function', name: 'hash', inputs: [{name: 'digest', type: 'bytes32'}, {name: 'data', type: 'bytes'}]},
+    {type: 'function', name: 'pair', inputs: [{name: 'items', type: 'address[2]'}]},
+    {type: 'function', name: 'pick', inputs: [{name: 'id', type: 'uint256'}]},
+    {type: 'function', name: 'pick', inputs: [{name: 'id', type: 'uint256'}, {name: 'owner', type: 'address'}]},
+    {type: 'function', name: 'place', inputs: [{name: 'id', type: 'uint256'}]},
+    {type: 'function', name: 'place', inputs: [{name: 'id', type: 'uint256'},
+        {name: 'order', type: 'tuple', components: [{name: 'amount', type: 'uint256'}]}]}
+];
+
+// the message and the fields of the ArgumentError
+const rejects = (method, args, message, argument) => assert.throws(() => coerceArguments(abi, method, args), err =>
+    err instanceof ArgumentError && err.message === message && err.method === method && err.argument === argument);
+
+describe('ABI arguments', () => {
+    it('the integers in the range of the type', () => {
+        const args = [bn(255), -32768n, true];
+        assert.deepStrictEqual(coerceArguments(abi, 'set', args), {args: ['255', '-32768', true], options: null});
+        assert.deepStrictEqual(coerceArguments(abi, 'set', ['0x10', Web3.utils.toBN(-5), false, {gas: 1}]).args, ['16', '-5', false]);
+        assert.deepStrictEqual(coerceArguments(abi, 'pick', [' 12345678901234567890123 ']).args, ['12345678901234567890123']);
+
+        rejects('set', [256, 0, true], 'set: "level" must be uint8 (an integer 0 to 2^8-1), got 256', 'level');
+        rejects('set', [-1, 0, true], 'set: "level" must be uint8 (an integer 0 to 2^8-1), got -1', 'level');
+        rejects('set', [1.5, 0, true], 'set: "level" must be uint8 (an integer 0 to 2^8-1), got 1.5', 'level');
+        rejects('set', [1, 32768, true], 'set: "delta" must be int16 (an integer -2^15 to 2^15-1), got 32768', 'delta');
+        rejects('set', [1, 0, 'yes'], 'set: "flag" must be bool, got "yes"', 'flag');
+        rejects('pick', ['1e18'], 'pick: "id" must be uint256 (an integer 0 to 2^256-1), got "1e18"', 'id');
+        rejects('pick', [2 ** 60], `pick: "id" must be uint256 (an integer 0 to 2^256-1), got ${2 ** 60}`, 'id');
+    });
+
+    it('the addresses, the bytes and the arrays', () => {
+        assert.deepStrictEqual(coerceArguments(abi, 'pair', [[address.toLowerCase(), address]]).args, [[address, address]]);
+        rejects('pair', [[address]], 'pair: "items" must be address[2] of 2 items, got ' + JSON.stringify([address]), 'items');
+        const invalid = address.slice(0, 2) + address.slice(2, 3).toLowerCase() + address.slice(3, 41) + 'x';
+        rejects('pair', [[address, invalid]], `pair: "items[1]" must be address, got "${invalid}"`, 'items[1]');
+
+        const digest = '0x' + 'ab'.repeat(32);
+        assert.deepStrictEqual(coerceArguments(abi, 'hash', [digest, Buffer.from([1, 2])]).args, [digest, '0x0102']);
+        rejects('hash', ['0xabcd', '0x'], 'hash: "digest" must be bytes32 (32 bytes), got "0xabcd"', 'digest');
+        rejects('hash', [digest, 'text'], 'hash: "data" must be bytes (a hex string), got "text"', 'data');
+    });
+
+    it('the tuples and the overloads', () => {
+        const calls = [{target: address.toLowerCase(), allowFailure: true, callData: '0x1234'}, [address, false, '0x']];
+        assert.deepStrictEqual(coerceArguments(CallBatcher.abi, 'aggregate3', [calls, {value: 0}]),
+            {args: [[[address, true, '0x1234'], [address, false, '0x']]], options: {value: 0}});
+        assert.throws(() => coerceArguments(CallBatcher.abi, 'aggregate3', [[{target: address, allowFailure: 1, callData: '0x'}]]),
+            {name: 'ArgumentError', argument: 'calls[0].allowFailure', expected: 'bool'});
+
+        assert.deepStrictEqual(coerceArguments(abi, 'pick', [1]).args, ['1']);
+        assert.deepStrictEqual(coerceArguments(abi, 'pick', [1, address]).args, ['1', address]);
+        rejects('pick', [1, address, 2], 'pick: expects 1 or 2 argument(s), got 3', 'arguments');
+
+        // the options after the arguments of the shorter overload
+        assert.deepStrictEqual(coerceArguments(abi, 'pick', [1, {gas: 1}]), {args: ['1'], options: {gas: 1}});
+        assert.deepStrictEqual(coerceArguments(abi, 'place', [1, {amount: 2}]), {args: ['1', ['2']], options: null});
+        assert.deepStrictEqual(coerceArguments(abi, 'place', [1, {gas: 1}]), {args: ['1'], options: {gas: 1}});
+        assert.deepStrictEqual(coerceArguments(abi, 'place', [1, {amount: 2}, {gas: 1}]), {args: ['1', ['2']], options: {gas: 1}});
+    });
+
+    describe('the proxy methods', () => {
+        let token, accounts;
+
+        before(async () => {
+            accounts = await web3.eth.getAccounts();
+            const source = fs.readFileSync('./test/standard.sol', 'utf8');
+            const compiled = solc.compile(source, 1).contracts[':StandardToken'];
+            token = ERC20Interface.web3(web3, null, JSON.parse(compiled.interface));
+            token.transactions = new TransactionManager();
+            await token.deploy({bytecode: '0x' + compiled.bytecode, args: [1000]});
+        });
+
+        it('the invalid arguments are rejected before sending', async () => {
+            await assert.rejects(token.transfer(accounts[1], -1), {name: 'ArgumentError', method: 'transfer', argument: 'value'});
+            await assert.rejects(token.transfer('0x1234', 1), /transfer: "to" must be address, got "0x1234"/);
+            await assert.rejects(token.balanceOf(accounts[1], 5, {}), /balanceOf: expects 1 argument\(s\), got 2/);
+            const err = await new Promise(resolve => token.transfer(accounts[1], 'all', resolve));
+            assert.deepStrictEqual([err.argument, err.expected], ['value', 'uint256 (an integer 0 to 2^256-1)']);
+            assert.strictEqual(token.transactions.tx.length, 0);
+        });
+
+        it('the big numbers and the lower case addresses are coerced', async () => {
+            await token.transfer(accounts[1].toLowerCase(), 100n);
+            await token.transfer(accounts[1], bn(50), {gas: 100000});
+            assert.strictEqual(await token.balanceOf(accounts[1].toLowerCase()), '150');
+        });
+    });
+});
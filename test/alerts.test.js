@@ -0,0 +1,228 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {
+    AccessInterface, TransactionManager, AlertDispatcher, WebhookSink, FileSink, CommandSink, AlertError, ConfigurationError
+} = require('../src/interface');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeout) => {
+    const deadline = Date.now() + (timeout || 10000);
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await sleep(20);
+    }
+};
+
+const readLines = (file) => fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+const tokens = [1, 2].map(() => Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+
+// a change of TokenStatusStream
+const change = (token, level, message, logIndex) => ({
+    eventId: String(logIndex || 0),
+    token: token,
+    info: {name: 'Standard token', symbol: 'STD'},
+    previous: {statusNumber: 0, errorLevel: 0},
+    status: {statusNumber: 1, errorLevel: level, errorMessage: message, setter: tokens[0], timestamp: 1500000000, invalid: false},
+    blockNumber: 10,
+    transactionHash: '0x' + 'ab'.repeat(32),
+    logIndex: logIndex || 0
+});
+
+describe('Alerts', () => {
+    let server, url, requests, failures, dir;
+
+    before(async () => {
+        // the webhook stand-in fails the first 'failures' requests, '/down' always fails
+        requests = [];
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push({url: req.url, headers: req.headers, body: body});
+                const failed = req.url === '/down' || failures-- > 0;
+                res.writeHead(failed ? 503 : 204);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    beforeEach(() => {
+        requests.length = 0;
+        failures = 0;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+    });
+
+    after(done => server.close(done));
+
+    it('a signed webhook is retried with a growing delay', async () => {
+        failures = 2;
+        const dispatcher = new AlertDispatcher({
+            sinks: {hook: new WebhookSink(`${url}/hook`, {secret: 'secret', headers: {'X-Source': 'test'}})},
+            retry: {delay: 20, factor: 3}
+        });
+        const started = Date.now();
+        const [result] = await dispatcher.dispatch(change(tokens[0], 3, 'paused'));
+
+        assert.deepStrictEqual([result.sink, result.delivered, result.attempts], ['hook', true, 3]);
+        assert.ok(Date.now() - started >= 20 + 60);
+        assert.strictEqual(requests.length, 3);
+        const {headers, body} = requests[2];
+        assert.strictEqual(headers['x-signature-256'], 'sha256=' + crypto.createHmac('sha256', 'secret').update(body).digest('hex'));
+        assert.strictEqual(headers['x-source'], 'test');
+        const alert = JSON.parse(body);
+        assert.strictEqual(headers['x-alert-id'], alert.id);
+        assert.deepStrictEqual([alert.token, alert.symbol, alert.level, alert.previousLevel, alert.message],
+            [tokens[0], 'STD', 3, 0, 'paused']);
+        assert.deepStrictEqual(dispatcher.stats, {alerts: 1, delivered: 1, retries: 2, failed: 0});
+    });
+
+    it('the alerts are routed by the token and the level', async () => {
+        const file = path.join(dir, 'alerts.ndjson');
+        const output = path.join(dir, 'command.out');
+        const dispatcher = new AlertDispatcher({
+            sinks: {
+                file: new FileSink(file),
+                hook: {type: 'webhook', url: `${url}/hook`},
+                command: {type: 'command', command: `cat >> "${output}" && echo " $ALERT_SYMBOL $ALERT_LEVEL" >> "${output}"`}
+            },
+            routes: [
+                {sinks: ['file']},
+                {tokens: [tokens[0].toLowerCase()], sinks: ['hook']},
+                {minLevel: 3, sinks: ['command', 'file']}
+            ]
+        });
+        assert.deepStrictEqual(dispatcher.route({token: tokens[1], level: 1}), ['file']);
+
+        await dispatcher.dispatch(change(tokens[0], 1, 'warning', 1));
+        await dispatcher.dispatch(change(tokens[1], 4, 'critical', 2));
+
+        assert.deepStrictEqual(readLines(file).map(alert => alert.message), ['warning', 'critical']);
+        assert.deepStrictEqual(requests.map(request => JSON.parse(request.body).message), ['warning']);
+        const [stdin, variables] = fs.readFileSync(output, 'utf8').split(' STD ');
+        assert.strictEqual(JSON.parse(stdin).message, 'critical');
+        assert.strictEqual(variables.trim(), '4');
+    });
+
+    it('the undelivered alerts are kept in the dead letter file', async () => {
+        const deadLetter = path.join(dir, 'dead.ndjson');
+        const failed = [];
+        const dispatcher = new AlertDispatcher({
+            sinks: {down: new WebhookSink(`${url}/down`), command: new CommandSink('exit 3'), file: new FileSink(path.join(dir, 'ok'))},
+            retry: {attempts: 2, delay: 10},
+            deadLetter: deadLetter
+        });
+        dispatcher.on('failed', event => failed.push(event));
+        const results = await dispatcher.dispatch(change(tokens[0], 2, 'failing'));
+
+        assert.deepStrictEqual(results.map(result => [result.sink, result.delivered]), [['down', false], ['command', false], ['file', true]]);
+        assert.ok(results[0].error instanceof AlertError);
+        assert.strictEqual(results[0].error.status, 503);
+        assert.strictEqual(results[1].error.code, 3);
+        // the sinks are delivered to at once
+        assert.deepStrictEqual(failed.map(event => [event.sink, event.attempts]).sort(), [['command', 2], ['down', 2]]);
+
+        const letters = readLines(deadLetter).sort((a, b) => a.sink.localeCompare(b.sink));
+        assert.deepStrictEqual(letters.map(letter => letter.sink), ['command', 'down']);
+        assert.strictEqual(letters[1].alert.message, 'failing');
+        assert.ok(/503/.test(letters[1].error));
+
+        // the dead letters are delivered again, the failing ones are kept
+        dispatcher.sinks.set('command', new FileSink(path.join(dir, 'redelivered')));
+        const redelivered = await dispatcher.redeliver();
+        assert.deepStrictEqual(redelivered.map(result => [result.sink, result.delivered]).sort(), [['command', true], ['down', false]]);
+        assert.deepStrictEqual(readLines(deadLetter).map(letter => letter.sink), ['down']);
+        assert.strictEqual(readLines(path.join(dir, 'redelivered'))[0].message, 'failing');
+    });
+
+    it('the dead letters are kept until they are redelivered', async () => {
+        const deadLetter = path.join(dir, 'kept.ndjson');
+        let release;
+        const sink = {send: () => new Promise(resolve => { release = resolve; })};
+        const dispatcher = new AlertDispatcher({
+            sinks: {command: new CommandSink('exit 3'), slow: new CommandSink('exit 4')},
+            retry: {attempts: 1},
+            deadLetter: deadLetter
+        });
+        await dispatcher.dispatch(change(tokens[0], 2, 'first'));
+        assert.deepStrictEqual(readLines(deadLetter).map(letter => letter.sink).sort(), ['command', 'slow']);
+
+        dispatcher.sinks.set('slow', sink);
+        const redelivered = dispatcher.redeliver();
+        await waitFor(() => release);
+        // a crash now loses no letter, the ones failing meanwhile are kept too
+        assert.strictEqual(readLines(deadLetter).length, 2);
+        dispatcher.routes = [{sinks: ['command']}];
+        await dispatcher.dispatch(change(tokens[1], 3, 'second'));
+        release();
+
+        const results = await redelivered;
+        assert.deepStrictEqual(results.map(result => [result.sink, result.delivered]).sort(), [['command', false], ['slow', true]]);
+        const letters = readLines(deadLetter);
+        assert.deepStrictEqual(letters.map(letter => [letter.sink, letter.alert.message]).sort(), [['command', 'first'], ['command', 'second']]);
+        assert.ok(letters.every(letter => /3/.test(letter.error)));
+        assert.ok(!fs.existsSync(`${deadLetter}.tmp`));
+    });
+
+    it('an invalid configuration', () => {
+        assert.throws(() => new AlertDispatcher({}), ConfigurationError);
+        assert.throws(() => new AlertDispatcher({sinks: {mail: {type: 'mail'}}}), /"mail" type of the sink "mail"/);
+        assert.throws(() => new AlertDispatcher({sinks: {file: new FileSink('x')}, routes: [{sinks: ['hook']}]}), /unknown sinks: hook/);
+        assert.throws(() => new WebhookSink('ftp://host'), ConfigurationError);
+        assert.throws(() => new AlertDispatcher({sinks: {file: new FileSink('x')}, retry: {attempts: 0}}), error =>
+            error instanceof ConfigurationError && error.setting === 'retry');
+    });
+
+    it('the status changes of the contract', async () => {
+        const web3 = new Web3(ganache.provider());
+        const source = fs.readFileSync('./test/monitorchain.sol', 'utf8');
+        const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+        const mc = AccessInterface.web3(web3, null, JSON.parse(compiled.interface));
+        mc.transactions = new TransactionManager();
+        await mc.deploy({bytecode: '0x' + compiled.bytecode, args: [tokens]});
+        await mc.subscribeAll(30, null, Web3.utils.toWei('1500', 'szabo'));
+
+        const file = path.join(dir, 'alerts.ndjson');
+        const dispatcher = mc.alerts({sinks: {file: {type: 'file', filename: file}}, watch: {metadata: false}});
+        const delivered = [];
+        dispatcher.on('delivered', event => delivered.push(event.alert));
+        await sleep(100);
+        await mc.setStatus(tokens[1], 5, 'halted');
+        await waitFor(() => delivered.length === 1);
+        dispatcher.stop();
+
+        const [alert] = readLines(file);
+        assert.deepStrictEqual([alert.token, alert.level, alert.previousLevel, alert.message, alert.symbol],
+            [tokens[1], 5, null, 'halted', null]);
+    });
+});
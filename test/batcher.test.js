@@ -0,0 +1,135 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {ERC20Interface, AccessInterface, TransactionManager, CallBatcher} = require('../src/interface');
+
+const compile = (file, name) => {
+    const source = fs.readFileSync(file, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[`:${name}`];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+// the node counts the requests: a JSON-RPC batch is one request of several eth_calls
+const counting = (provider) => {
+    const node = {requests: [], calls: () => node.requests.filter(request => request.includes('eth_call'))};
+    node.send = (payload, callback) => {
+        node.requests.push([].concat(payload).map(item => item.method));
+        provider.send(payload, callback);
+    };
+    node.reset = () => node.requests = [];
+    return node;
+};
+
+describe('CallBatcher', () => {
+    let node, web3, accounts, compiled, token;
+
+    before(async () => {
+        node = counting(ganache.provider());
+        web3 = new Web3(node);
+        accounts = await web3.eth.getAccounts();
+        compiled = compile('./test/standard.sol', 'StandardToken');
+        token = ERC20Interface.web3(web3, null, compiled.abi);
+        token.transactions = new TransactionManager();
+        await token.deploy({bytecode: compiled.bytecode, args: [1000]});
+    });
+
+    it('the calls are sent in a JSON-RPC batch without the Multicall contract', async () => {
+        await token.tokenInfo();
+        node.reset();
+        const info = await token.tokenInfo();
+        assert.deepStrictEqual(info, {address: token.address, name: 'Standard token', symbol: 'STD', decimals: 18,
+            totalSupply: '1000', paused: false});
+        assert.deepStrictEqual(node.calls(), [['eth_call', 'eth_call', 'eth_call', 'eth_call']]);
+    });
+
+    it('the calls of the interfaces are aggregated by the Multicall contract', async () => {
+        const address = await token.deployMulticall();
+        assert.strictEqual(token.batcher.address, address);
+        assert.notStrictEqual(await web3.eth.getCode(address), '0x');
+        assert.deepStrictEqual(CallBatcher.abi.map(item => item.name), ['aggregate3']);
+
+        // the accounts and the chain id are requested by the first call of an interface
+        const other = ERC20Interface.web3(web3, token.address, compiled.abi);
+        await other.decimals();
+        node.reset();
+        const [info, balance, supply] = await Promise.all([token.tokenInfo(), other.balanceOf(accounts[0]), other.totalSupply()]);
+        assert.strictEqual(info.name, 'Standard token');
+        assert.strictEqual(balance, '1000');
+        assert.strictEqual(supply, '1000');
+        assert.deepStrictEqual(node.calls(), [['eth_call']]);
+    });
+
+    it('a failed call is rejected alone', async () => {
+        const missing = ERC20Interface.web3(web3, accounts[5], compiled.abi);
+        await missing.decimals().catch(() => {});
+        node.reset();
+        const results = await Promise.all([token.name(), missing.name().catch(err => err)]);
+        assert.strictEqual(results[0], 'Standard token');
+        assert.ok(/Returned values aren't valid/.test(results[1].message));
+        assert.deepStrictEqual(node.calls(), [['eth_call']]);
+    });
+
+    it('the sender calls are batched and answered for the sender', async () => {
+        const monitor = compile('./test/monitorchain.sol', 'MonitorChain');
+        const tokens = Array.from({length: 5}, () => Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+        const mc = AccessInterface.web3(web3, null, monitor.abi);
+        mc.transactions = new TransactionManager();
+        await mc.deploy({bytecode: monitor.bytecode, args: [tokens]});
+        await mc.subscribe([tokens[1], tokens[3]], 30);
+
+        node.reset();
+        assert.deepStrictEqual(await mc.getTokensSubscribedTo(), [tokens[1], tokens[3]]);
+        assert.deepStrictEqual(node.calls(), [['eth_call'], ['eth_call', 'eth_call', 'eth_call', 'eth_call', 'eth_call']]);
+    });
+
+    it('the views of a custom ABI and the calls from another sender are not aggregated', async () => {
+        const monitor = compile('./test/monitorchain.sol', 'MonitorChain');
+        const tokens = [Web3.utils.toChecksumAddress(Web3.utils.randomHex(20))];
+        const mc = AccessInterface.web3(web3, null, monitor.abi);
+        mc.transactions = new TransactionManager();
+        await mc.deploy({bytecode: monitor.bytecode, args: [tokens]});
+        await mc.subscribe(tokens, 30);
+
+        // the MonitorChain views read msg.sender
+        const generic = ERC20Interface.web3(web3, mc.address, monitor.abi);
+        await generic.subscriptionIsValid();
+        node.reset();
+        assert.deepStrictEqual(await Promise.all([generic.subscriptionIsValid(), generic.isExistingSubscriber()]), [true, true]);
+        assert.deepStrictEqual(node.calls(), [['eth_call', 'eth_call']]);
+
+        node.reset();
+        const [balance, supply] = await Promise.all([token.balanceOf(accounts[0], {from: accounts[1]}), token.totalSupply({from: accounts[1]})]);
+        assert.deepStrictEqual([balance, supply], ['1000', '1000']);
+        assert.deepStrictEqual(node.calls(), [['eth_call', 'eth_call']]);
+    });
+
+    it('the calls are sent one by one without batching', async () => {
+        token.batchCalls = false;
+        node.reset();
+        await token.tokenInfo();
+        token.batchCalls = true;
+        assert.deepStrictEqual(node.calls(), [['eth_call'], ['eth_call'], ['eth_call'], ['eth_call']]);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {ERC20Interface, TransactionManager, CallCache} = require('../src/interface');
+
+const compile = (file, name) => {
+    const source = fs.readFileSync(file, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[`:${name}`];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// the node counts the eth_calls, a JSON-RPC batch counts its calls
+const counting = (provider) => {
+    const node = {calls: 0};
+    node.send = (payload, callback) => {
+        node.calls += [].concat(payload).filter(item => item.method === 'eth_call').length;
+        provider.send(payload, callback);
+    };
+    return node;
+};
+
+describe('CallCache', () => {
+    let node, web3, accounts, compiled, token, cache;
+
+    before(async () => {
+        node = counting(ganache.provider());
+        web3 = new Web3(node);
+        accounts = await web3.eth.getAccounts();
+        compiled = compile('./test/standard.sol', 'StandardToken');
+        token = ERC20Interface.web3(web3, null, compiled.abi);
+        token.transactions = new TransactionManager();
+        await token.deploy({bytecode: compiled.bytecode, args: [1000]});
+    });
+
+    beforeEach(() => {
+        cache = token.cache = new CallCache();
+    });
+
+    it('the reads of a block are served from the cache', async () => {
+        const info = await token.tokenInfo();
+        const calls = node.calls;
+        assert.deepStrictEqual(await token.tokenInfo(), info);
+        assert.strictEqual(node.calls, calls);
+        assert.strictEqual(cache.stats.hits, 4);
+        assert.strictEqual(cache.stats.misses, 4);
+        assert.strictEqual(cache.stats.hitRate, 0.5);
+    });
+
+    it('the own mined transactions invalidate the contract reads except the immutable ones', async () => {
+        assert.strictEqual(await token.balanceOf(accounts[0]), '1000');
+        await token.name();
+        await token.transfer(accounts[1], 300);
+
+        const calls = node.calls;
+        assert.strictEqual(await token.balanceOf(accounts[0]), '700');
+        assert.strictEqual(await token.name(), 'Standard token');
+        assert.strictEqual(node.calls, calls + 1);
+    });
+
+    it('the reads are dropped on a new block', async () => {
+        const other = ERC20Interface.web3(web3, token.address, compiled.abi);
+        other.transactions = token.transactions;
+        cache.blockInterval = 0;
+
+        const balance = await token.balanceOf(accounts[1]);
+        await other.transfer(accounts[1], 10);
+        assert.strictEqual(await token.balanceOf(accounts[1]), String(parseInt(balance) + 10));
+        assert.strictEqual(cache.stats.hits, 0);
+    });
+
+    it('the reads at a block number are cached forever', async () => {
+        const block = await web3.eth.getBlockNumber();
+        const balance = await token.balanceOf(accounts[0], {blockNumber: block});
+        await token.transfer(accounts[2], 1);
+
+        const calls = node.calls;
+        assert.strictEqual(await token.balanceOf(accounts[0], {blockNumber: block}), balance);
+        assert.strictEqual(node.calls, calls);
+        assert.notStrictEqual(await token.balanceOf(accounts[0]), balance);
+    });
+
+    it('the time to live and the uncached methods', async () => {
+        cache.policies = {totalSupply: 50, symbol: 0};
+        await token.totalSupply();
+        await token.totalSupply();
+        await token.symbol();
+        await token.symbol();
+        assert.strictEqual(cache.stats.hits, 1);
+
+        await sleep(60);
+        await token.totalSupply();
+        assert.strictEqual(cache.stats.hits, 1);
+        assert.strictEqual(cache.stats.misses, 2);
+    });
+
+    it('the same reads in flight are fetched once', async () => {
+        const calls = node.calls;
+        const names = await Promise.all([token.name(), token.name(), token.name()]);
+        assert.deepStrictEqual(names, Array(3).fill('Standard token'));
+        assert.strictEqual(node.calls, calls + 1);
+        assert.strictEqual(cache.stats.entries, 1);
+    });
+
+    it('every read gets its own copy of the result', async () => {
+        cache.policies = {holders: 'forever'};
+        const txMeta = {method: 'holders', methodArgs: [], options: {}};
+        const fetch = async () => [null, {0: ['b', 'a'], holders: ['b', 'a']}];
+
+        const [[, first], [, second]] = await Promise.all([cache.read(token, txMeta, fetch), cache.read(token, txMeta, fetch)]);
+        first.holders.sort();
+        second[0].push('c');
+        const [, third] = await cache.read(token, txMeta, fetch);
+        assert.deepStrictEqual(third, {0: ['b', 'a'], holders: ['b', 'a']});
+        assert.strictEqual(cache.stats.hits, 2);
+    });
+});
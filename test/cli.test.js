@@ -0,0 +1,147 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, ERC20Interface, TransactionManager} = require('../src/interface');
+const {run, parseArgs, loadSettings} = require('../src/cli');
+
+const key = '0x' + '33'.repeat(32);
+
+const compile = (file, name) => {
+    const source = fs.readFileSync(file, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[`:${name}`];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+// runs the command with the output captured: {code, stdout, stderr}
+const cli = async (argv, env) => {
+    const result = {stdout: '', stderr: ''};
+    result.code = await run(argv, {
+        stdout: {write: data => result.stdout += data},
+        stderr: {write: data => result.stderr += data},
+        env: env || {},
+        cwd: os.tmpdir()
+    });
+    return result;
+};
+
+describe('CLI', () => {
+    let server, owner, token, tokens, env, dir;
+
+    before(async () => {
+        server = ganache.server({accounts: [{secretKey: key, balance: Web3.utils.toWei('100', 'ether')}]});
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const web3 = new Web3(server.provider);
+
+        const standard = compile('./test/standard.sol', 'StandardToken');
+        token = ERC20Interface.web3(web3, null, standard.abi);
+        token.transactions = new TransactionManager();
+        await token.deploy({bytecode: standard.bytecode, args: [1000]});
+        tokens = [token.address, Web3.utils.toChecksumAddress(Web3.utils.randomHex(20))];
+
+        const monitor = compile('./test/monitorchain.sol', 'MonitorChain');
+        owner = AccessInterface.web3(web3, null, monitor.abi);
+        owner.transactions = new TransactionManager();
+        await owner.deploy({bytecode: monitor.bytecode, args: [tokens]});
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+        env = {
+            MONITORCHAIN_NODE: `http://127.0.0.1:${server.address().port}`,
+            MONITORCHAIN_CONTRACT: owner.address,
+            MONITORCHAIN_PRIVATE_KEY: key
+        };
+    });
+
+    after(done => server.close(done));
+
+    it('the arguments and the settings', () => {
+        assert.deepStrictEqual(parseArgs(['subscribe', 'a', '--days', '40', 'b', '--json', '--token=x', '--token', 'y']),
+            {command: 'subscribe', args: ['a', 'b'], flags: {days: '40', json: true, token: ['x', 'y']}});
+
+        const config = path.join(dir, 'config.json');
+        fs.writeFileSync(config, JSON.stringify({node: 'http://config', contract: '0xconfig', journal: 'tx.ndjson'}));
+        const settings = loadSettings({config: config, contract: '0xflag'}, {MONITORCHAIN_NODE: 'http://env'}, dir);
+        assert.deepStrictEqual(settings, {node: 'http://env', contract: '0xflag', journal: 'tx.ndjson'});
+        assert.strictEqual(loadSettings({json: true}, {}, dir).output, 'json');
+    });
+
+    it('the usage and the errors', async () => {
+        let result = await cli([]);
+        assert.strictEqual(result.code, 2);
+        assert.ok(result.stdout.startsWith('Usage: monitorchain'));
+        assert.strictEqual((await cli(['unknown'])).code, 2);
+
+        result = await cli(['tokens']);
+        assert.strictEqual(result.code, 1);
+        assert.strictEqual(result.stderr, 'ConfigurationError: The node address is not defined! Use --node or MONITORCHAIN_NODE\n');
+        result = await cli(['subscribe'], env);
+        assert.deepStrictEqual([result.code, result.stderr], [2, 'ArgumentError: The tokens are not defined!\n']);
+    });
+
+    it('the prices, the subscription and the journal', async () => {
+        let result = await cli(['price', tokens[0], '--days', '30'], env);
+        const [header, subscribe, subscribeAll] = result.stdout.trim().split('\n').map(line => line.split(/\s+/));
+        assert.deepStrictEqual(header, ['method', 'days', 'price', 'gas', 'gasCost', 'totalCost', 'cheapest']);
+        assert.deepStrictEqual([subscribe[0], subscribe[1], subscribe[2], subscribe[6]], ['subscribe', '30', '0.0003', 'true']);
+        assert.deepStrictEqual([subscribeAll[0], subscribeAll[2]], ['subscribeAll', '0.0015']);
+
+        result = await cli(['subscribe', tokens[0], '--days', '30', '--simulate', '--json'], env);
+        assert.strictEqual(JSON.parse(result.stdout).simulated, true);
+
+        const journal = path.join(dir, 'transactions.ndjson');
+        result = await cli(['subscribe', tokens[0], '--days', '30', '--journal', journal, '--json'], env);
+        assert.strictEqual(result.code, 0, result.stderr);
+        const receipt = JSON.parse(result.stdout);
+        assert.strictEqual(receipt.status, true);
+
+        result = await cli(['tokens', '--json'], env);
+        assert.deepStrictEqual(JSON.parse(result.stdout), [{token: tokens[0], subscribed: true}, {token: tokens[1], subscribed: false}]);
+
+        result = await cli(['tx', 'list', '--journal', journal, '--json'], env);
+        const [tx] = JSON.parse(result.stdout);
+        assert.deepStrictEqual([tx.method, tx.hash, tx.from], ['subscribe', receipt.transactionHash, owner.wallet]);
+        assert.deepStrictEqual(JSON.parse((await cli(['tx', 'list', '--journal', journal, '--status', 'failed', '--json'])).stdout), []);
+    });
+
+    it('the status and the token metadata', async () => {
+        await owner.setStatus(tokens[0], 2, 'paused');
+        let result = await cli(['status', tokens[0]], env);
+        const rows = result.stdout.trim().split('\n').map(line => line.split(/\s{2,}/));
+        assert.deepStrictEqual(rows.slice(0, 4), [['token', tokens[0]], ['statuses', '1'], ['errorLevel', '2'], ['errorMessage', 'paused']]);
+
+        result = await cli(['token-info', tokens[0], '--json'], env);
+        const info = JSON.parse(result.stdout);
+        assert.deepStrictEqual([info.symbol, info.decimals, info.totalSupply], ['STD', 18, '1000']);
+    });
+
+    it('the status changes are watched', async () => {
+        const block = await owner.w3.eth.getBlockNumber();
+        await owner.setStatus(tokens[0], 3, 'halted');
+        const result = await cli(['watch', '--from-block', String(block + 1), '--interval', '50', '--limit', '1'], env);
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(result.stdout, `block=${block + 1} token=${tokens[0]} symbol=STD previous=2 level=3 message=halted\n`);
+    });
+});
@@ -120,4 +120,12 @@ describe ('ERC20', () => {
         assert.strictEqual(balanceTo, toWei(333, 'ether'));
         assert.strictEqual(await token.allowance(accounts[0], accounts[1]), toWei(222, 'ether'));
     });
+
+    it('isWebSocket calls back only if the events are not subscribed to', () => {
+        const errors = [];
+        token.isWebSocket(err => errors.push(err));
+        new ERC20('http://localhost:8545', token.address).isWebSocket(err => errors.push(err));
+        assert.strictEqual(errors.length, 1);
+        assert.ok(/Invalid protocol type - 'http'/.test(errors[0]));
+    });
 });
@@ -0,0 +1,148 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {
+    AccessInterface, Web3: InterfaceWeb3, TransactionManager, InterfaceError, ConfigurationError,
+    InsufficientPaymentError, RevertError, GasEstimationError, NonceError, ProviderError, decodeRevert
+} = require('../src/interface');
+const {toInterfaceError} = require('../src/errors');
+
+const web3 = new Web3(ganache.provider());
+const abi = web3.eth.abi;
+const monitorContract = './test/monitorchain.sol';
+
+const compile = () => {
+    const source = fs.readFileSync(monitorContract, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+const customErrors = [{
+    type: 'error',
+    name: 'InsufficientBalance',
+    inputs: [{name: 'available', type: 'uint256'}, {name: 'required', type: 'uint256'}]
+}];
+
+describe('Errors', () => {
+    describe('decodeRevert', () => {
+        it('Error(string)', () => {
+            const data = '0x08c379a0' + abi.encodeParameter('string', 'too small').slice(2);
+            assert.deepStrictEqual(decodeRevert(data), {reason: 'too small'});
+        });
+
+        it('Panic(uint256)', () => {
+            const data = '0x4e487b71' + abi.encodeParameter('uint256', 0x11).slice(2);
+            assert.deepStrictEqual(decodeRevert(data), {reason: 'Panic(17)', code: 17});
+        });
+
+        it('a custom error of the ABI', () => {
+            const data = abi.encodeFunctionSignature(customErrors[0]) +
+                abi.encodeParameters(['uint256', 'uint256'], [5, 10]).slice(2);
+            assert.deepStrictEqual(decodeRevert(data, customErrors), {
+                reason: 'InsufficientBalance(5, 10)',
+                errorName: 'InsufficientBalance',
+                errorArgs: ['5', '10']
+            });
+        });
+
+        it('empty or unknown data', () => {
+            assert.strictEqual(decodeRevert('0x'), null);
+            assert.strictEqual(decodeRevert('0x12345678', customErrors), null);
+        });
+    });
+
+    describe('toInterfaceError', () => {
+        it('a node error with the revert data', () => {
+            const data = '0x08c379a0' + abi.encodeParameter('string', 'paused').slice(2);
+            const err = toInterfaceError({message: 'execution reverted: paused', data: data}, {method: 'transfer'});
+            assert.ok(err instanceof RevertError);
+            assert.ok(err instanceof InterfaceError);
+            assert.strictEqual(err.message, 'The "transfer" transaction has been reverted: paused');
+            assert.strictEqual(err.reason, 'paused');
+            assert.strictEqual(err.data, data);
+        });
+
+        it('nonce and provider errors', () => {
+            assert.ok(toInterfaceError(new Error('nonce too low'), {nonce: 3}) instanceof NonceError);
+            assert.strictEqual(toInterfaceError(new Error('nonce too low'), {nonce: 3}).nonce, 3);
+            assert.ok(toInterfaceError(new Error('CONNECTION ERROR: Couldn\'t connect to node')) instanceof ProviderError);
+        });
+
+        it('other errors are kept', () => {
+            const err = new Error('something else');
+            assert.strictEqual(toInterfaceError(err), err);
+        });
+    });
+
+    describe('interfaces', () => {
+        let compiled, tokens, mc;
+
+        before(async () => {
+            compiled = compile();
+            tokens = [1, 2].map(() => Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+            mc = AccessInterface.web3(web3, null, compiled.abi);
+            await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+        });
+
+        it('configuration errors', () => {
+            assert.throws(() => new InterfaceWeb3(), ConfigurationError);
+            assert.throws(() => new InterfaceWeb3('ftp://localhost'), (err) =>
+                err instanceof ConfigurationError && err.value === 'ftp://localhost');
+        });
+
+        it('InsufficientPaymentError', async () => {
+            await assert.rejects(mc.subscribe([tokens[0]], 30, null, '1'), (err) =>
+                err instanceof InsufficientPaymentError && err.required === '300000000000000' && err.provided === '1');
+        });
+
+        it('a reverted simulation is a RevertError with the reason', async () => {
+            const unsupported = Web3.utils.toChecksumAddress(Web3.utils.randomHex(20));
+            await assert.rejects(mc.subscribe([unsupported], {simulate: true}), (err) =>
+                err instanceof RevertError && err.method === 'subscribe' && err.reason === 'The token is not supported');
+        });
+
+        it('a failed estimation keeps the revert reason', async () => {
+            const unsupported = Web3.utils.toChecksumAddress(Web3.utils.randomHex(20));
+            mc.transactions = new TransactionManager();
+            await assert.rejects(mc.subscribe([unsupported]), (err) =>
+                err instanceof GasEstimationError && err.reason === 'The token is not supported' &&
+                err.cause instanceof RevertError);
+        });
+
+        it('a reverted transaction is a RevertError with the receipt', async () => {
+            const unsupported = Web3.utils.toChecksumAddress(Web3.utils.randomHex(20));
+            mc.transactions = new TransactionManager();
+            mc.gasLimit = 300000;
+            let err;
+            try {
+                await mc.subscribe([unsupported]);
+            } catch (e) { err = e; }
+            mc.gasLimit = null;
+            assert.ok(err instanceof RevertError);
+            assert.strictEqual(err.reason, 'The token is not supported');
+            assert.strictEqual(mc.transactions.tx[0].status, 'failed');
+        });
+    });
+});
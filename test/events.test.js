@@ -0,0 +1,268 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, TransactionManager, ReconnectingWebsocketProvider, ArgumentError} = require('../src/interface');
+
+const monitorContract = './test/monitorchain.sol';
+
+const compile = () => {
+    const source = fs.readFileSync(monitorContract, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeout) => {
+    const deadline = Date.now() + (timeout || 10000);
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await sleep(20);
+    }
+};
+
+// a TCP proxy of the node: drop() closes the connections and refuses the new ones, restore() accepts them again
+const startProxy = async (target) => {
+    const sockets = new Set();
+    const proxy = {port: 0};
+    const listen = () => new Promise(resolve => {
+        proxy.server = net.createServer(client => {
+            const upstream = net.connect(target, '127.0.0.1');
+            client.pipe(upstream).pipe(client);
+            [client, upstream].forEach(socket => {
+                sockets.add(socket);
+                socket.on('error', () => {});
+                socket.on('close', () => sockets.delete(socket));
+            });
+        });
+        proxy.server.listen(proxy.port, '127.0.0.1', () => {
+            proxy.port = proxy.server.address().port;
+            resolve();
+        });
+    });
+    proxy.drop = () => new Promise(resolve => {
+        proxy.server.close(resolve);
+        sockets.forEach(socket => socket.destroy());
+    });
+    proxy.restore = listen;
+    await listen();
+    return proxy;
+};
+
+describe('Events', () => {
+    let server, proxy, owner, compiled, tokens;
+
+    before(async () => {
+        server = ganache.server();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        proxy = await startProxy(server.address().port);
+
+        compiled = compile();
+        tokens = [Web3.utils.toChecksumAddress(Web3.utils.randomHex(20))];
+        owner = AccessInterface.web3(new Web3(server.provider), null, compiled.abi);
+        owner.transactions = new TransactionManager();
+        await owner.deploy({bytecode: compiled.bytecode, args: [tokens]});
+    });
+
+    after(async () => {
+        await proxy.drop();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('a listener survives a reconnection without losing or repeating the events', async () => {
+        const provider = new ReconnectingWebsocketProvider(`ws://127.0.0.1:${proxy.port}`, {reconnect: {delay: 100}});
+        const mc = AccessInterface.web3(new Web3(provider), owner.address, compiled.abi);
+        const received = [];
+        const delays = [];
+        provider.on('reconnect', () => delays.push(provider.reconnectOptions.delay));
+
+        const watcher = mc.onTokenStatusChanged((err, event) => {
+            if (!err) received.push(event.returnValues.eventId);
+        });
+        await waitFor(() => watcher.subscription && watcher.subscription.id && watcher.lastBlock !== null);
+
+        await owner.setStatus(tokens[0], 1, 'before');
+        await waitFor(() => received.length === 1);
+
+        await proxy.drop();
+        await owner.setStatus(tokens[0], 2, 'while disconnected');
+        await sleep(400);
+        await proxy.restore();
+        await waitFor(() => received.length === 2);
+
+        await owner.setStatus(tokens[0], 3, 'after');
+        await waitFor(() => received.length === 3);
+        await sleep(200);
+        assert.deepStrictEqual(received, ['0', '1', '2']);
+        // the delay doubles on every failed attempt
+        assert.ok(delays.length >= 2);
+        assert.strictEqual(delays[1], delays[0] * 2);
+
+        watcher.stop();
+        await owner.setStatus(tokens[0], 4, 'stopped');
+        await sleep(200);
+        assert.strictEqual(received.length, 3);
+        provider.disconnect();
+    });
+
+    it('the events are replayed from a block', async () => {
+        await owner.setStatus(tokens[0], 1, 'past');
+        const past = await owner.contract.getPastEvents('TokenStatusChanged', {fromBlock: 0});
+        const provider = new ReconnectingWebsocketProvider(`ws://127.0.0.1:${proxy.port}`);
+        const mc = AccessInterface.web3(new Web3(provider), owner.address, compiled.abi);
+        const received = [];
+        const watcher = mc.watchEvent('TokenStatusChanged', {fromBlock: 0}, (err, event) => received.push(event.returnValues.eventId));
+        await waitFor(() => received.length === past.length);
+        assert.deepStrictEqual(received, past.map(event => event.returnValues.eventId));
+        watcher.stop();
+        provider.disconnect();
+    });
+
+    describe('polling', () => {
+        const mine = (blocks) => Promise.all(Array.from({length: blocks}, (v, i) => new Promise(resolve =>
+            server.provider.send({jsonrpc: '2.0', id: i, method: 'evm_mine', params: []}, resolve))));
+
+        it('the events are polled over http', async () => {
+            const mc = new AccessInterface(`http://127.0.0.1:${server.address().port}`, owner.address, null, null, compiled.abi);
+            mc.eventPollingInterval = 50;
+            const received = [];
+            const watcher = mc.onTokenStatusChanged((err, event) => received.push(event.returnValues.eventId));
+            assert.strictEqual(watcher.constructor.name, 'PollingWatcher');
+            await waitFor(() => watcher.lastBlock !== null || watcher.nextBlock !== undefined);
+
+            await owner.setStatus(tokens[0], 1, 'first');
+            await owner.setStatus(tokens[0], 2, 'second');
+            await waitFor(() => received.length === 2);
+            await sleep(200);
+            const past = await owner.contract.getPastEvents('TokenStatusChanged', {fromBlock: 0});
+            assert.deepStrictEqual(received, past.slice(-2).map(event => event.returnValues.eventId));
+            watcher.stop();
+        });
+
+        it('the events are delivered after the confirmations', async () => {
+            const mc = AccessInterface.web3(new Web3(server.provider), owner.address, compiled.abi);
+            const received = [];
+            const watcher = mc.watchEvent('TokenStatusChanged', {confirmations: 2, pollingInterval: 50},
+                (err, event) => received.push(event.blockNumber));
+            assert.strictEqual(watcher.constructor.name, 'PollingWatcher');
+            await waitFor(() => watcher.nextBlock !== undefined);
+
+            await owner.setStatus(tokens[0], 1, 'unconfirmed');
+            const block = await owner.w3.eth.getBlockNumber();
+            await mine(1);
+            await sleep(200);
+            assert.deepStrictEqual(received, []);
+            await mine(1);
+            await waitFor(() => received.length === 1);
+            assert.deepStrictEqual(received, [block]);
+            watcher.stop();
+        });
+
+        it('the subscriptions of a provider supporting them', () => {
+            const mc = AccessInterface.web3(new Web3(server.provider), owner.address, compiled.abi);
+            const watcher = mc.onTokenStatusChanged(() => {});
+            assert.strictEqual(watcher.constructor.name, 'SubscriptionWatcher');
+            watcher.stop();
+        });
+    });
+
+    describe('getPastEventsRange', () => {
+        let mc, node, start;
+
+        // the node refuses the log queries over more than 4 blocks and counts the queries in flight
+        const limited = (provider) => {
+            const node = {queries: 0, inFlight: 0, maxInFlight: 0};
+            node.send = (payload, callback) => {
+                if (payload.method !== 'eth_getLogs') return provider.send(payload, callback);
+                const {fromBlock, toBlock} = payload.params[0];
+                node.queries++;
+                if (parseInt(toBlock) - parseInt(fromBlock) + 1 > 4) return callback(null,
+                    {jsonrpc: '2.0', id: payload.id, error: {code: -32005, message: 'query returned more than 10000 results'}});
+                node.maxInFlight = Math.max(node.maxInFlight, ++node.inFlight);
+                setTimeout(() => provider.send(payload, (err, response) => {
+                    node.inFlight--;
+                    callback(err, response);
+                }), 10);
+            };
+            return node;
+        };
+
+        before(async () => {
+            const contract = AccessInterface.web3(new Web3(server.provider), null, compiled.abi);
+            contract.transactions = new TransactionManager();
+            await contract.deploy({bytecode: compiled.bytecode, args: [tokens]});
+            start = await contract.w3.eth.getBlockNumber();
+            for (let i = 0; i < 12; i++) await contract.setStatus(tokens[0], 1, `status ${i}`);
+
+            node = limited(server.provider);
+            mc = AccessInterface.web3(new Web3(node), contract.address, compiled.abi);
+        });
+
+        it('the chunks shrink on too many results and run concurrently', async () => {
+            const range = mc.getPastEventsRange('TokenStatusChanged', start, 'latest', null, {chunkSize: 16, concurrency: 2});
+            const ids = [];
+            for await (const event of range) ids.push(event.returnValues.eventId);
+
+            assert.deepStrictEqual(ids, Array.from({length: 12}, (v, i) => String(i)));
+            assert.ok(range.stats.splits > 0);
+            assert.ok(range.chunkSize <= 4);
+            assert.ok(node.maxInFlight <= 2);
+            assert.strictEqual(range.stats.nextBlock, await mc.w3.eth.getBlockNumber() + 1);
+        });
+
+        it('an interrupted backfill is resumed from the checkpoint', async () => {
+            const checkpoint = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-')), 'backfill.json');
+            const options = {chunkSize: 1, concurrency: 3, checkpoint: checkpoint};
+            const first = [];
+            for await (const event of mc.getPastEventsRange('TokenStatusChanged', start, 'latest', null, options)) {
+                first.push(event.returnValues.eventId);
+                if (first.length === 5) break;
+            }
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(checkpoint, 'utf8'))[0].nextBlock, start + 5);
+
+            // the event of the interrupted chunk is delivered again
+            const rest = await mc.getPastEventsRange('TokenStatusChanged', start, 'latest', null, options).toArray();
+            assert.deepStrictEqual(rest.map(event => event.returnValues.eventId), ['4', '5', '6', '7', '8', '9', '10', '11']);
+            assert.deepStrictEqual(await mc.getPastEventsRange('TokenStatusChanged', start, 'latest', null, options).toArray(), []);
+        });
+
+        it('an error other than too many results is thrown', async () => {
+            const broken = AccessInterface.web3(new Web3({
+                send: (payload, callback) => callback(new Error('connect ECONNREFUSED 127.0.0.1:8545'))
+            }), mc.address, compiled.abi);
+            await assert.rejects(broken.getPastEventsRange('TokenStatusChanged', 0, 10).toArray(), /ProviderError/);
+            assert.throws(() => mc.getPastEventsRange('Unknown', 0, 10), ArgumentError);
+        });
+    });
+
+    it('an unknown event or a missing callback', () => {
+        const mc = AccessInterface.web3(new Web3(server.provider), owner.address, compiled.abi);
+        assert.throws(() => mc.watchEvent('Unknown', () => {}), ArgumentError);
+        assert.throws(() => mc.onTokenStatusChanged(), /A callback must be a function!/);
+    });
+});
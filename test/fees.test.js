@@ -0,0 +1,101 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {estimateFees, getFeeOptions} = require('../src/fees');
+
+const web3 = new Web3(ganache.provider());
+const gwei = (amount) => Web3.utils.toWei(amount.toString(), 'gwei');
+const hex = (amount) => Web3.utils.numberToHex(amount);
+
+// a London chain: the base fee grows from 10 to 12 GWEI, the rewards are 1, 2 and 3 GWEI
+const feeHistory = {
+    oldestBlock: '0x1',
+    baseFeePerGas: [hex(gwei(10)), hex(gwei(11)), hex(gwei(11)), hex(gwei(12))],
+    gasUsedRatio: [0.5, 0.6, 0.7],
+    reward: [[hex(gwei(3))], [hex(gwei(1))], [hex(gwei(2))]]
+};
+
+const londonWeb3 = {
+    eth: {
+        getBlock: async () => ({number: 3, baseFeePerGas: Number(gwei(11))}),
+        getFeeHistory: async (blocks, newest, percentiles) => {
+            londonWeb3.percentiles = percentiles;
+            return feeHistory;
+        },
+        getGasPrice: async () => gwei(13)
+    }
+};
+
+describe('Fees', () => {
+    it('estimateFees: the median reward and the doubled next base fee', () => {
+        assert.deepStrictEqual(estimateFees(feeHistory), {
+            maxFeePerGas: gwei(26),
+            maxPriorityFeePerGas: gwei(2)
+        });
+    });
+
+    it('estimateFees: 1 GWEI priority fee if the blocks have no rewards', () => {
+        const fees = estimateFees({baseFeePerGas: ['0x0', hex(gwei(5))], reward: [['0x0']]});
+        assert.strictEqual(fees.maxPriorityFeePerGas, gwei(1));
+        assert.strictEqual(fees.maxFeePerGas, gwei(11));
+    });
+
+    it('getFeeOptions: type-2 fees on a London chain', async () => {
+        assert.deepStrictEqual(await getFeeOptions(londonWeb3, 'fast'), {
+            maxFeePerGas: gwei(26),
+            maxPriorityFeePerGas: gwei(2)
+        });
+        assert.deepStrictEqual(londonWeb3.percentiles, [90]);
+    });
+
+    it('getFeeOptions: legacy gas price on a pre-London chain', async () => {
+        const gasPrice = await web3.eth.getGasPrice();
+        assert.deepStrictEqual(await getFeeOptions(web3), {gasPrice: Math.floor(gasPrice * 1.2)});
+        assert.deepStrictEqual(await getFeeOptions(web3, 'slow'), {gasPrice: Math.floor(gasPrice * 1)});
+        assert.deepStrictEqual(await getFeeOptions(web3, 'fast'), {gasPrice: Math.floor(gasPrice * 1.5)});
+    });
+
+    it('getFeeOptions: custom strategy', async () => {
+        let context;
+        const fees = await getFeeOptions(londonWeb3, (ctx) => {
+            context = ctx;
+            return {maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(5)};
+        });
+        assert.deepStrictEqual(fees, {maxFeePerGas: gwei(100), maxPriorityFeePerGas: gwei(5)});
+        assert.strictEqual(context.london, true);
+        assert.strictEqual(context.feeHistory, feeHistory);
+        assert.strictEqual(context.gasPrice, gwei(13));
+    });
+
+    it('getFeeOptions: custom strategy returning nothing falls back to "normal"', async () => {
+        const gasPrice = await web3.eth.getGasPrice();
+        assert.deepStrictEqual(await getFeeOptions(web3, () => null), {gasPrice: Math.floor(gasPrice * 1.2)});
+    });
+
+    it('getFeeOptions: unsupported strategy', async () => {
+        await assert.rejects(
+            getFeeOptions(web3, 'instant'),
+            /"instant" fee strategy is not supported!/
+        );
+    });
+});
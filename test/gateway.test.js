@@ -0,0 +1,178 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const http = require('http');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, ERC20Interface, TransactionManager} = require('../src/interface');
+
+const web3 = new Web3(ganache.provider());
+
+const compile = (file, name) => {
+    const source = fs.readFileSync(file, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[`:${name}`];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeout) => {
+    const deadline = Date.now() + (timeout || 10000);
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await sleep(20);
+    }
+};
+
+describe('Gateway', () => {
+    let mc, gateway, port, token, tokens, accounts;
+
+    // resolves {status, body} of the JSON response
+    const request = (method, path, body, headers) => new Promise((resolve, reject) => {
+        const data = body === undefined ? '' : JSON.stringify(body);
+        const req = http.request({host: '127.0.0.1', port: port, method: method, path: path, headers: headers || {}}, res => {
+            let text = '';
+            res.on('data', chunk => text += chunk);
+            res.on('end', () => resolve({status: res.statusCode, body: JSON.parse(text)}));
+        });
+        req.on('error', reject);
+        req.end(data);
+    });
+
+    before(async () => {
+        accounts = await web3.eth.getAccounts();
+        const standard = compile('./test/standard.sol', 'StandardToken');
+        token = ERC20Interface.web3(web3, null, standard.abi);
+        token.transactions = new TransactionManager();
+        await token.deploy({bytecode: standard.bytecode, args: [1000]});
+        tokens = [token.address, Web3.utils.toChecksumAddress(Web3.utils.randomHex(20))];
+
+        const monitor = compile('./test/monitorchain.sol', 'MonitorChain');
+        mc = AccessInterface.web3(web3, null, monitor.abi);
+        mc.transactions = new TransactionManager();
+        await mc.deploy({bytecode: monitor.bytecode, args: [tokens]});
+
+        gateway = mc.gateway({apiKey: 'key', watch: {metadata: false}});
+        port = (await gateway.listen()).port;
+    });
+
+    after(() => gateway.close());
+
+    it('the tokens, their statuses and balances', async () => {
+        assert.deepStrictEqual(await request('GET', '/tokens'), {status: 200, body: {tokens: tokens}});
+
+        let response = await request('GET', `/tokens/${tokens[0]}/status`);
+        assert.deepStrictEqual(response.body, {token: tokens[0], statuses: 0, status: null});
+        await mc.setStatus(tokens[0], 2, 'paused');
+        response = await request('GET', `/tokens/${tokens[0].toLowerCase()}/status`);
+        assert.deepStrictEqual([response.body.statuses, response.body.status.errorLevel, response.body.status.errorMessage],
+            [1, 2, 'paused']);
+        response = await request('GET', `/tokens/${tokens[0]}/statuses/0`);
+        assert.deepStrictEqual([response.body.status.statusNumber, response.body.status.invalid], [0, false]);
+        assert.strictEqual((await request('GET', `/tokens/${tokens[0]}/statuses/1`)).status, 404);
+
+        response = await request('GET', `/tokens/${tokens[0]}/info`);
+        assert.deepStrictEqual([response.body.symbol, response.body.decimals, response.body.totalSupply], ['STD', 18, '1000']);
+
+        const block = await web3.eth.getBlockNumber();
+        await token.transfer(accounts[1], 100);
+        response = await request('GET', `/tokens/${tokens[0]}/balances/${accounts[1]}?block=${block}`);
+        assert.deepStrictEqual(response.body, {token: tokens[0], holder: accounts[1], blockNumber: block, balance: '0'});
+        response = await request('GET', `/tokens/${tokens[0]}/balances/${accounts[1]}`);
+        assert.deepStrictEqual([response.body.blockNumber, response.body.balance], [block + 1, '100']);
+    });
+
+    it('the invalid requests', async () => {
+        let response = await request('GET', '/tokens/0x1234/status');
+        assert.deepStrictEqual([response.status, response.body.error.name], [400, 'ArgumentError']);
+        assert.strictEqual((await request('GET', `/tokens/${tokens[0]}/balances/${accounts[1]}?block=latest`)).status, 400);
+        assert.strictEqual((await request('GET', '/unknown')).status, 404);
+        assert.strictEqual((await request('POST', '/tokens')).status, 405);
+        response = await request('GET', '/tokens/%E0/status');
+        assert.deepStrictEqual([response.status, response.body.error.name], [400, 'HttpError']);
+    });
+
+    it('the subscription behind the API key', async () => {
+        const body = {tokens: [tokens[0]], days: 30};
+        assert.strictEqual((await request('POST', '/subscribe', body)).status, 401);
+        assert.strictEqual((await request('POST', '/subscribe', body, {'X-API-Key': 'wrong'})).status, 401);
+
+        let response = await request('POST', '/subscribe', Object.assign({simulate: true}, body), {'X-API-Key': 'key'});
+        assert.deepStrictEqual([response.status, response.body.simulated, response.body.method], [200, true, 'subscribe']);
+        response = await request('POST', '/subscribe', body, {'Authorization': 'Bearer key'});
+        assert.deepStrictEqual([response.status, response.body.status], [200, true]);
+
+        response = await request('GET', '/subscription');
+        assert.deepStrictEqual([response.body.address, response.body.numberOfDays, response.body.tokens], [mc.wallet, 30, [tokens[0]]]);
+        assert.ok(response.body.remainingDays >= 29);
+        response = await request('GET', `/subscription?address=${accounts[2]}`);
+        assert.deepStrictEqual([response.body.start, response.body.remainingDays, response.body.tokens], [0, 0, []]);
+
+        response = await request('POST', '/subscribe-all', {days: 30, accessAddress: accounts[2], simulate: true}, {'X-API-Key': 'key'});
+        assert.strictEqual(response.body.method, 'subscribeAll');
+        response = await request('POST', '/subscribe', {tokens: []}, {'X-API-Key': 'key'});
+        assert.deepStrictEqual([response.status, response.body.error.name], [400, 'ArgumentError']);
+
+        const readOnly = mc.gateway();
+        const server = http.createServer(readOnly.handler);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const previous = port;
+        port = server.address().port;
+        try {
+            assert.strictEqual((await request('POST', '/subscribe', body, {'X-API-Key': 'key'})).status, 403);
+            assert.strictEqual((await request('GET', '/tokens')).status, 200);
+        } finally {
+            port = previous;
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('the status changes are streamed to the clients', async () => {
+        const events = [];
+        let text = '';
+        const req = http.get({host: '127.0.0.1', port: port, path: '/events'}, res => {
+            assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+            res.on('data', chunk => {
+                text += chunk;
+                const messages = text.split('\n\n');
+                text = messages.pop();
+                messages.filter(message => message.startsWith('id:')).forEach(message => events.push(message.split('\n')));
+            });
+        });
+        req.on('error', () => {});
+        await waitFor(() => gateway._stream);
+        await sleep(100);
+
+        await mc.setStatus(tokens[0], 3, 'halted');
+        await waitFor(() => events.length === 1);
+        const [id, event, data] = events[0];
+        const change = JSON.parse(data.replace(/^data: /, ''));
+        assert.deepStrictEqual([id, event], [`id: ${change.eventId}`, 'event: status']);
+        assert.deepStrictEqual([change.token, change.previous.errorLevel, change.status.errorLevel, change.status.errorMessage],
+            [tokens[0], 2, 3, 'halted']);
+
+        // the stream is stopped with the last client
+        req.destroy();
+        await waitFor(() => !gateway._stream);
+    });
+});
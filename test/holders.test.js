@@ -0,0 +1,145 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {ERC20Interface, TransactionManager, ArgumentError} = require('../src/interface');
+
+const web3 = new Web3(ganache.provider());
+
+const compile = (file, name) => {
+    const source = fs.readFileSync(file, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[`:${name}`];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+const deploy = async (compiled, args) => {
+    const token = ERC20Interface.web3(web3, null, compiled.abi);
+    token.transactions = new TransactionManager();
+    await token.deploy({bytecode: compiled.bytecode, args: args});
+    return token;
+};
+
+describe('HolderIndex', () => {
+    let accounts;
+
+    before(async () => {
+        accounts = await web3.eth.getAccounts();
+    });
+
+    describe('a standard token', () => {
+        let token, index, deployed, firstTransfer;
+
+        before(async () => {
+            // a few blocks before the deployment to look it up
+            await web3.eth.sendTransaction({from: accounts[0], to: accounts[9], value: 1});
+            token = await deploy(compile('./test/standard.sol', 'StandardToken'), [1000]);
+            deployed = await web3.eth.getBlockNumber();
+
+            await token.transfer(accounts[1], 300);
+            firstTransfer = await web3.eth.getBlockNumber();
+            await token.transfer(accounts[2], 250);
+            token.wallet = 1;
+            await token.transfer(accounts[3], 100);
+            token.wallet = 0;
+            await token.burn(50);
+
+            index = token.holderIndex({chunkSize: 2});
+            await index.sync();
+        });
+
+        it('the sync starts at the deployment block', async () => {
+            assert.strictEqual(index.fromBlock, deployed);
+            assert.strictEqual(index.lastBlock, await web3.eth.getBlockNumber());
+            assert.strictEqual(index.transfers, 5);
+        });
+
+        it('a snapshot of the holders', () => {
+            const snapshot = index.snapshot();
+            assert.strictEqual(snapshot.totalSupply, '950');
+            assert.deepStrictEqual(snapshot.holders, [
+                {address: accounts[0], balance: '400'},
+                {address: accounts[2], balance: '250'},
+                {address: accounts[1], balance: '200'},
+                {address: accounts[3], balance: '100'}
+            ]);
+            assert.deepStrictEqual(index.top(1), [{address: accounts[0], balance: '400'}]);
+        });
+
+        it('the balances at a past block', () => {
+            assert.deepStrictEqual(index.holders(firstTransfer), [
+                {address: accounts[0], balance: '700'},
+                {address: accounts[1], balance: '300'}
+            ]);
+            assert.strictEqual(index.balanceOf(accounts[1], firstTransfer), '300');
+            assert.strictEqual(index.balanceOf(accounts[1]), '200');
+            assert.strictEqual(index.balanceOf(accounts[3], firstTransfer), '0');
+            assert.strictEqual(index.totalSupply(deployed - 1), '0');
+        });
+
+        it('the concentration metrics', () => {
+            const metrics = index.concentration(null, 2);
+            const shares = [400, 250, 200, 100].map(balance => balance / 950);
+            assert.strictEqual(metrics.holderCount, 4);
+            assert.ok(Math.abs(metrics.topShare - 650 / 950) < 1e-9);
+            assert.ok(Math.abs(metrics.hhi - shares.reduce((sum, x) => sum + x * x, 0)) < 1e-9);
+            assert.ok(metrics.gini > 0 && metrics.gini < 1);
+            assert.strictEqual(index.concentration(firstTransfer - 1).gini, 0);
+        });
+
+        it('the balances follow the events', async () => {
+            const result = await index.verify();
+            assert.strictEqual(result.consistent, true);
+            assert.strictEqual(result.checked, 4);
+            assert.deepStrictEqual(result.totalSupply, {indexed: '950', actual: '950'});
+        });
+
+        it('the sync continues from the last indexed block', async () => {
+            await token.transfer(accounts[4], 10);
+            const result = await index.sync();
+            assert.strictEqual(result.transfers, 1);
+            assert.strictEqual(index.balanceOf(accounts[4]), '10');
+            assert.strictEqual(index.balanceOf(accounts[0]), '390');
+        });
+    });
+
+    describe('a token minting without the events', () => {
+        it('the verification reveals the balances not following the events', async () => {
+            const token = await deploy(compile('./test/token.sol', 'Token'));
+            await token.transfer(accounts[1], 100);
+
+            const index = token.holderIndex();
+            await assert.rejects(index.verify(), ArgumentError);
+            await index.sync();
+            assert.strictEqual(index.balanceOf(accounts[0]), '-100');
+
+            const result = await index.verify();
+            const cap = await token.cap();
+            assert.strictEqual(result.consistent, false);
+            assert.deepStrictEqual(result.mismatches, [
+                {address: accounts[0], indexed: '-100', actual: Web3.utils.toBN(cap).subn(100).toString()}
+            ]);
+            assert.deepStrictEqual(result.totalSupply, {indexed: '0', actual: cap});
+        });
+    });
+});
@@ -177,6 +177,23 @@ describe ('INTERFACE LIBRARY (positive testing)', () => {
             );
         });
 
+        it('speedUp(nonce): no submitted transaction with the nonce', async () => {
+            const testAI = new testInterface(null, contractAddress, null, web3);
+            await testAI.init();
+            await assert.rejects(
+                testAI.speedUp(1000000),
+                /^NonceError: There is no submitted transaction with nonce 1000000/
+            );
+        });
+
+        it('cancel(nonce, callback): no submitted transaction with the nonce', async () => {
+            const testAI = new testInterface(null, contractAddress, null, web3);
+            await testAI.init();
+            let err;
+            await testAI.cancel(1000000, (e) => { err = e; });
+            assert.ok(/There is no submitted transaction with nonce 1000000/.test(err.message));
+        });
+
         it('set gasPrice(price)', () => {
             const testAI = new testInterface(null, contractAddress, null, web3);
             const price = Math.floor(Math.random() * 20) + 1; // random int 1..20
@@ -0,0 +1,141 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, transactions, MemoryJournal, FileJournal} = require('../src/interface');
+
+const web3 = new Web3(ganache.provider());
+const monitorContract = './test/monitorchain.sol';
+
+const tmpFile = (name) => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'journal-')), name);
+
+const compile = () => {
+    const source = fs.readFileSync(monitorContract, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+describe('Journal', () => {
+    describe('FileJournal', () => {
+        it('ndjson: load returns the latest record of every transaction', async () => {
+            const journal = new FileJournal(tmpFile('tx.ndjson'));
+            journal.write({id: 1, status: 'pending'});
+            journal.write({id: 2, status: 'pending'});
+            journal.write({id: 1, status: 'submitted', nonce: 0});
+
+            const records = await new FileJournal(journal.filename).load();
+            assert.deepStrictEqual(records, [
+                {id: 1, status: 'submitted', nonce: 0},
+                {id: 2, status: 'pending'}
+            ]);
+        });
+
+        it('ndjson: skips a record interrupted by a crash', async () => {
+            const filename = tmpFile('tx.ndjson');
+            fs.writeFileSync(filename, '{"id":1,"status":"submitted"}\n{"id":2,"sta');
+            const records = await new FileJournal(filename).load();
+            assert.deepStrictEqual(records, [{id: 1, status: 'submitted'}]);
+        });
+
+        it('json: keeps a single array of transactions', async () => {
+            const journal = new FileJournal(tmpFile('tx.json'));
+            assert.strictEqual(journal.format, 'json');
+            journal.write({id: 1, status: 'pending'});
+            journal.write({id: 1, status: 'confirmed'});
+
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(journal.filename, 'utf8')), [{id: 1, status: 'confirmed'}]);
+            assert.deepStrictEqual(await new FileJournal(journal.filename).load(), [{id: 1, status: 'confirmed'}]);
+        });
+
+        it('compact', async () => {
+            const journal = new FileJournal(tmpFile('tx.ndjson'));
+            journal.write({id: 1, status: 'pending'});
+            journal.write({id: 1, status: 'confirmed'});
+            await journal.compact();
+            assert.strictEqual(fs.readFileSync(journal.filename, 'utf8'), '{"id":1,"status":"confirmed"}\n');
+        });
+
+        it('unsupported format', () => {
+            assert.throws(
+                () => { new FileJournal(tmpFile('tx.log'), 'csv'); },
+                /"csv" journal format is not supported!/
+            );
+        });
+    });
+
+    describe('transactions', () => {
+        let mc, accounts, tokens;
+
+        before(async () => {
+            const compiled = compile();
+            accounts = await web3.eth.getAccounts();
+            tokens = [1, 2, 3].map(() => Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+            mc = AccessInterface.web3(web3, null, compiled.abi);
+            await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+        });
+
+        after(async () => {
+            await transactions.useJournal(null);
+        });
+
+        it('records every addTx/updateTx of a subscription', async () => {
+            const journal = new MemoryJournal();
+            await transactions.useJournal(journal);
+            const receipt = await mc.subscribe([tokens[0]]);
+
+            const records = journal.records.filter(record => record.method === 'subscribe');
+            assert.deepStrictEqual(
+                records.map(record => record.status),
+                ['pending', 'submitted', 'submitted', 'mined', 'final', 'final']
+            );
+            const last = records[records.length - 1];
+            assert.strictEqual(last.hash, receipt.transactionHash);
+            assert.strictEqual(last.contractAddress, mc.address);
+            assert.strictEqual(last.address, accounts[0]);
+        });
+
+        it('reconciles unresolved transactions on startup', async () => {
+            const receipt = await web3.eth.sendTransaction({from: accounts[1], to: accounts[2], value: 1});
+            const nonce = await web3.eth.getTransactionCount(accounts[1]);
+            const journal = new MemoryJournal([
+                {id: 'mined', address: accounts[1], status: 'submitted', nonce: nonce - 1, hash: receipt.transactionHash},
+                {id: 'dropped', address: accounts[1], status: 'submitted', nonce: nonce, hash: Web3.utils.randomHex(32)},
+                {id: 'used', address: accounts[1], status: 'submitted', nonce: nonce - 1},
+                {id: 'pending', address: accounts[1], status: 'pending'}
+            ]);
+
+            await transactions.useJournal(journal, web3);
+            const status = (id) => transactions.getTxsByMetaData('id', id)[0];
+
+            assert.strictEqual(status('mined').status, 'final');
+            assert.strictEqual(status('mined').blockNumber, receipt.blockNumber);
+            assert.strictEqual(status('dropped').status, 'failed');
+            assert.strictEqual(status('used').status, 'final');
+            assert.strictEqual(status('pending').status, 'failed');
+            assert.strictEqual(transactions.getSubmittedTransactions(accounts[1]).length, 0);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, TransactionManager, PrivateKeySigner, SubscriptionKeeper, ArgumentError} = require('../src/interface');
+
+const web3 = new Web3(ganache.provider());
+
+const compile = () => {
+    const source = fs.readFileSync('./test/monitorchain.sol', 'utf8');
+    const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+const rpc = (method, params) => new Promise((resolve, reject) => web3.currentProvider.send(
+    {jsonrpc: '2.0', id: Date.now(), method: method, params: params || []}, (err, res) => err ? reject(err) : resolve(res)));
+
+const travel = async (days) => {
+    await rpc('evm_increaseTime', [days * 86400]);
+    await rpc('evm_mine');
+};
+
+describe('SubscriptionKeeper', () => {
+    let mc, compiled, accounts, tokens;
+
+    before(async () => {
+        accounts = await web3.eth.getAccounts();
+        compiled = compile();
+        tokens = Array.from({length: 3}, () => Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+        mc = AccessInterface.web3(web3, null, compiled.abi);
+        mc.transactions = new TransactionManager();
+        await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+
+        await mc.subscribe([tokens[0], tokens[2]], 30, accounts[1]);
+        await mc.subscribeAll(60, accounts[2]);
+    });
+
+    it('the subscriptions are not renewed before the threshold', async () => {
+        const keeper = mc.keeper({addresses: [accounts[1], accounts[2]], threshold: 7});
+        const decisions = [];
+        keeper.on('decision', decision => decisions.push(decision));
+
+        const result = await keeper.check();
+        assert.deepStrictEqual(result.map(decision => [decision.action, decision.reason]), [['skipped', 'not due'], ['skipped', 'not due']]);
+        assert.ok([29, 30].includes(result[0].remainingDays));
+        assert.deepStrictEqual(decisions, result);
+    });
+
+    it('the subscriptions are renewed with their tokens below the threshold', async () => {
+        const keeper = mc.keeper({addresses: [accounts[1], {address: accounts[2], days: 45}], threshold: 7});
+        const renewed = [];
+        keeper.on('renewed', decision => renewed.push(decision));
+        await travel(25);
+
+        const [first, second] = await keeper.check();
+        assert.strictEqual(first.action, 'renewed');
+        assert.deepStrictEqual([first.days, first.all, first.tokens], [30, false, [tokens[0], tokens[2]]]);
+        assert.ok([4, 5].includes(first.remainingDays));
+        assert.ok(/^0x[0-9a-f]{64}$/.test(first.transactionHash));
+        assert.strictEqual(first.price, Web3.utils.toWei(String(2 * 10 * 30), 'szabo'));
+        // the other address is due 35 days later
+        assert.deepStrictEqual([second.action, second.reason], ['skipped', 'not due']);
+        assert.deepStrictEqual(renewed, [first]);
+
+        assert.ok(parseInt(await mc.remainingSubscriptionDays({from: accounts[1]})) >= 29);
+        assert.deepStrictEqual(await mc.getTokensSubscribedTo(accounts[1]), [tokens[0], tokens[2]]);
+
+        await travel(30);
+        const [, all] = await keeper.check();
+        assert.deepStrictEqual([all.action, all.days, all.all], ['renewed', 45, true]);
+        assert.deepStrictEqual(await mc.getTokensSubscribedTo(accounts[2]), tokens);
+    });
+
+    it('a lapsed subscription is renewed with the last known tokens', async () => {
+        await mc.subscribe([tokens[1]], 30, accounts[3]);
+        const keeper = mc.keeper({addresses: [accounts[3]], threshold: 7});
+        await keeper.check();
+        await travel(31);
+
+        const [decision] = await keeper.check();
+        assert.deepStrictEqual([decision.action, decision.remainingDays, decision.tokens], ['renewed', 0, [tokens[1]]]);
+        assert.strictEqual(await mc.isSubscribedToToken(tokens[1], {from: accounts[3]}), true);
+
+        // without a known plan the lapsed subscription isn't renewed
+        await travel(31);
+        const [unknown] = await mc.keeper({addresses: [accounts[3]]}).check();
+        assert.deepStrictEqual([unknown.action, unknown.reason], ['skipped', 'unknown tokens']);
+        const [never] = await mc.keeper({addresses: [accounts[4]]}).check();
+        assert.deepStrictEqual([never.action, never.reason], ['skipped', 'not subscribed']);
+    });
+
+    it('the renewal is skipped over the max price or the wallet balance', async () => {
+        const target = {address: accounts[5], tokens: [tokens[0]], days: 30};
+        const [expensive] = await mc.keeper({addresses: [target], maxPrice: 1000}).check();
+        assert.deepStrictEqual([expensive.action, expensive.reason, expensive.maxPrice], ['skipped', 'price', '1000']);
+
+        // the wallet has the price but not the gas
+        const account = web3.eth.accounts.create();
+        const price = Web3.utils.toWei('300', 'szabo');
+        await web3.eth.sendTransaction({from: accounts[0], to: account.address, value: price});
+        const poor = AccessInterface.web3(web3, mc.address, compiled.abi);
+        poor.transactions = mc.transactions;
+        poor.signer = new PrivateKeySigner(account.privateKey);
+
+        const skipped = [];
+        const keeper = poor.keeper({addresses: [target]});
+        keeper.on('skipped', decision => skipped.push(decision));
+        const [decision] = await keeper.check();
+        assert.deepStrictEqual([decision.action, decision.reason, decision.balance], ['skipped', 'balance', price]);
+        assert.ok(parseInt(decision.cost) > parseInt(price));
+        assert.deepStrictEqual(skipped, [decision]);
+    });
+
+    it('a failed renewal is reported', async () => {
+        const failed = [];
+        const keeper = mc.keeper({addresses: [{address: accounts[6], tokens: [accounts[9]]}]});
+        keeper.on('failed', decision => failed.push(decision));
+        const [decision] = await keeper.check();
+        assert.strictEqual(decision.action, 'failed');
+        assert.ok(/The token is not supported/.test(decision.reason));
+        assert.deepStrictEqual(failed, [decision]);
+        assert.throws(() => mc.keeper({threshold: 'soon'}), ArgumentError);
+    });
+
+    it('the keeper checks the wallet subscription on schedule', async () => {
+        const keeper = new SubscriptionKeeper(mc, {interval: 50, threshold: 0});
+        const decisions = [];
+        keeper.on('decision', decision => decisions.push(decision));
+        keeper.start();
+        await new Promise(resolve => setTimeout(resolve, 400));
+        keeper.stop();
+        assert.ok(decisions.length >= 2);
+        assert.strictEqual(decisions[0].address, accounts[0]);
+        assert.strictEqual(decisions[0].reason, 'not due');
+    });
+});
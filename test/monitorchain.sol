@@ -0,0 +1,164 @@
+pragma solidity ^0.4.23;
+
+// A minimal MonitorChain mock implementing the subscriber side of the AccessInterface
+contract MonitorChain {
+    struct Status {
+        uint8 errorLevel;
+        string errorMessage;
+        address setter;
+        uint timestamp;
+        bool invalid;
+    }
+
+    struct Subscription {
+        uint start;
+        uint numberOfDays;
+        uint dailyPrice;
+        uint overheadBalance;
+        address accessAddress;
+        bool all;
+    }
+
+    uint8 public minDays = 30;
+    uint8 public pricePerTokenPerDay = 10;
+    uint8 public priceForAllPerDay = 50;
+    uint public constant PRICE_UNIT = 1 szabo;
+
+    address public owner;
+    address[] internal tokens;
+    address[] internal eventTokens;
+
+    mapping (address => bool) internal supported;
+    mapping (address => Status[]) internal statuses;
+    mapping (address => Subscription) internal subscriptions;
+    mapping (address => mapping (address => bool)) internal subscribedTokens;
+
+    event TokenStatusChanged(uint16 eventId);
+
+    constructor(address[] _tokens) public {
+        owner = msg.sender;
+        for (uint i = 0; i < _tokens.length; i++) {
+            tokens.push(_tokens[i]);
+            supported[_tokens[i]] = true;
+        }
+    }
+
+    function setStatus(address tokenAddress, uint8 errorLevel, string errorMessage) public {
+        require(msg.sender == owner);
+        require(supported[tokenAddress]);
+        statuses[tokenAddress].push(Status(errorLevel, errorMessage, msg.sender, now, false));
+        eventTokens.push(tokenAddress);
+        emit TokenStatusChanged(uint16(eventTokens.length - 1));
+    }
+
+    function getTokenForEventId(uint16 eventId) public view returns (address tokenAddress) {
+        if (eventId >= eventTokens.length) return address(0);
+        if (!canAccessToken(eventTokens[eventId])) return address(0);
+        return eventTokens[eventId];
+    }
+
+    function getTotalStatusCounts(address tokenAddress) view public returns (uint16 errorsCount) {
+        return uint16(statuses[tokenAddress].length);
+    }
+
+    function getStatusLevel(address tokenAddress) view public returns (uint8 errorLevel) {
+        if (statuses[tokenAddress].length == 0) return 0;
+        return statuses[tokenAddress][statuses[tokenAddress].length - 1].errorLevel;
+    }
+
+    function getCurrentStatusDetails(address tokenAddress) view public returns (uint8, string, address, uint) {
+        if (statuses[tokenAddress].length == 0) return (0, "", address(0), 0);
+        Status storage status = statuses[tokenAddress][statuses[tokenAddress].length - 1];
+        return (status.errorLevel, status.errorMessage, status.setter, status.timestamp);
+    }
+
+    function getStatusDetails(address tokenAddress, uint16 statusNumber) view public returns (uint8, string, address, uint, bool) {
+        Status storage status = statuses[tokenAddress][statusNumber];
+        return (status.errorLevel, status.errorMessage, status.setter, status.timestamp, status.invalid);
+    }
+
+    function getLastStatusDetails(address tokenAddress) view public returns (uint8, string, address, uint, bool) {
+        return getStatusDetails(tokenAddress, uint16(statuses[tokenAddress].length - 1));
+    }
+
+    function subscriptionIsValid() public view returns (bool isValid) {
+        return remainingSubscriptionDays() > 0;
+    }
+
+    function isExistingSubscriber() public view returns (bool isSubscriber) {
+        return subscriptions[msg.sender].start > 0;
+    }
+
+    function isSubscribedToToken(address token) public view returns (bool isSubscribed) {
+        return subscriptionIsValid() && (subscriptions[msg.sender].all || subscribedTokens[msg.sender][token]);
+    }
+
+    function canAccessToken(address token) public view returns (bool canAccess) {
+        return isSubscribedToToken(token);
+    }
+
+    function getNumberSupportedTokens() public view returns (uint numberOfTokens) {
+        return tokens.length;
+    }
+
+    function getAllSupportedTokens() public view returns (address[] allTokens) {
+        return tokens;
+    }
+
+    function isAddressBlocked(address, address) public view returns (bool) {
+        return false;
+    }
+
+    function remainingSubscriptionDays() public view returns (uint remainingDays) {
+        Subscription storage subscription = subscriptions[msg.sender];
+        uint end = subscription.start + subscription.numberOfDays * 1 days;
+        if (subscription.start == 0 || end <= now) return 0;
+        return (end - now) / 1 days;
+    }
+
+    function unsubscribe() public {
+        delete subscriptions[msg.sender];
+    }
+
+    function calculatePrice(uint numberOfDays, uint numberTokens) view public returns (uint, uint, uint) {
+        uint daily = numberTokens == 0 ? priceForAllPerDay : numberTokens * pricePerTokenPerDay;
+        daily = daily * PRICE_UNIT;
+        return (daily * numberOfDays, daily, 0);
+    }
+
+    function subscribe(address subscribee, uint numberOfDays, address[] tokenAddresses) public payable {
+        uint price;
+        (price,,) = calculatePrice(numberOfDays, tokenAddresses.length);
+        require(msg.value >= price);
+        // as the deployed contract, a subscription replaces the tokens of the previous one
+        for (uint i = 0; i < tokens.length; i++) delete subscribedTokens[subscribee][tokens[i]];
+        for (i = 0; i < tokenAddresses.length; i++) {
+            require(supported[tokenAddresses[i]], "The token is not supported");
+            subscribedTokens[subscribee][tokenAddresses[i]] = true;
+        }
+        _subscribe(subscribee, numberOfDays, price / numberOfDays, msg.value - price, false);
+    }
+
+    function subscribeAll(address subscribee, uint numberOfDays) public payable {
+        uint price;
+        (price,,) = calculatePrice(numberOfDays, 0);
+        require(msg.value >= price);
+        _subscribe(subscribee, numberOfDays, price / numberOfDays, msg.value - price, true);
+    }
+
+    function getSubscriptionData() public view returns (uint, uint, uint, uint, address) {
+        Subscription storage subscription = subscriptions[msg.sender];
+        return (subscription.start, subscription.numberOfDays, subscription.dailyPrice,
+            subscription.overheadBalance, subscription.accessAddress);
+    }
+
+    function _subscribe(address subscribee, uint numberOfDays, uint dailyPrice, uint overhead, bool all) internal {
+        Subscription storage subscription = subscriptions[subscribee];
+        subscription.start = now;
+        subscription.numberOfDays = numberOfDays;
+        subscription.dailyPrice = dailyPrice;
+        subscription.overheadBalance += overhead;
+        subscription.accessAddress = subscribee;
+        subscription.all = all;
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, TransactionManager, FailoverProvider} = require('../src/interface');
+
+const chain = ganache.provider();
+const monitorContract = './test/monitorchain.sol';
+const mnemonic = 'candy maple cake sugar pudding cream honey rich smooth crumble sweet treat';
+
+const compile = () => {
+    const source = fs.readFileSync(monitorContract, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+// a node of the ganache chain counting its requests, which can be stopped or stalled
+const node = (url) => {
+    const endpoint = {
+        url: url,
+        methods: [],
+        mode: 'up',
+        send(payload, callback) {
+            endpoint.methods.push(payload.method);
+            if (endpoint.mode === 'down') return callback(new Error(`connect ECONNREFUSED ${url}`));
+            if (endpoint.mode === 'stalled') return;
+            chain.send(payload, callback);
+        }
+    };
+    return endpoint;
+};
+
+// a node answering with an old block
+const lagging = (url, blockNumber) => ({
+    url: url,
+    send(payload, callback) {
+        if (payload.method === 'eth_blockNumber')
+            return callback(null, {jsonrpc: '2.0', id: payload.id, result: Web3.utils.numberToHex(blockNumber)});
+        chain.send(payload, callback);
+    }
+});
+
+const endpointOf = (provider, url) => provider.endpoints.find(endpoint => endpoint.url === url);
+
+describe('FailoverProvider', () => {
+    it('a read fails over from a stalled node', async () => {
+        const a = node('a'), b = node('b');
+        a.mode = 'stalled';
+        const provider = new FailoverProvider([a, b], {timeout: 200, healthCheckInterval: 0});
+        const web3 = new Web3(provider);
+
+        const accounts = await web3.eth.getAccounts();
+        const record = provider.history[provider.history.length - 1];
+        assert.strictEqual(accounts.length, 10);
+        assert.strictEqual(record.method, 'eth_accounts');
+        assert.strictEqual(record.endpoint, 'b');
+        assert.strictEqual(record.attempts, 2);
+        assert.strictEqual(endpointOf(provider, 'a').errors, 1);
+    });
+
+    it('the reads are routed to the healthiest node', async () => {
+        const web3 = new Web3(chain);
+        for (let i = 0; i < 5; i++) await new Promise(resolve => chain.send({jsonrpc: '2.0', id: i, method: 'evm_mine', params: []}, resolve));
+        const provider = new FailoverProvider([lagging('a', 0), node('b')], {healthCheckInterval: 0});
+
+        const report = await provider.checkHealth();
+        assert.strictEqual(report.endpoints[0].healthy, false);
+        assert.strictEqual(report.endpoints[0].lag, await web3.eth.getBlockNumber());
+        assert.strictEqual(report.endpoints[1].healthy, true);
+
+        const served = [];
+        provider.on('request', record => served.push(record.endpoint));
+        await new Web3(provider).eth.getBlockNumber();
+        assert.deepStrictEqual(served, ['b']);
+    });
+
+    it('the sends of a sender are pinned to one node and fail over with a report', async () => {
+        const a = node('a'), b = node('b');
+        const provider = new FailoverProvider([a, b], {healthCheckInterval: 0});
+        const web3 = new Web3(provider);
+        const accounts = await web3.eth.getAccounts();
+        const failovers = [];
+        provider.on('failover', event => failovers.push(event));
+
+        await web3.eth.sendTransaction({from: accounts[0], to: accounts[1], value: 1});
+        const pin = `sender:${accounts[0].toLowerCase()}`;
+        const pinned = provider.getReport().pins[pin];
+        const other = pinned === 'a' ? b : a;
+        const pinnedNode = pinned === 'a' ? a : b;
+
+        // the other node becomes faster: the reads move, the sends and the pending nonce stay
+        endpointOf(provider, pinned).latency = 1000;
+        other.methods = [];
+        pinnedNode.methods = [];
+        await web3.eth.getTransactionCount(accounts[0], 'pending');
+        await web3.eth.sendTransaction({from: accounts[0], to: accounts[1], value: 1});
+        await web3.eth.getBalance(accounts[1]);
+        assert.ok(pinnedNode.methods.includes('eth_sendTransaction'));
+        assert.ok(pinnedNode.methods.includes('eth_getTransactionCount'));
+        assert.ok(!other.methods.includes('eth_sendTransaction'));
+        assert.ok(other.methods.includes('eth_getBalance'));
+
+        pinnedNode.mode = 'down';
+        await web3.eth.sendTransaction({from: accounts[0], to: accounts[1], value: 1});
+        assert.strictEqual(failovers.length, 1);
+        assert.deepStrictEqual([failovers[0].pin, failovers[0].from, failovers[0].to], [pin, pinned, other.url]);
+        assert.strictEqual(provider.getReport().pins[pin], other.url);
+    });
+
+    it('a timed out send is not repeated on another node', async () => {
+        const a = node('a'), b = node('b');
+        const provider = new FailoverProvider([a, b], {timeout: 200, healthCheckInterval: 0});
+        const web3 = new Web3(provider);
+        const accounts = await web3.eth.getAccounts();
+        await web3.eth.sendTransaction({from: accounts[2], to: accounts[3], value: 1});
+        const pinned = provider.getReport().pins[`sender:${accounts[2].toLowerCase()}`] === 'a' ? a : b;
+        const other = pinned === a ? b : a;
+
+        pinned.mode = 'stalled';
+        other.methods = [];
+        await assert.rejects(web3.eth.sendTransaction({from: accounts[2], to: accounts[3], value: 1}),
+            /it is not sent to another node as the transaction may have been broadcast/);
+        assert.ok(!other.methods.includes('eth_sendTransaction'));
+        assert.strictEqual(provider.history[provider.history.length - 1].attempts, 1);
+    });
+
+    it('a ProviderError if all the nodes fail', async () => {
+        const a = node('a'), b = node('b');
+        a.mode = b.mode = 'down';
+        const provider = new FailoverProvider([a, b], {healthCheckInterval: 0});
+        await assert.rejects(new Web3(provider).eth.getBlockNumber(), /All the nodes have failed "eth_blockNumber"/);
+        assert.ok(provider.history[0].error);
+    });
+
+    it('an interface over the failover provider', async () => {
+        const compiled = compile();
+        const tokens = [Web3.utils.toChecksumAddress(Web3.utils.randomHex(20))];
+        const a = node('a');
+        a.mode = 'down';
+        const provider = new FailoverProvider([a, node('b')], {healthCheckInterval: 0});
+
+        const mc = AccessInterface.web3(new Web3(provider), null, compiled.abi);
+        mc.transactions = new TransactionManager();
+        await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+        const receipt = await mc.subscribe(tokens);
+        assert.ok(receipt.status);
+        // the http-like nodes have no subscriptions, web3 falls back to polling the receipts
+        assert.ok(provider.history.every(record => record.endpoint === 'b' || record.method === 'eth_subscribe'));
+    });
+
+    it('an interface of several node addresses', () => {
+        const mc = new AccessInterface(['http://127.0.0.1:1', 'http://127.0.0.1:2'], null, mnemonic);
+        mc.w3.currentProvider.stop();
+        assert.ok(mc.w3.currentProvider instanceof FailoverProvider);
+        assert.strictEqual(mc.protocol, 'http');
+        assert.strictEqual(mc.accounts.length, 20);
+        assert.strictEqual(mc.wallet, '0x627306090abaB3A6e1400e9345bC60c78a8BEf57');
+        assert.ok(mc.signer);
+    });
+
+    it('unsupported protocol', () => {
+        assert.throws(() => new FailoverProvider(['http://127.0.0.1:1', 'ftp://127.0.0.1']), /"ftp" protocol is not supported!/);
+        assert.throws(() => new FailoverProvider([]), /node addresses are not defined/);
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {
+    AccessInterface, ERC20Interface, TransactionManager, PrivateKeySigner, MnemonicSigner, KeystoreSigner, RemoteSigner,
+    ConfigurationError, SignerError, generateKeystore, saveKeystore
+} = require('../src/interface');
+
+const monitorContract = './test/monitorchain.sol';
+const mnemonic = 'candy maple cake sugar pudding cream honey rich smooth crumble sweet treat';
+const keys = ['0x' + '11'.repeat(32), '0x' + '22'.repeat(32)];
+
+// the accounts are locked: the node refuses eth_sendTransaction, only the signed transactions are accepted
+const web3 = new Web3(ganache.provider({
+    secure: true,
+    accounts: keys.map(key => ({secretKey: key, balance: Web3.utils.toWei('100', 'ether')}))
+}));
+
+const compile = () => {
+    const source = fs.readFileSync(monitorContract, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+// a local stand-in of a remote signing service
+const startSigner = async (signer, refuse) => {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk });
+        req.on('end', async () => {
+            const request = JSON.parse(body);
+            const response = {jsonrpc: '2.0', id: request.id};
+            if (request.method === 'eth_accounts') response.result = [signer.address.toLowerCase()];
+            else if (refuse) response.error = {code: -32000, message: 'Request denied'};
+            else {
+                const tx = {};
+                Object.keys(request.params[0]).forEach(key => {
+                    const value = request.params[0][key];
+                    tx[key] = ['from', 'to', 'data'].includes(key) ? value : Web3.utils.hexToNumberString(value);
+                });
+                try {
+                    response.result = {raw: await signer.signTransaction(tx), tx: request.params[0]};
+                } catch (e) {
+                    response.error = {code: -32000, message: e.message};
+                }
+            }
+            res.end(JSON.stringify(response));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+};
+
+describe('Signers', () => {
+    let compiled, tokens;
+
+    before(() => {
+        compiled = compile();
+        tokens = [1, 2].map(() => Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+    });
+
+    it('MnemonicSigner derives the accounts of the HD path', () => {
+        assert.strictEqual(new MnemonicSigner(mnemonic).address, '0x627306090abaB3A6e1400e9345bC60c78a8BEf57');
+        assert.strictEqual(new MnemonicSigner(mnemonic, 1).address, '0xf17f52151EbEF6C7334FAD080c5704D77216b732');
+        assert.throws(() => new MnemonicSigner('not a mnemonic'), ConfigurationError);
+    });
+
+    it('PrivateKeySigner keeps the key out of the serialized object', () => {
+        const signer = new PrivateKeySigner(keys[0].slice(2));
+        assert.strictEqual(signer.address, web3.eth.accounts.privateKeyToAccount(keys[0]).address);
+        assert.ok(!JSON.stringify(signer).includes('1111'));
+        assert.throws(() => new PrivateKeySigner('0x1234'), ConfigurationError);
+    });
+
+    it('KeystoreSigner decrypts a V3 keystore', () => {
+        const keystore = web3.eth.accounts.encrypt(keys[1], 'secret');
+        assert.strictEqual(new KeystoreSigner(keystore, 'secret').address, web3.eth.accounts.privateKeyToAccount(keys[1]).address);
+        assert.strictEqual(new KeystoreSigner(JSON.stringify(keystore), 'secret').address, web3.eth.accounts.privateKeyToAccount(keys[1]).address);
+        assert.throws(() => new KeystoreSigner(keystore, 'wrong'), ConfigurationError);
+    });
+
+    it('the provider alone cannot send from the locked accounts', async () => {
+        const accounts = await web3.eth.getAccounts();
+        await assert.rejects(web3.eth.sendTransaction({from: accounts[0], to: accounts[1], value: 1}));
+    });
+
+    it('deploy and subscribe are signed locally', async () => {
+        const signer = new PrivateKeySigner(keys[0]);
+        const mc = new AccessInterface(null, null, signer, web3, compiled.abi);
+        mc.transactions = new TransactionManager();
+        assert.strictEqual(mc.signer, signer);
+
+        await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+        assert.ok(mc.address);
+        assert.strictEqual(mc.wallet, signer.address);
+
+        const receipt = await mc.subscribe([tokens[0]]);
+        assert.strictEqual(Web3.utils.toChecksumAddress(receipt.from), signer.address);
+        assert.strictEqual(mc.transactions.tx[0].status, 'final');
+        assert.strictEqual(mc.transactions.tx[0].nonce, 1);
+        assert.strictEqual(await mc.isExistingSubscriber(), true);
+    });
+
+    it('a remote signer signs over HTTP', async () => {
+        const local = new PrivateKeySigner(keys[1]);
+        const server = await startSigner(local);
+        try {
+            const mc = AccessInterface.web3(web3, null, compiled.abi);
+            mc.signer = new RemoteSigner(`http://127.0.0.1:${server.address().port}`);
+            mc.transactions = new TransactionManager();
+
+            await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+            assert.strictEqual(mc.wallet, local.address);
+            const receipt = await mc.subscribeAll();
+            assert.strictEqual(Web3.utils.toChecksumAddress(receipt.from), local.address);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('a refusal of the remote signer is a SignerError', async () => {
+        const local = new PrivateKeySigner(keys[1]);
+        const server = await startSigner(local, true);
+        try {
+            const mc = AccessInterface.web3(web3, null, compiled.abi);
+            mc.signer = new RemoteSigner(`http://127.0.0.1:${server.address().port}`);
+            await assert.rejects(mc.deploy({bytecode: compiled.bytecode, args: [tokens]}), (err) =>
+                err instanceof SignerError && /Request denied/.test(err.message) && err.code === -32000);
+        } finally {
+            server.close();
+        }
+    });
+
+    it('RemoteSigner accepts only the http(s) urls', () => {
+        assert.throws(() => new RemoteSigner('ws://127.0.0.1:8550'), ConfigurationError);
+    });
+
+    describe('keystores', () => {
+        // a cheap KDF to keep the tests fast
+        const kdf = {n: 1024};
+        const addresses = keys.map(key => web3.eth.accounts.privateKeyToAccount(key).address);
+
+        it('an interface of the keystore files, the wallet selects the sender', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+            const files = keys.map(key => saveKeystore(new PrivateKeySigner(key).toKeystore('secret', kdf), dir));
+            assert.ok(/UTC--.+--[0-9a-f]{40}$/.test(files[0]));
+
+            const mc = new AccessInterface(null, null, {keystores: files, password: 'secret'}, web3, compiled.abi);
+            mc.transactions = new TransactionManager();
+            assert.deepStrictEqual(mc.accounts, addresses);
+            assert.strictEqual(mc.wallet, addresses[0]);
+
+            await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+            mc.wallet = 1;
+            assert.strictEqual(mc.signer.address, addresses[1]);
+            const receipt = await mc.subscribe([tokens[1]]);
+            assert.strictEqual(Web3.utils.toChecksumAddress(receipt.from), addresses[1]);
+        });
+
+        it('an interface of the private keys', () => {
+            const token = new ERC20Interface(null, null, {privateKeys: keys}, web3);
+            assert.deepStrictEqual(token.accounts, addresses);
+            assert.deepStrictEqual(new ERC20Interface(null, null, keys, web3).accounts, addresses);
+        });
+
+        it('a password per keystore', () => {
+            const keystores = keys.map((key, i) => new PrivateKeySigner(key).toKeystore(`secret${i}`, kdf));
+            const token = new ERC20Interface(null, null, {keystores: keystores, passwords: ['secret0', 'secret1']}, web3);
+            assert.deepStrictEqual(token.accounts, addresses);
+            assert.throws(() => new ERC20Interface(null, null, {keystores: keystores, password: 'secret0'}, web3),
+                ConfigurationError);
+        });
+
+        it('generateKeystore and exportKeystore', () => {
+            const keystore = generateKeystore('secret', kdf);
+            assert.strictEqual(keystore.version, 3);
+            const token = new ERC20Interface(null, null, {keystore: JSON.stringify(keystore), password: 'secret'}, web3);
+            assert.strictEqual(token.wallet, Web3.utils.toChecksumAddress(keystore.address));
+
+            const exported = token.exportKeystore('another', kdf);
+            assert.strictEqual(new KeystoreSigner(exported, 'another').address, token.wallet);
+            assert.throws(() => generateKeystore(), ConfigurationError);
+        });
+
+        it('no keys to export without a local signer', () => {
+            const token = ERC20Interface.web3(web3, null);
+            assert.throws(() => token.exportKeystore('secret'), ConfigurationError);
+        });
+    });
+});
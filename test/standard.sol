@@ -0,0 +1,37 @@
+pragma solidity ^0.4.23;
+
+// a token announcing every balance change by the Transfer event, the mints and burns included
+contract StandardToken {
+    string public name = "Standard token";
+    string public symbol = "STD";
+    uint8 public decimals = 18;
+    uint public totalSupply;
+    mapping (address => uint) public balanceOf;
+
+    event Transfer(address indexed from, address indexed to, uint value);
+
+    constructor(uint supply) public {
+        mint(msg.sender, supply);
+    }
+
+    function mint(address to, uint value) public {
+        totalSupply += value;
+        balanceOf[to] += value;
+        emit Transfer(address(0), to, value);
+    }
+
+    function transfer(address to, uint value) public returns (bool) {
+        require(balanceOf[msg.sender] >= value);
+        balanceOf[msg.sender] -= value;
+        balanceOf[to] += value;
+        emit Transfer(msg.sender, to, value);
+        return true;
+    }
+
+    function burn(uint value) public {
+        require(balanceOf[msg.sender] >= value);
+        balanceOf[msg.sender] -= value;
+        totalSupply -= value;
+        emit Transfer(msg.sender, address(0), value);
+    }
+}
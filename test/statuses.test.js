@@ -0,0 +1,134 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, ERC20Interface, TransactionManager} = require('../src/interface');
+
+const web3 = new Web3(ganache.provider());
+
+const compile = (file, name) => {
+    const source = fs.readFileSync(file, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[`:${name}`];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeout) => {
+    const deadline = Date.now() + (timeout || 10000);
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await sleep(20);
+    }
+};
+
+describe('TokenStatusStream', () => {
+    let mc, tokens, start;
+
+    before(async () => {
+        const standard = compile('./test/standard.sol', 'StandardToken');
+        tokens = [];
+        for (let i = 0; i < 2; i++) {
+            const token = ERC20Interface.web3(web3, null, standard.abi);
+            token.transactions = new TransactionManager();
+            await token.deploy({bytecode: standard.bytecode, args: [1000]});
+            tokens.push(token.address);
+        }
+        // the wallet is not subscribed to the third token
+        tokens.push(Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+
+        const compiled = compile('./test/monitorchain.sol', 'MonitorChain');
+        mc = AccessInterface.web3(web3, null, compiled.abi);
+        mc.transactions = new TransactionManager();
+        await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+        await mc.subscribe(tokens.slice(0, 2), 30, null, Web3.utils.toWei('600', 'szabo'));
+        start = await web3.eth.getBlockNumber();
+
+        await mc.setStatus(tokens[0], 1, 'first');
+        await mc.setStatus(tokens[2], 3, 'not subscribed');
+        await mc.setStatus(tokens[1], 2, 'other');
+        await mc.setStatus(tokens[0], 4, 'second');
+    });
+
+    it('the events are resolved to the tokens and their statuses', async () => {
+        const changes = [];
+        const stream = mc.watchTokenStatuses({fromBlock: start, pollingInterval: 50});
+        stream.on('status', change => changes.push(change));
+        await waitFor(() => changes.length === 3);
+        await sleep(100);
+        stream.stop();
+
+        assert.deepStrictEqual(changes.map(change => [change.token, change.status.errorMessage]),
+            [[tokens[0], 'first'], [tokens[1], 'other'], [tokens[0], 'second']]);
+        const [first, , second] = changes;
+        assert.strictEqual(first.eventId, '0');
+        assert.strictEqual(first.previous, null);
+        assert.deepStrictEqual([first.status.statusNumber, first.status.errorLevel, first.status.setter, first.status.invalid],
+            [0, 1, mc.wallet, false]);
+        assert.deepStrictEqual([first.info.symbol, first.info.decimals], ['STD', 18]);
+        assert.strictEqual(first.blockNumber, start + 1);
+        assert.strictEqual(first.transactionHash, (await web3.eth.getBlock(start + 1)).transactions[0]);
+
+        assert.strictEqual(second.eventId, '3');
+        assert.deepStrictEqual([second.previous.statusNumber, second.previous.errorMessage], [0, 'first']);
+        assert.deepStrictEqual([second.status.statusNumber, second.status.errorLevel], [1, 4]);
+        assert.deepStrictEqual(stream.stats, {events: 4, emitted: 3, skipped: 1, failed: 0});
+
+        // a restarted stream replays the events without emitting them again
+        stream.start();
+        await waitFor(() => stream.stats.events === 8);
+        stream.stop();
+        assert.strictEqual(changes.length, 3);
+    });
+
+    it('an async iterator of the changes', async () => {
+        const stream = mc.watchTokenStatuses({tokens: [tokens[1]], metadata: false, pollingInterval: 50});
+        const changes = [];
+        const iterate = (async () => {
+            for await (const change of stream) {
+                changes.push(change);
+                if (changes.length === 2) break;
+            }
+        })();
+        await sleep(100);
+        await mc.setStatus(tokens[0], 5, 'filtered');
+        await mc.setStatus(tokens[1], 6, 'third');
+        await mc.setStatus(tokens[1], 7, 'fourth');
+        await iterate;
+
+        assert.deepStrictEqual(changes.map(change => [change.status.statusNumber, change.status.errorMessage]),
+            [[1, 'third'], [2, 'fourth']]);
+        assert.strictEqual(changes[0].previous.errorMessage, 'other');
+        assert.strictEqual(changes[0].info, null);
+        assert.strictEqual(stream.active, false);
+    });
+
+    it('the iterator ends when the stream is stopped', async () => {
+        const stream = mc.watchTokenStatuses({pollingInterval: 50});
+        setTimeout(() => stream.stop(), 100);
+        const changes = [];
+        for await (const change of stream) changes.push(change);
+        assert.deepStrictEqual(changes, []);
+    });
+});
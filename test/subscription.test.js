@@ -0,0 +1,168 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, TransactionManager, ArgumentError} = require('../src/interface');
+
+const web3 = new Web3(ganache.provider());
+
+const compile = () => {
+    const source = fs.readFileSync('./test/monitorchain.sol', 'utf8');
+    const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+// the prices of monitorchain.sol: 10 szabo per token per day, 50 szabo per day for all the tokens
+const szabo = (amount) => Web3.utils.toWei(String(amount), 'szabo');
+
+describe('Subscription', () => {
+    let mc, compiled, tokens;
+
+    before(async () => {
+        compiled = compile();
+        tokens = Array.from({length: 8}, () => Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+        mc = AccessInterface.web3(web3, null, compiled.abi);
+        mc.transactions = new TransactionManager();
+        await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+    });
+
+    describe('quote', () => {
+        it('compares subscribe with subscribeAll', async () => {
+            const quote = await mc.quote(tokens.slice(0, 3), 40);
+            assert.deepStrictEqual([quote.days, quote.minDays, quote.tokens, quote.supportedTokens], [40, 30, 3, 8]);
+            assert.deepStrictEqual(quote.subscribe.price, {wei: szabo(3 * 10 * 40), ether: '0.0012'});
+            assert.deepStrictEqual(quote.subscribe.dailyPrice, {wei: szabo(30), ether: '0.00003'});
+            assert.strictEqual(quote.subscribeAll.price.wei, szabo(50 * 40));
+            assert.strictEqual(quote.cheapest, 'subscribe');
+            assert.strictEqual(quote.breakEven, 5);
+        });
+
+        it('projects the gas cost', async () => {
+            const quote = await mc.quote(tokens.slice(0, 6));
+            assert.strictEqual(quote.days, 30);
+            assert.strictEqual(quote.cheapest, 'subscribeAll');
+            ['subscribe', 'subscribeAll'].forEach(method => {
+                const option = quote[method];
+                assert.strictEqual(option.method, method);
+                assert.ok(option.gas > 21000);
+                assert.strictEqual(option.gasCost.wei, Web3.utils.toBN(option.gas).mul(Web3.utils.toBN(option.gasPrice)).toString());
+                assert.strictEqual(option.totalCost.wei, Web3.utils.toBN(option.price.wei).add(Web3.utils.toBN(option.gasCost.wei)).toString());
+            });
+            // the gas grows with the number of tokens
+            assert.ok(quote.subscribe.gas > quote.subscribeAll.gas);
+        });
+
+        it('only subscribeAll without the tokens, no gas of a failing subscription', async () => {
+            const quote = await mc.quote([], 30);
+            assert.strictEqual(quote.subscribe, null);
+            assert.strictEqual(quote.cheapest, 'subscribeAll');
+
+            const unsupported = await mc.quote([Web3.utils.toChecksumAddress(Web3.utils.randomHex(20))], 30);
+            assert.strictEqual(unsupported.subscribe.gas, null);
+            assert.strictEqual(unsupported.subscribe.gasCost, null);
+            assert.strictEqual(unsupported.subscribe.totalCost.wei, szabo(10 * 30));
+            await assert.rejects(mc.quote('0x0'), ArgumentError);
+        });
+    });
+
+    describe('syncSubscription', () => {
+        before(async () => {
+            await mc.subscribe(tokens.slice(0, 2), 30, null, szabo(2 * 10 * 30));
+        });
+
+        it('plans the subscription to all the desired tokens', async () => {
+            const plan = await mc.syncSubscription([tokens[1], tokens[0], tokens[2], tokens[2]], {planOnly: true});
+            assert.deepStrictEqual(plan.current, tokens.slice(0, 2));
+            assert.deepStrictEqual([plan.add, plan.remove, plan.keep], [[tokens[2]], [], [tokens[1], tokens[0]]]);
+            assert.ok(plan.days >= 29 && plan.days <= 30);
+            assert.strictEqual(plan.actions.length, 1);
+            const action = plan.actions[0];
+            assert.deepStrictEqual([action.method, action.tokens], ['subscribe', [tokens[1], tokens[0], tokens[2]]]);
+            assert.strictEqual(action.price.wei, szabo(3 * 10 * plan.days));
+            assert.ok(action.gas > 21000);
+            assert.strictEqual(plan.cost.wei, action.totalCost.wei);
+            // the paid days left of the two tokens are lost
+            assert.ok(plan.lost.days >= 29 && plan.lost.days <= 30);
+            assert.strictEqual(plan.lost.value.wei, szabo(2 * 10 * plan.lost.days));
+            assert.strictEqual(plan.applied, false);
+            assert.deepStrictEqual(await mc.getTokensSubscribedTo(), tokens.slice(0, 2));
+        });
+
+        it('applies the additions and removals with force', async () => {
+            await assert.rejects(mc.syncSubscription(tokens.slice(0, 3)), error =>
+                error instanceof ArgumentError && error.argument === 'force');
+            assert.deepStrictEqual(await mc.getTokensSubscribedTo(), tokens.slice(0, 2));
+
+            let plan = await mc.syncSubscription(tokens.slice(0, 3), {days: 40, force: true});
+            assert.strictEqual(plan.applied, true);
+            assert.strictEqual(plan.receipts.length, 1);
+            assert.deepStrictEqual(await mc.getTokensSubscribedTo(), tokens.slice(0, 3));
+
+            plan = await mc.syncSubscription([tokens[2], tokens[3]], {force: true});
+            assert.deepStrictEqual([plan.add, plan.remove], [[tokens[3]], tokens.slice(0, 2)]);
+            assert.deepStrictEqual(plan.actions.map(action => [action.method, action.tokens]), [['subscribe', [tokens[2], tokens[3]]]]);
+            assert.ok(plan.days >= 39 && plan.days <= 40);
+            assert.strictEqual(plan.lost.value.wei, szabo(3 * 10 * plan.lost.days));
+            assert.strictEqual(plan.receipts.length, 1);
+            assert.deepStrictEqual(await mc.getTokensSubscribedTo(), [tokens[2], tokens[3]]);
+
+            // nothing to do
+            plan = await mc.syncSubscription([tokens[3], tokens[2]]);
+            assert.deepStrictEqual(plan.actions, []);
+            assert.deepStrictEqual([plan.cost.wei, plan.lost.days], ['0', 0]);
+
+            // the whole list is paid for and subscribed to again
+            const receipt = await mc.addTokenToSubscription(tokens[4], 30, null, szabo(3 * 10 * 30));
+            assert.ok(receipt.transactionHash);
+            assert.deepStrictEqual(await mc.getTokensSubscribedTo(), tokens.slice(2, 5));
+
+            plan = await mc.syncSubscription([], {force: true});
+            assert.deepStrictEqual(plan.actions.map(action => action.method), ['unsubscribe']);
+            assert.deepStrictEqual(await mc.getTokensSubscribedTo(), []);
+        });
+
+        it('validates the tokens', async () => {
+            const unknown = Web3.utils.toChecksumAddress(Web3.utils.randomHex(20));
+            await assert.rejects(mc.syncSubscription([tokens[0], unknown]), error =>
+                error instanceof ArgumentError && error.message.includes(unknown));
+            await assert.rejects(mc.syncSubscription(['0x0']), ArgumentError);
+            await assert.rejects(mc.syncSubscription(tokens[0]), ArgumentError);
+        });
+
+        it('changes the tokens of another access address', async () => {
+            const accounts = await web3.eth.getAccounts();
+            await mc.subscribe([tokens[0]], 30, accounts[5], szabo(10 * 30));
+            const plan = await mc.syncSubscription([tokens[1]], {accessAddress: accounts[5], force: true});
+            assert.deepStrictEqual([plan.remove, plan.applied], [[tokens[0]], true]);
+            assert.deepStrictEqual(await mc.getTokensSubscribedTo(accounts[5]), [tokens[1]]);
+            await assert.rejects(mc.syncSubscription([], {accessAddress: accounts[5], force: true}), error =>
+                error instanceof ArgumentError && error.argument === 'accessAddress');
+
+            // no paid days are lost without a subscription
+            const first = await mc.syncSubscription(tokens.slice(0, 2), {accessAddress: accounts[6]});
+            assert.deepStrictEqual([first.lost.days, first.lost.value.wei, first.applied], [0, '0', true]);
+            assert.deepStrictEqual(await mc.getTokensSubscribedTo(accounts[6]), tokens.slice(0, 2));
+        });
+    });
+});
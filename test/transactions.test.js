@@ -0,0 +1,527 @@
+/**
+ * Interface for accessing the MonitorChain smart contract methods
+ * Copyright (C) 2018,  Zenchain Group Inc.
+ *
+ * This program is free software; you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation; either version 2 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License along
+ * with this program; if not, write to the Free Software Foundation, Inc.,
+ * 51 Franklin Street, Fifth Floor, Boston, MA 02110-1301 USA.
+ */
+
+'use strict';
+const fs = require('fs');
+const solc = require('solc');
+const assert = require('assert');
+const ganache = require('ganache-cli');
+const Web3 = require('web3');
+const {AccessInterface, ERC20Interface, TransactionManager, transactions} = require('../src/interface');
+
+const web3 = new Web3(ganache.provider());
+const monitorContract = './test/monitorchain.sol';
+
+let compiled, tokens;
+
+const compile = () => {
+    const source = fs.readFileSync(monitorContract, 'utf8');
+    const compiled = solc.compile(source, 1).contracts[':MonitorChain'];
+    return {abi: JSON.parse(compiled.interface), bytecode: '0x' + compiled.bytecode};
+};
+
+const rpc = (method, params) => {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({jsonrpc: '2.0', id: Date.now(), method: method, params: params || []},
+            (err, result) => err ? reject(err) : resolve(result.result));
+    });
+};
+
+const deployMonitor = async () => {
+    const mc = AccessInterface.web3(web3, null, compiled.abi);
+    await mc.deploy({bytecode: compiled.bytecode, args: [tokens]});
+    return mc;
+};
+
+const mineWhile = async (promise) => {
+    let done = false;
+    promise.then(() => { done = true }, () => { done = true });
+    while (!done) {
+        await rpc('evm_mine');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return promise;
+};
+
+const gwei = (amount) => Web3.utils.toWei(amount.toString(), 'gwei');
+const hex = (value) => Web3.utils.numberToHex(value);
+const blockHash = (number) => Web3.utils.padLeft(hex(number), 64);
+
+const until = async (condition, tick) => {
+    for (let i = 0; i < 500; i++) {
+        const value = condition();
+        if (value) return value;
+        if (tick) tick();
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('The condition is not met in 5 seconds');
+};
+
+/**
+ * A node keeping the sent transactions in the pool until 'mine()': ganache mines them at once and can't replace them.
+ * A transaction with the nonce of a pooled one replaces it if its gas price is at least 10% higher.
+ * 'failures' answer the next requests of a method with the errors.
+ */
+class StubNode {
+    constructor() {
+        this.account = Web3.utils.toChecksumAddress(Web3.utils.randomHex(20));
+        this.block = 1;
+        this.nonce = 0;
+        this.pool = [];
+        this.receipts = {};
+        this.requests = [];
+        this.failures = {};
+    }
+
+    send(payload, callback) {
+        // answered asynchronously as a real node, web3 emits 'transactionHash' after the listeners are attached
+        const respond = (error, result) => setImmediate(() => callback(null, error ?
+            {jsonrpc: '2.0', id: payload.id, error: {code: -32000, message: error}} :
+            {jsonrpc: '2.0', id: payload.id, result: result}));
+        this.requests.push(payload);
+        const failures = this.failures[payload.method];
+        if (failures && failures.length) return respond(failures.shift());
+        try {
+            respond(null, this.handle(payload.method, payload.params));
+        } catch (e) {
+            respond(e.message);
+        }
+    }
+
+    handle(method, params) {
+        switch (method) {
+            case 'eth_chainId': return '0x539';
+            case 'net_version': return '1337';
+            case 'eth_accounts': return [this.account];
+            case 'eth_gasPrice': return hex(gwei(10));
+            case 'eth_blockNumber': return hex(this.block);
+            case 'eth_getTransactionCount': return hex(this.nonce);
+            case 'eth_getBlockByNumber': return {number: hex(this.block), hash: blockHash(this.block), gasLimit: hex(8000000),
+                gasUsed: '0x0', timestamp: '0x0', size: '0x0', transactions: []};
+            case 'eth_getTransactionReceipt': return this.receipts[params[0]] || null;
+            case 'eth_getTransactionByHash': return this.pool.find(tx => tx.hash === params[0]) || null;
+            case 'eth_sendTransaction': return this.accept(params[0]);
+        }
+        throw new Error(`${method} is not supported`);
+    }
+
+    accept(tx) {
+        const nonce = parseInt(tx.nonce);
+        if (nonce < this.nonce) throw new Error('nonce too low');
+        const pooled = this.pool.find(item => parseInt(item.nonce) === nonce);
+        if (pooled && Web3.utils.toBN(tx.gasPrice).muln(100).lt(Web3.utils.toBN(pooled.gasPrice).muln(110)))
+            throw new Error('replacement transaction underpriced');
+        const entry = Object.assign({}, tx, {hash: Web3.utils.randomHex(32), blockNumber: null});
+        this.pool = this.pool.filter(item => item !== pooled).concat(entry);
+        return entry.hash;
+    }
+
+    // Mines the pooled transactions in a new block
+    mine() {
+        this.block++;
+        this.pool.forEach((tx, index) => {
+            this.receipts[tx.hash] = {transactionHash: tx.hash, transactionIndex: hex(index), blockNumber: hex(this.block),
+                blockHash: blockHash(this.block), from: tx.from, to: tx.to, gasUsed: '0x5208', cumulativeGasUsed: '0x5208',
+                contractAddress: null, logs: [], status: '0x1'};
+            this.nonce++;
+        });
+        this.pool = [];
+    }
+
+    sentGasPrices() {
+        return this.requests.filter(payload => payload.method === 'eth_sendTransaction')
+            .map(payload => Web3.utils.hexToNumberString(payload.params[0].gasPrice));
+    }
+}
+
+const setterAbi = [{type: 'function', name: 'set', stateMutability: 'nonpayable', inputs: [{name: 'value', type: 'uint256'}], outputs: []}];
+
+// An interface of the stub node with a 10 GWEI gas price and the fast polling
+const stubInterface = (node) => {
+    const w3 = new Web3(node);
+    w3.eth.transactionPollingInterval = 20;
+    const contract = ERC20Interface.web3(w3, Web3.utils.randomHex(20), setterAbi);
+    contract.transactions = new TransactionManager();
+    contract.gasLimit = 50000;
+    contract.gasPrice = 10;
+    contract.confirmationInterval = 10;
+    return contract;
+};
+
+before(async () => {
+    compiled = compile();
+    tokens = [1, 2, 3].map(() => Web3.utils.toChecksumAddress(Web3.utils.randomHex(20)));
+});
+
+describe('Transactions', () => {
+    describe('confirmations', () => {
+        it('one confirmation: mined and final at once', async () => {
+            const mc = await deployMonitor();
+            const statuses = [];
+            mc.on('mined', txMeta => statuses.push(txMeta.status));
+            mc.on('final', txMeta => statuses.push(txMeta.status));
+
+            const receipt = await mc.subscribe([tokens[0]]);
+            const txMeta = transactions.getTxsByMetaData('hash', receipt.transactionHash)[0];
+            assert.deepStrictEqual(statuses, ['mined', 'final']);
+            assert.strictEqual(txMeta.status, 'final');
+        });
+
+        it('resolves after the confirmation depth is reached', async () => {
+            const mc = await deployMonitor();
+            mc.confirmations = 3;
+            mc.confirmationInterval = 10;
+
+            let mined;
+            mc.on('mined', txMeta => { mined = txMeta.blockNumber });
+            const receipt = await mineWhile(mc.subscribeAll());
+            const latest = await web3.eth.getBlockNumber();
+            const txMeta = transactions.getTxsByMetaData('hash', receipt.transactionHash)[0];
+
+            assert.strictEqual(mined, receipt.blockNumber);
+            assert.ok(latest - receipt.blockNumber + 1 >= 3);
+            assert.strictEqual(txMeta.status, 'final');
+            assert.strictEqual(txMeta.blockHash, receipt.blockHash);
+        });
+
+        it('the node failures are retried while waiting for the confirmations', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            contract.confirmations = 3;
+            node.failures.eth_blockNumber = ['CONNECTION TIMEOUT', 'Invalid JSON RPC response: ""'];
+            const sending = contract.set(1);
+            await until(() => node.pool[0]);
+            node.mine();
+
+            await until(() => contract.transactions.tx[0].status === 'final', () => node.block++);
+            const txMeta = contract.transactions.tx[0];
+            assert.strictEqual((await sending).transactionHash, txMeta.hash);
+            assert.strictEqual(txMeta.status, 'final');
+            assert.deepStrictEqual(node.failures.eth_blockNumber, []);
+        });
+
+        it('a node failing 10 times the depth fails the wait for the confirmations', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            contract.confirmations = 2;
+            node.failures.eth_blockNumber = Array(25).fill('CONNECTION TIMEOUT');
+            const sending = contract.set(1);
+            await until(() => node.pool[0]);
+            node.mine();
+
+            await assert.rejects(sending, error => error.name === 'ProviderError' && /failed 20 times/.test(error.message));
+            assert.strictEqual(node.failures.eth_blockNumber.length, 5);
+            assert.strictEqual(contract.transactions.tx[0].status, 'mined');
+        });
+
+        it('fails the transaction dropped by a reorg', async () => {
+            const mc = await deployMonitor();
+            mc.confirmations = 3;
+            mc.confirmationInterval = 10;
+
+            const snapshot = await rpc('evm_snapshot');
+            const reorgs = [];
+            mc.on('reorg', event => reorgs.push(event));
+            mc.once('mined', () => rpc('evm_revert', [snapshot]));
+
+            let err;
+            try {
+                await mc.subscribe([tokens[1]]);
+            } catch (e) { err = e; }
+
+            assert.ok(/dropped by a chain reorganisation/.test(err.message));
+            assert.strictEqual(reorgs.length, 1);
+            assert.strictEqual(reorgs[0].action, 'failed');
+            assert.strictEqual(reorgs[0].txMeta.status, 'failed');
+        });
+    });
+
+    describe('replacements', () => {
+        it('speedUp re-sends the transaction with the raised fees, the original call resolves with its receipt', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            const sending = contract.set(1);
+            const original = await until(() => node.pool[0]);
+
+            const speedUp = contract.speedUp(0);
+            const replacement = await until(() => node.pool.find(tx => tx.hash !== original.hash));
+            // the current gas price by 'replaceMultiplier'
+            assert.strictEqual(Web3.utils.hexToNumberString(replacement.gasPrice), gwei(12));
+            node.mine();
+
+            const [receipt, replaced] = await Promise.all([sending, speedUp]);
+            const txMeta = contract.transactions.tx[0];
+            assert.strictEqual(receipt.transactionHash, replacement.hash);
+            assert.strictEqual(replaced.transactionHash, replacement.hash);
+            assert.deepStrictEqual(txMeta.replaced, [original.hash]);
+            assert.strictEqual(txMeta.replacement, 'speedup');
+            assert.strictEqual(txMeta.status, 'final');
+            assert.deepStrictEqual(contract.transactions._replacements, {});
+        });
+
+        it('a replacement pays at least 10% more than the replaced transaction', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            const sending = contract.set(1);
+            const original = await until(() => node.pool[0]);
+
+            // the requested price is below the bump, the node would reject it as underpriced
+            const speedUp = contract.speedUp(0, gwei(10));
+            await until(() => node.pool.find(tx => tx.hash !== original.hash));
+            node.mine();
+
+            await Promise.all([sending, speedUp]);
+            assert.deepStrictEqual(node.sentGasPrices(), [gwei(10), '11000000001']);
+            assert.strictEqual(contract.transactions.tx[0].options.gasPrice, '11000000001');
+        });
+
+        it('cancel replaces the transaction with a zero-value self-transfer, the original call is rejected', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            const sending = contract.set(1);
+            const original = await until(() => node.pool[0]);
+
+            const cancelling = contract.cancel(0);
+            const cancel = await until(() => node.pool.find(tx => tx.hash !== original.hash));
+            assert.strictEqual(cancel.to, node.account.toLowerCase());
+            assert.strictEqual(cancel.value, '0x0');
+            assert.strictEqual(cancel.gas, hex(21000));
+            node.mine();
+
+            await assert.rejects(sending, /has been cancelled/);
+            assert.strictEqual((await cancelling).transactionHash, cancel.hash);
+            assert.strictEqual(contract.transactions.tx[0].status, 'cancelled');
+            assert.deepStrictEqual(contract.transactions._replacements, {});
+        });
+
+        it('autoSpeedUp raises the fees of a pending cancel instead of re-sending the call', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            // the superseded cancel is given up soon
+            contract.w3.eth.transactionPollingTimeout = 50;
+            contract.autoSpeedUp = {blocks: 1, interval: 10, multiplier: 1.5};
+            const sending = contract.set(1);
+            const original = await until(() => node.pool[0]);
+
+            const cancelling = contract.cancel(0).catch(err => err);
+            const cancel = await until(() => node.pool.find(tx => tx.hash !== original.hash));
+            const speedUp = await until(() => node.pool.find(tx => tx.hash !== cancel.hash), () => node.block++);
+            assert.deepStrictEqual([speedUp.to, speedUp.value, speedUp.gas, speedUp.input], [cancel.to, '0x0', hex(21000), cancel.input]);
+            assert.strictEqual(Web3.utils.hexToNumberString(speedUp.gasPrice), gwei(18));
+            node.mine();
+
+            await assert.rejects(sending, /has been cancelled/);
+            const txMeta = contract.transactions.tx[0];
+            assert.deepStrictEqual([txMeta.status, txMeta.replacement, txMeta.hash], ['cancelled', 'cancel', speedUp.hash]);
+            // the journal records the sent self-transfer
+            assert.deepStrictEqual([txMeta.options.to, txMeta.options.value, txMeta.options.gas, txMeta.options.gasPrice],
+                [node.account, 0, 21000, gwei(18)]);
+            assert.ok(await cancelling instanceof Error);
+        });
+
+        it('a transaction of the journal is sped up without a waiting call', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            const options = {from: node.account, to: contract.address, gas: 50000, gasPrice: gwei(10), nonce: 0};
+            const hash = await new Promise((resolve, reject) =>
+                contract.w3.eth.sendTransaction(options).once('transactionHash', resolve).catch(reject));
+            contract.transactions.addTx({chainId: 1337, address: node.account, contractAddress: contract.address, method: 'set',
+                methodArgs: ['1'], options: options, txType: 'send', status: 'submitted', nonce: 0, hash: hash});
+
+            const speedUp = contract.speedUp(0);
+            await until(() => node.pool.find(tx => tx.hash !== hash));
+            node.mine();
+
+            await speedUp;
+            assert.strictEqual(contract.transactions.tx[0].status, 'final');
+            assert.deepStrictEqual(contract.transactions._replacements, {});
+        });
+
+        it('autoSpeedUp raises the fees of a transaction unconfirmed for the blocks', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            contract.autoSpeedUp = {blocks: 1, interval: 10, multiplier: 1.5};
+            const sending = contract.set(1);
+            const original = await until(() => node.pool[0]);
+
+            const replacement = await until(() => node.pool.find(tx => tx.hash !== original.hash), () => node.block++);
+            assert.strictEqual(Web3.utils.hexToNumberString(replacement.gasPrice), gwei(15));
+            node.mine();
+
+            assert.strictEqual((await sending).transactionHash, replacement.hash);
+            assert.deepStrictEqual(contract.transactions._replacements, {});
+        });
+
+        it('autoSpeedUp emits the failures, raises an underpriced replacement and stops on a terminal failure', async () => {
+            const node = new StubNode();
+            const contract = stubInterface(node);
+            contract.autoSpeedUp = {blocks: 1, interval: 10, multiplier: 1.5};
+            const failures = [];
+            contract.on('speedUpFailed', failure => failures.push(failure));
+            const sending = contract.set(1);
+            const original = await until(() => node.pool[0]);
+
+            node.failures.eth_sendTransaction = ['replacement transaction underpriced', 'nonce too low'];
+            await until(() => failures.length === 2, () => node.block++);
+            for (let i = 0; i < 10; i++) {
+                node.block++;
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+
+            assert.deepStrictEqual(failures.map(failure => failure.terminal), [false, true]);
+            assert.strictEqual(failures[1].error.name, 'NonceError');
+            assert.deepStrictEqual(node.sentGasPrices(), [gwei(10), gwei(15), '22500000000']);
+            node.mine();
+            assert.strictEqual((await sending).transactionHash, original.hash);
+        });
+    });
+
+    describe('TransactionManager', () => {
+        it('the shared manager is used by default', async () => {
+            const mc = await deployMonitor();
+            assert.strictEqual(mc.transactions, transactions);
+        });
+
+        it('an owned manager keeps its own transactions and statistics', async () => {
+            const mc = await deployMonitor();
+            const manager = new TransactionManager();
+            const sharedGasUsed = transactions.totalGasUsed.toString();
+            mc.transactions = manager;
+
+            const receipt = await mc.subscribe([tokens[2]]);
+            assert.strictEqual(manager.tx.length, 1);
+            assert.strictEqual(manager.totalGasUsed.toString(), receipt.gasUsed.toString());
+            assert.strictEqual(transactions.totalGasUsed.toString(), sharedGasUsed);
+            assert.strictEqual(transactions.getTxsByMetaData('hash', receipt.transactionHash).length, 0);
+        });
+
+        it('transactions are keyed by chain id and sender', async () => {
+            const mc = await deployMonitor();
+            const accounts = await web3.eth.getAccounts();
+            const chainId = await mc.getChainId();
+            mc.transactions = new TransactionManager();
+            mc.wallet = 3;
+
+            const receipt = await mc.subscribeAll();
+            const stat = mc.transactions.getSenderStat(chainId, accounts[3]);
+            assert.strictEqual(mc.transactions.tx[0].chainId, chainId);
+            assert.strictEqual(stat.final, 1);
+            assert.strictEqual(stat.totalGasUsed, receipt.gasUsed.toString());
+            assert.strictEqual(mc.transactions.getSenderStat(chainId + 1, accounts[3]).final, 0);
+            assert.strictEqual(mc.transactions.getFinalTransactions(accounts[3], chainId + 1).length, 0);
+        });
+    });
+
+    describe('gas limit', () => {
+        it('estimates the gas limit with the safety margin', async () => {
+            const mc = await deployMonitor();
+            const accounts = await web3.eth.getAccounts();
+            mc.transactions = new TransactionManager();
+            mc.gasMargin = 1.5;
+
+            const estimate = await mc.contract.methods.subscribe(accounts[0], 30, [tokens[0]])
+                .estimateGas({from: accounts[0], value: Web3.utils.toWei('300', 'szabo')});
+            await mc.subscribe([tokens[0]]);
+            assert.strictEqual(mc.transactions.tx[0].options.gas, Math.ceil(estimate * 1.5));
+        });
+
+        it('the gas limit is capped by the block gas limit', async () => {
+            const mc = await deployMonitor();
+            const block = await web3.eth.getBlock('latest');
+            mc.gasMargin = 1000;
+
+            const value = Web3.utils.toWei('1500', 'szabo');
+            const meta = await mc.transactions.getTxMeta(mc, 'subscribeAll', mc.wallet, 30, {value: value});
+            assert.strictEqual(meta.options.gas, block.gasLimit);
+        });
+
+        it('a fixed gasLimit is not estimated', async () => {
+            const mc = await deployMonitor();
+            mc.gasLimit = '500000';
+            const meta = await mc.transactions.getTxMeta(mc, 'subscribeAll', mc.wallet, 30, {value: '1'});
+            assert.strictEqual(meta.options.gas, '500000');
+        });
+
+        it('an estimation failure is returned before anything is broadcast', async () => {
+            const mc = await deployMonitor();
+            mc.transactions = new TransactionManager();
+            const unsupported = Web3.utils.toChecksumAddress(Web3.utils.randomHex(20));
+
+            let err;
+            await mc.subscribe([unsupported], (e) => { err = e; });
+            assert.ok(/^Gas estimation of "subscribe" failed, the transaction is not sent/.test(err.message));
+            assert.strictEqual(mc.transactions.tx.length, 0);
+        });
+    });
+
+    describe('simulation', () => {
+        it('a simulated subscription returns its cost and sends nothing', async () => {
+            const mc = await deployMonitor();
+            const accounts = await web3.eth.getAccounts();
+            mc.transactions = new TransactionManager();
+            mc.gasPrice = 3;
+            const nonce = await web3.eth.getTransactionCount(accounts[0]);
+
+            const value = Web3.utils.toWei('600', 'szabo');
+            const result = await mc.subscribe([tokens[0], tokens[1]], 30, null, null, {simulate: true});
+            const estimate = await mc.contract.methods.subscribe(accounts[0], 30, [tokens[0], tokens[1]])
+                .estimateGas({from: accounts[0], value: value});
+
+            assert.strictEqual(result.simulated, true);
+            assert.strictEqual(result.gasEstimate, estimate);
+            assert.strictEqual(result.value, value);
+            assert.strictEqual(result.totalCost, (BigInt(estimate) * 3000000000n + BigInt(value)).toString());
+            assert.strictEqual(mc.transactions.tx.length, 0);
+            assert.strictEqual(await web3.eth.getTransactionCount(accounts[0]), nonce);
+            assert.strictEqual(await mc.isExistingSubscriber(), false);
+        });
+
+        it('subscribeAll and addTokenToSubscription accept the options', async () => {
+            const mc = await deployMonitor();
+            mc.transactions = new TransactionManager();
+
+            const all = await mc.subscribeAll({simulate: true});
+            const added = await mc.addTokenToSubscription(tokens[2], {simulate: true});
+            assert.strictEqual(all.method, 'subscribeAll');
+            assert.strictEqual(added.method, 'subscribe');
+            assert.strictEqual(mc.transactions.tx.length, 0);
+        });
+
+        it('a reverting simulation returns the error', async () => {
+            const mc = await deployMonitor();
+            mc.transactions = new TransactionManager();
+            mc.wallet = 1;
+            const unsupported = Web3.utils.toChecksumAddress(Web3.utils.randomHex(20));
+
+            let err;
+            await mc.setStatus(unsupported, 2, 'hacked', {simulate: true}, (e) => { err = e; });
+            assert.ok(err);
+            assert.strictEqual(mc.transactions.tx.length, 0);
+        });
+
+        it('a simulated deployment returns the contract code', async () => {
+            const mc = AccessInterface.web3(web3, null, compiled.abi);
+            const result = await mc.deploy({bytecode: compiled.bytecode, args: [tokens], simulate: true});
+            assert.strictEqual(result.method, 'deploy');
+            assert.ok(result.returnValue.length > 2);
+            assert.ok(result.gasEstimate > 0);
+            assert.ok(!mc.address);
+        });
+    });
+});